@@ -49,6 +49,18 @@ const macOSMLModels = require('../src/services/macOSMLModels.js');
 const ollamaManager = require('./services/ollamaManager.js');
 const httpServerHandler = require('./services/httpServerHandler.js');
 const appleModelsBridge = require('./services/appleModelsBridgeSafe.js');
+const apiKeyManager = require('./services/apiKeyManager.js');
+const serverSettings = require('./services/serverSettings.js');
+const batchManager = require('./services/batchManager.js');
+const backendRegistry = require('./services/backendRegistry.js');
+const modelAliases = require('./services/modelAliases.js');
+const responseCache = require('./services/responseCache.js');
+const modelDetails = require('./services/modelDetails.js');
+const priorityClasses = require('./services/priorityClasses.js');
+const usageQuotas = require('./services/usageQuotas.js');
+const peerGateway = require('./services/peerGateway.js');
+const apiErrors = require('./services/apiErrors.js');
+const modelRef = require('./services/modelRef.js');
 const { logCompatibilityReport } = require('../src/services/checkX86Compatibility.js');
 
 // Device service not needed in P2P-only mode
@@ -58,6 +70,7 @@ const store = new Store();
 
 let mainWindow;
 let httpServer;
+let httpServerStartError = null; // Why the saved bind/TLS settings could not be applied, if they couldn't
 let tray;
 let powerSaveId = null; // Track power save blocker ID
 
@@ -563,13 +576,19 @@ app.whenReady().then(async () => {
   try {
     console.log('🚀 Starting local HTTP server for P2P hosting...');
     httpServer = new HTTPServer();
-    await httpServer.start();
+    try {
+      await httpServer.start();
+    } catch (error) {
+      // e.g. the saved interface is gone or the certificate is unreadable; keep the app's own features working
+      httpServerStartError = error.message;
+      console.warn('⚠️ Falling back to plain HTTP on localhost:', error.message);
+      await httpServer.start({ bindAddress: '127.0.0.1', tlsEnabled: false });
+    }
     console.log(`✅ HTTP server started on port ${httpServer.getPort()}`);
     
     // Test that HTTP server is responding with models
-    const axios = require('axios');
     try {
-      const testResponse = await axios.get(`http://127.0.0.1:${httpServer.getPort()}/v1/models`);
+      const testResponse = await httpServer.requestSelf('/v1/models');
       console.log(`✅ HTTP server /v1/models test successful, found ${testResponse.data?.data?.length || 0} models`);
       if (testResponse.data?.data) {
         testResponse.data.data.forEach(model => {
@@ -579,6 +598,9 @@ app.whenReady().then(async () => {
     } catch (testError) {
       console.error('❌ HTTP server /v1/models test failed:', testError.message);
     }
+
+    // Pick up batches that were still running when the app quit
+    batchManager.resume();
   } catch (error) {
     console.error('❌ Failed to start HTTP server:', error);
   }
@@ -705,9 +727,64 @@ ipcMain.handle('p2p-get-status', () => {
   return p2pService.getStatus();
 });
 
+// Queue request id for work done on behalf of a peer's P2P request
+const p2pQueueRequestId = (fromUserId, requestId) => `p2p_${fromUserId}_${requestId}`;
+
+// Queue priority class of a peer's requests
+const peerPriority = (fromUserId) => priorityClasses.forPeer(fromUserId, p2pService.getStatus().currentUserId);
+
+// A peer's request body with its model in the canonical format; peers on older versions
+// still send routing IDs prefixed with this user's ID
+const withPeerModel = (data) => data?.model
+  ? { ...data, model: modelRef.normalize(data.model, [p2pService.getStatus().currentUserId]) }
+  : data;
+
+// Queue options for a peer's request; peers that asked for them hear their place in the queue
+// as `queue_update` messages while they wait, and peers that sent a deadline are held to it
+const peerQueueOptions = (fromUserId, requestId, { queueUpdates, deadlineSeconds }) => ({
+  requestId: p2pQueueRequestId(fromUserId, requestId),
+  priority: peerPriority(fromUserId),
+  deadlineMs: Number(deadlineSeconds) > 0 ? Number(deadlineSeconds) * 1000 : undefined,
+  onQueueUpdate: queueUpdates ? (update) => {
+    p2pService.sendToPeer(fromUserId, { type: 'queue_update', requestId, data: update }).catch((error) => {
+      // A peer that went away is noticed once its answer can't be sent
+      console.error(`❌ Failed to send queue update to ${fromUserId}:`, error.message);
+    });
+  } : undefined
+});
+
+/**
+ * Run a chat completion for a peer that asked for a streamed answer, sending each
+ * piece as a `chunk` message; resolves with what remains for the final response
+ */
+const streamChatToPeer = async (fromUserId, requestId, data, requestOptions) => {
+  const options = peerQueueOptions(fromUserId, requestId, requestOptions);
+  const queueRequestId = options.requestId;
+  const response = await httpServerHandler.createChatCompletion({ ...data, stream: true }, fromUserId, options);
+  if (!response.stream) return response;
+
+  return new Promise((resolve, reject) => {
+    const sendChunk = (chunk) => {
+      p2pService.sendToPeer(fromUserId, { type: 'chunk', requestId, data: chunk }).catch((error) => {
+        // The peer went away; stop generating for it
+        console.error(`❌ Failed to stream chat chunk to ${fromUserId}:`, error.message);
+        httpServerHandler.cancelRequest(queueRequestId);
+      });
+    };
+
+    response.handler(
+      (content) => sendChunk({ content }),
+      (finishReason, usage) => resolve({ finish_reason: finishReason, usage }),
+      (toolCalls) => sendChunk({ tool_calls: toolCalls }),
+      reject
+    );
+  });
+};
+
 // Set up P2P request listener to handle chat and get_models requests
 p2pService.on('request', async (requestData) => {
-  const { type, data, fromUserId, requestId } = requestData;
+  const { type, fromUserId, requestId, stream } = requestData;
+  const data = withPeerModel(requestData.data);
   console.log(`🔍 P2P request received: ${type} from ${fromUserId}`);
   
   try {
@@ -721,9 +798,13 @@ p2pService.on('request', async (requestData) => {
         models: models.map(model => ({
           name: model.name || model.id,
           id: model.id,
-          provider: model.provider || 'Unknown'
+          provider: model.provider || 'Unknown',
+          ...(model.alias_for ? { alias_for: model.alias_for } : {}),
+          ...modelDetails.pick(model)
         })),
-        batteryState: null // TODO: Add battery state if needed
+        batteryState: null, // TODO: Add battery state if needed
+        // Models whose queues are full, so the peer can route elsewhere for now
+        shedding: httpServerHandler.getSheddingState()
       };
       console.log('✅ Returning models response:', response);
       return response;
@@ -732,23 +813,39 @@ p2pService.on('request', async (requestData) => {
       console.log('💬 Processing chat request...');
       console.log('💬 Chat data:', JSON.stringify(data, null, 2));
       
-      const response = await httpServerHandler.createChatCompletion(data);
+      if (stream) {
+        return await streamChatToPeer(fromUserId, requestId, data, requestData);
+      }
+
+      // Named after the peer's requestId so a later `cancel` message can find it
+      const response = await httpServerHandler.createChatCompletion(data, fromUserId, peerQueueOptions(fromUserId, requestId, requestData));
       console.log('💬 Chat response:', { hasId: !!response.id, hasChoices: !!response.choices, choiceCount: response.choices?.length });
       
       console.log('✅ Returning chat response');
       return response;
+    } else if (type === 'embeddings') {
+      // Handle embeddings request
+      console.log('🧮 Processing embeddings request...');
+
+      const response = await httpServerHandler.createEmbeddings(data, fromUserId, peerQueueOptions(fromUserId, requestId, requestData));
+      console.log('🧮 Embeddings response:', { count: response.data?.length });
+
+      return response;
+    } else if (type === 'cancel') {
+      // Peers can only reach their own requests because the id includes their user ID
+      const cancelled = httpServerHandler.cancelRequest(p2pQueueRequestId(fromUserId, data?.requestId));
+      console.log(`🚫 Cancel from ${fromUserId} for ${data?.requestId}: ${cancelled ? 'cancelled' : 'not found'}`);
+      return { cancelled };
     } else {
       const error = `Unknown request type: ${type}`;
       console.error('❌ Unknown request type:', error);
-      throw new Error(error);
+      throw apiErrors.create('INVALID_REQUEST', error);
     }
   } catch (error) {
-    const errorMessage = error?.message || error?.toString() || 'Unknown error occurred';
-    console.error(`❌ Failed to handle P2P ${type} request:`, errorMessage);
-    console.error('❌ Error details:', error);
-    
-    // Re-throw with a clear message
-    throw new Error(`P2P ${type} request failed: ${errorMessage}`);
+    // Keep status and code so the requesting peer can report the same error its client would get here
+    const apiError = apiErrors.normalize(error);
+    console.error(`❌ Failed to handle P2P ${type} request:`, apiError.message);
+    throw apiError;
   }
 });
 
@@ -936,12 +1033,9 @@ ipcMain.handle('llm-list-local-models', async () => {
   try {
     // Get models from HTTP server
     if (httpServer) {
-      const port = httpServer.getPort();
-      const response = await fetch(`http://127.0.0.1:${port}/v1/models`);
-      if (response.ok) {
-        const data = await response.json();
-        return data.data || [];
-      }
+      const response = await httpServer.requestSelf('/v1/models');
+      // In gateway mode the list includes peer models, which the renderer gets from P2P itself
+      return (response.data.data || []).filter(model => !model.peer_id);
     }
   } catch (error) {
     console.error('Failed to list local models:', error);
@@ -949,6 +1043,250 @@ ipcMain.handle('llm-list-local-models', async () => {
   return [];
 });
 
+// Sends a UI chat's place in the queue, while it waits, as 'llm-chat-queue-update' events tagged with chatId
+const queueUpdatesToRenderer = (event, chatId) => (update) => {
+  if (!event.sender.isDestroyed()) {
+    event.sender.send('llm-chat-queue-update', chatId, update);
+  }
+};
+
+// Abort controllers of the UI's chats by chatId, so 'llm-chat-cancel' can stop one while it waits or generates
+const uiChatControllers = new Map();
+
+const uiChatSignal = (chatId) => {
+  const controller = new AbortController();
+  uiChatControllers.set(chatId, controller);
+  return controller.signal;
+};
+
+ipcMain.handle('llm-chat-cancel', (event, chatId) => {
+  const controller = uiChatControllers.get(chatId);
+  controller?.abort();
+  return !!controller;
+});
+
+// Chats from the UI's Ollama provider go through the queue as the owner, ahead of peers and API clients.
+// Streamed answers are sent back as NDJSON text in 'llm-ollama-chat-chunk' events tagged with chatId
+ipcMain.handle('llm-ollama-chat', async (event, body, chatId) => {
+  const signal = uiChatSignal(chatId);
+  try {
+    const response = await httpServerHandler.forwardOllamaRequest('/api/chat', body, 'local', {
+      signal,
+      priority: priorityClasses.forLocalUI(),
+      onQueueUpdate: queueUpdatesToRenderer(event, chatId)
+    });
+    if (!response.stream) {
+      return { success: true, response };
+    }
+
+    await new Promise((resolve, reject) => {
+      // Decode as text here so characters split across chunks arrive whole
+      response.data.setEncoding('utf8');
+      response.data.on('data', (chunk) => {
+        if (event.sender.isDestroyed()) {
+          // The window closed; stop generating
+          response.data.destroy();
+          return;
+        }
+        event.sender.send('llm-ollama-chat-chunk', chatId, chunk);
+      });
+      response.data.on('error', reject);
+      response.data.on('close', resolve);
+    });
+    return { success: true };
+  } catch (error) {
+    if (!signal.aborted) console.error('Failed to chat with Ollama through the queue:', error);
+    return { success: false, error: apiErrors.normalize(error).message };
+  } finally {
+    uiChatControllers.delete(chatId);
+  }
+});
+
+// Chats from the UI with a model a peer announced, run on the peer over P2P (gateway mode is only
+// about the HTTP server). The request waits in the peer's queue like any other peer's
+ipcMain.handle('llm-peer-chat', async (event, request, chatId) => {
+  const signal = uiChatSignal(chatId);
+  try {
+    const response = await peerGateway.createChatCompletion({ ...request, stream: false }, {
+      signal,
+      onQueueUpdate: queueUpdatesToRenderer(event, chatId)
+    });
+    return { success: true, response };
+  } catch (error) {
+    if (!signal.aborted) console.error('Failed to chat with peer model:', error);
+    return { success: false, error: apiErrors.normalize(error).message };
+  } finally {
+    uiChatControllers.delete(chatId);
+  }
+});
+
+// API key IPC handlers for the local HTTP server
+ipcMain.handle('api-keys-list', () => {
+  return apiKeyManager.listKeys();
+});
+
+ipcMain.handle('api-keys-create', (event, options) => {
+  try {
+    const { key, record } = apiKeyManager.createKey(options);
+    return { success: true, key, record };
+  } catch (error) {
+    console.error('Failed to create API key:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('api-keys-revoke', (event, id) => {
+  return apiKeyManager.revokeKey(id);
+});
+
+ipcMain.handle('api-keys-get-settings', () => {
+  return apiKeyManager.getSettings();
+});
+
+ipcMain.handle('api-keys-set-settings', (event, settings) => {
+  return apiKeyManager.setSettings(settings);
+});
+
+// HTTP server settings IPC handlers
+ipcMain.handle('server-settings-get', () => {
+  return serverSettings.getSettings();
+});
+
+ipcMain.handle('server-settings-set', async (event, settings) => {
+  const previous = serverSettings.getSettings();
+  let updated;
+  try {
+    updated = serverSettings.setSettings(settings);
+  } catch (error) {
+    return { success: false, error: error.message, settings: previous };
+  }
+
+  // A smaller cache size and new queue limits apply right away
+  responseCache.evict();
+  httpServerHandler.applyQueueSettings();
+
+  if (!httpServer || !serverSettings.requiresRestart(previous, updated)) {
+    return { success: true, settings: updated };
+  }
+
+  try {
+    await httpServer.restart();
+    httpServerStartError = null;
+    return { success: true, settings: updated };
+  } catch (error) {
+    // Put the previous settings back so the server keeps listening somewhere reachable
+    console.error('❌ Failed to apply HTTP server settings, reverting:', error.message);
+    serverSettings.setSettings(previous);
+    await httpServer.start().catch(() => httpServer.start({ bindAddress: '127.0.0.1', tlsEnabled: false }));
+    return { success: false, error: error.message, settings: previous };
+  }
+});
+
+ipcMain.handle('server-settings-get-status', () => {
+  return httpServer
+    ? { ...httpServer.getStatus(), error: httpServerStartError }
+    : { running: false, error: httpServerStartError };
+});
+
+// Batch API IPC handlers
+ipcMain.handle('batches-list', () => {
+  return batchManager.listBatches().map(batch => batchManager.toPublic(batch));
+});
+
+ipcMain.handle('batches-cancel', (event, id) => {
+  const batch = batchManager.cancelBatch(id);
+  return batch ? { success: true, batch: batchManager.toPublic(batch) } : { success: false };
+});
+
+// Model backend IPC handlers
+ipcMain.handle('backends-list', async () => {
+  // Listing models refreshes each backend's status
+  await backendRegistry.getModels();
+  return backendRegistry.listBackends();
+});
+
+ipcMain.handle('backends-add', (event, options) => {
+  try {
+    return { success: true, backend: backendRegistry.addBackend(options) };
+  } catch (error) {
+    console.error('Failed to add backend:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('backends-update', (event, id, changes) => {
+  try {
+    const backend = backendRegistry.updateBackend(id, changes);
+    return backend ? { success: true, backend } : { success: false, error: `No such backend: ${id}` };
+  } catch (error) {
+    console.error('Failed to update backend:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('backends-remove', (event, id) => {
+  return backendRegistry.removeBackend(id);
+});
+
+// Model alias IPC handlers
+ipcMain.handle('aliases-list', () => {
+  return modelAliases.listAliases();
+});
+
+ipcMain.handle('aliases-set', (event, alias) => {
+  try {
+    return { success: true, alias: modelAliases.setAlias(alias) };
+  } catch (error) {
+    console.error('Failed to save alias:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('aliases-remove', (event, name) => {
+  return modelAliases.removeAlias(name);
+});
+
+// Queue IPC handlers
+ipcMain.handle('queue-capacity', () => {
+  return httpServerHandler.getQueueCapacity();
+});
+
+ipcMain.handle('priority-trusted-peers-get', () => {
+  return priorityClasses.listTrustedPeers();
+});
+
+ipcMain.handle('priority-trusted-peers-set', (event, userIds) => {
+  return priorityClasses.setTrustedPeers(userIds);
+});
+
+// Usage quota IPC handlers
+ipcMain.handle('quotas-get', () => {
+  return { ...usageQuotas.listLimits(), usage: usageQuotas.getUsage() };
+});
+
+ipcMain.handle('quotas-set', (event, clientId, limits) => {
+  try {
+    return { success: true, limits: usageQuotas.setLimits(clientId, limits) };
+  } catch (error) {
+    console.error('Failed to save usage quota:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('quotas-remove', (event, clientId) => {
+  return usageQuotas.removeLimits(clientId);
+});
+
+// Response cache IPC handlers
+ipcMain.handle('response-cache-stats', () => {
+  return responseCache.getStats();
+});
+
+ipcMain.handle('response-cache-clear', () => {
+  responseCache.clear();
+  return responseCache.getStats();
+});
+
 // Logging IPC handlers
 ipcMain.handle('logging-get-logs', (event, level, limit) => {
   return loggingService.getLogs(level, limit);
@@ -1134,7 +1472,7 @@ ipcMain.handle('http-server-get-models', async () => {
 
 ipcMain.handle('http-server-chat', async (event, request) => {
   try {
-    const response = await httpServerHandler.createChatCompletion(request);
+    const response = await httpServerHandler.createChatCompletion(request, 'local', { priority: priorityClasses.forLocalUI() });
     return { success: true, response };
   } catch (error) {
     console.error('Failed to create chat completion for HTTP server:', error);
@@ -1,5 +1,15 @@
 const { contextBridge, ipcRenderer } = require('electron');
 
+// Invoke a chat IPC under a chatId (a fresh one unless the caller named it to cancel it later), passing
+// the events the main process tags with that id (streamed chunks, queue updates) to callback until the call settles
+const withChatEvents = (channel, callback, invoke, chatId = `${Date.now()}_${Math.random().toString(36).slice(2)}`) => {
+  const listener = (event, id, payload) => {
+    if (id === chatId && callback) callback(payload);
+  };
+  ipcRenderer.on(channel, listener);
+  return invoke(chatId).finally(() => ipcRenderer.removeListener(channel, listener));
+};
+
 // Expose protected methods that allow the renderer process to use
 // the ipcRenderer without exposing the entire object
 contextBridge.exposeInMainWorld('electronAPI', {
@@ -95,7 +105,75 @@ contextBridge.exposeInMainWorld('electronAPI', {
   
   // LLM API
   llm: {
-    listLocalModels: () => ipcRenderer.invoke('llm-list-local-models')
+    listLocalModels: () => ipcRenderer.invoke('llm-list-local-models'),
+    ollamaChat: (body, onQueueUpdate, chatId) => withChatEvents('llm-chat-queue-update', onQueueUpdate,
+      (id) => ipcRenderer.invoke('llm-ollama-chat', { ...body, stream: false }, id), chatId),
+    ollamaChatStream: (body, onChunk, chatId) => withChatEvents('llm-ollama-chat-chunk', onChunk,
+      (id) => ipcRenderer.invoke('llm-ollama-chat', { ...body, stream: true }, id), chatId),
+    peerChat: (request, onQueueUpdate, chatId) => withChatEvents('llm-chat-queue-update', onQueueUpdate,
+      (id) => ipcRenderer.invoke('llm-peer-chat', request, id), chatId),
+    cancelChat: (chatId) => ipcRenderer.invoke('llm-chat-cancel', chatId)
+  },
+  
+  // API keys for the local HTTP server
+  apiKeys: {
+    list: () => ipcRenderer.invoke('api-keys-list'),
+    create: (options) => ipcRenderer.invoke('api-keys-create', options),
+    revoke: (id) => ipcRenderer.invoke('api-keys-revoke', id),
+    getSettings: () => ipcRenderer.invoke('api-keys-get-settings'),
+    setSettings: (settings) => ipcRenderer.invoke('api-keys-set-settings', settings)
+  },
+  
+  // Local HTTP server settings
+  serverSettings: {
+    get: () => ipcRenderer.invoke('server-settings-get'),
+    set: (settings) => ipcRenderer.invoke('server-settings-set', settings),
+    getStatus: () => ipcRenderer.invoke('server-settings-get-status')
+  },
+  
+  // OpenAI-compatible model backends (llama.cpp, LM Studio, vLLM, ...)
+  backends: {
+    list: () => ipcRenderer.invoke('backends-list'),
+    add: (options) => ipcRenderer.invoke('backends-add', options),
+    update: (id, changes) => ipcRenderer.invoke('backends-update', id, changes),
+    remove: (id) => ipcRenderer.invoke('backends-remove', id)
+  },
+  
+  // Model aliases with default parameters
+  aliases: {
+    list: () => ipcRenderer.invoke('aliases-list'),
+    set: (alias) => ipcRenderer.invoke('aliases-set', alias),
+    remove: (name) => ipcRenderer.invoke('aliases-remove', name)
+  },
+  
+  // Queue limits and memory use
+  queue: {
+    getCapacity: () => ipcRenderer.invoke('queue-capacity')
+  },
+  
+  // Queue priority of peers
+  priority: {
+    getTrustedPeers: () => ipcRenderer.invoke('priority-trusted-peers-get'),
+    setTrustedPeers: (userIds) => ipcRenderer.invoke('priority-trusted-peers-set', userIds)
+  },
+  
+  // Token limits and budgets per client
+  quotas: {
+    get: () => ipcRenderer.invoke('quotas-get'),
+    set: (clientId, limits) => ipcRenderer.invoke('quotas-set', clientId, limits),
+    remove: (clientId) => ipcRenderer.invoke('quotas-remove', clientId)
+  },
+  
+  // Response cache for deterministic requests
+  responseCache: {
+    getStats: () => ipcRenderer.invoke('response-cache-stats'),
+    clear: () => ipcRenderer.invoke('response-cache-clear')
+  },
+  
+  // Batch API jobs
+  batches: {
+    list: () => ipcRenderer.invoke('batches-list'),
+    cancel: (id) => ipcRenderer.invoke('batches-cancel', id)
   },
   
   // Logging
@@ -0,0 +1,327 @@
+/**
+ * Anthropic Messages Adapter
+ * Translates Anthropic /v1/messages requests into OpenAI chat completion
+ * requests for HTTPServerHandler, and the results back into Anthropic shapes
+ */
+
+const crypto = require('crypto');
+const chatParameterMapper = require('./chatParameterMapper.js');
+const apiErrors = require('./apiErrors.js');
+
+const STOP_REASONS = {
+  stop: 'end_turn',
+  length: 'max_tokens',
+  tool_calls: 'tool_use'
+};
+
+// Anthropic error types by HTTP status; anything else is an api_error
+const ERROR_TYPES = {
+  400: 'invalid_request_error',
+  401: 'authentication_error',
+  403: 'permission_error',
+  404: 'not_found_error',
+  413: 'request_too_large',
+  429: 'rate_limit_error',
+  499: 'invalid_request_error',
+  503: 'overloaded_error',
+  504: 'timeout_error'
+};
+
+class AnthropicAdapter {
+  /**
+   * Convert an Anthropic Messages request to an OpenAI chat completion request
+   * @param {Object} body - Anthropic request body
+   * @returns {Object} OpenAI-style request for HTTPServerHandler.createChatCompletion
+   * @throws {Error} with status 400 for malformed requests
+   */
+  toChatCompletionRequest(body) {
+    const { model, messages, system, max_tokens: maxTokens, stop_sequences: stopSequences } = body;
+
+    if (!model || typeof model !== 'string') {
+      throw chatParameterMapper.invalidRequest('model: Field required', 'model');
+    }
+    if (!Number.isInteger(maxTokens)) {
+      throw chatParameterMapper.invalidRequest('max_tokens: Field required', 'max_tokens');
+    }
+    if (!Array.isArray(messages) || messages.length === 0) {
+      throw chatParameterMapper.invalidRequest('messages: Field required', 'messages');
+    }
+
+    const openaiMessages = [];
+    const systemText = this._systemText(system);
+    if (systemText) {
+      openaiMessages.push({ role: 'system', content: systemText });
+    }
+    messages.forEach((message, index) => {
+      if (message.role !== 'user' && message.role !== 'assistant') {
+        throw chatParameterMapper.invalidRequest(`messages.${index}.role: must be 'user' or 'assistant'`, `messages.${index}.role`);
+      }
+      openaiMessages.push(...this._toOpenAIMessages(message));
+    });
+
+    const request = {
+      model,
+      messages: openaiMessages,
+      max_tokens: maxTokens,
+      stream: body.stream === true
+    };
+    if (body.temperature !== undefined) request.temperature = body.temperature;
+    if (body.top_p !== undefined) request.top_p = body.top_p;
+    if (body.top_k !== undefined) request.top_k = body.top_k;
+    if (stopSequences !== undefined) request.stop = stopSequences;
+
+    if (Array.isArray(body.tools) && body.tools.length > 0) {
+      request.tools = body.tools.map(tool => ({
+        type: 'function',
+        function: {
+          name: tool.name,
+          description: tool.description,
+          parameters: tool.input_schema
+        }
+      }));
+      request.tool_choice = this._toolChoice(body.tool_choice);
+    }
+
+    return request;
+  }
+
+  /**
+   * Convert an OpenAI chat completion into an Anthropic message
+   * @param {Object} completion - Result of HTTPServerHandler.createChatCompletion
+   * @param {string} model - Model name as requested by the client
+   * @returns {Object}
+   */
+  toMessageResponse(completion, model) {
+    const choice = completion.choices?.[0] || {};
+    const message = choice.message || {};
+    const content = [];
+
+    if (message.content) {
+      content.push({ type: 'text', text: message.content });
+    }
+    (message.tool_calls || []).forEach(call => {
+      content.push({
+        type: 'tool_use',
+        id: this._toolUseId(call.id),
+        name: call.function.name,
+        input: this._parseInput(call.function.arguments)
+      });
+    });
+
+    return {
+      id: this._messageId(),
+      type: 'message',
+      role: 'assistant',
+      model,
+      content,
+      stop_reason: STOP_REASONS[choice.finish_reason] || 'end_turn',
+      stop_sequence: null,
+      usage: {
+        input_tokens: completion.usage?.prompt_tokens || 0,
+        output_tokens: completion.usage?.completion_tokens || 0
+      }
+    };
+  }
+
+  /**
+   * Pipe a streaming chat completion to the client as Anthropic SSE events
+   * @param {Object} res - Express response
+   * @param {Object} response - Streaming result of createChatCompletion
+   * @param {string} model - Model name as requested by the client
+   */
+  streamMessage(res, response, model) {
+    const writeEvent = (event, data) => this._writeEvent(res, event, data);
+
+    // Queue updates may already have started the stream
+    if (!res.headersSent) {
+      res.setHeader('Content-Type', 'text/event-stream');
+      res.setHeader('Cache-Control', 'no-cache');
+      res.setHeader('Connection', 'keep-alive');
+    }
+
+    writeEvent('message_start', {
+      message: {
+        id: this._messageId(),
+        type: 'message',
+        role: 'assistant',
+        model,
+        content: [],
+        stop_reason: null,
+        stop_sequence: null,
+        usage: { input_tokens: 0, output_tokens: 0 }
+      }
+    });
+
+    let blockIndex = -1;
+    let textBlockOpen = false;
+    const closeTextBlock = () => {
+      if (textBlockOpen) {
+        writeEvent('content_block_stop', { index: blockIndex });
+        textBlockOpen = false;
+      }
+    };
+
+    response.handler(
+      (text) => {
+        if (!textBlockOpen) {
+          blockIndex++;
+          textBlockOpen = true;
+          writeEvent('content_block_start', { index: blockIndex, content_block: { type: 'text', text: '' } });
+        }
+        writeEvent('content_block_delta', { index: blockIndex, delta: { type: 'text_delta', text } });
+      },
+      (finishReason = 'stop', usage = {}) => {
+        closeTextBlock();
+        writeEvent('message_delta', {
+          delta: { stop_reason: STOP_REASONS[finishReason] || 'end_turn', stop_sequence: null },
+          usage: { output_tokens: usage.completion_tokens || 0 }
+        });
+        writeEvent('message_stop', {});
+        res.end();
+      },
+      (toolCalls) => {
+        closeTextBlock();
+        toolCalls.forEach(call => {
+          blockIndex++;
+          writeEvent('content_block_start', {
+            index: blockIndex,
+            content_block: { type: 'tool_use', id: this._toolUseId(call.id), name: call.function.name, input: {} }
+          });
+          writeEvent('content_block_delta', {
+            index: blockIndex,
+            delta: { type: 'input_json_delta', partial_json: call.function.arguments }
+          });
+          writeEvent('content_block_stop', { index: blockIndex });
+        });
+      },
+      (error) => this.writeStreamError(res, error)
+    );
+  }
+
+  /**
+   * Write an error event to a stream that has already started, then end it
+   */
+  writeStreamError(res, error) {
+    if (res.writableEnded || res.destroyed) return;
+    const { status, message } = apiErrors.normalize(error);
+    this._writeEvent(res, 'error', { error: { type: this.toErrorType(status), message } });
+    res.end();
+  }
+
+  /**
+   * Anthropic error type for an HTTP status
+   */
+  toErrorType(status) {
+    return ERROR_TYPES[status] || 'api_error';
+  }
+
+  /**
+   * Build an Anthropic error body
+   */
+  toErrorResponse(type, message) {
+    return {
+      type: 'error',
+      error: { type, message }
+    };
+  }
+
+  _writeEvent(res, event, data) {
+    res.write(`event: ${event}\ndata: ${JSON.stringify({ type: event, ...data })}\n\n`);
+  }
+
+  /**
+   * Flatten the top-level system field (string or text blocks)
+   */
+  _systemText(system) {
+    if (!system) return '';
+    if (typeof system === 'string') return system;
+    return system
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('\n');
+  }
+
+  /**
+   * Convert one Anthropic message into one or more OpenAI messages
+   * tool_result blocks become separate `tool` messages and image blocks become image_url parts
+   */
+  _toOpenAIMessages(message) {
+    if (typeof message.content === 'string') {
+      return [{ role: message.role, content: message.content }];
+    }
+
+    const blocks = Array.isArray(message.content) ? message.content : [];
+    const text = blocks
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('\n');
+
+    if (message.role === 'assistant') {
+      const toolCalls = blocks
+        .filter(block => block.type === 'tool_use')
+        .map(block => ({
+          id: block.id,
+          type: 'function',
+          function: { name: block.name, arguments: JSON.stringify(block.input || {}) }
+        }));
+      const assistantMessage = { role: 'assistant', content: text };
+      if (toolCalls.length > 0) {
+        assistantMessage.tool_calls = toolCalls;
+      }
+      return [assistantMessage];
+    }
+
+    const toolResults = blocks
+      .filter(block => block.type === 'tool_result')
+      .map(block => ({
+        role: 'tool',
+        tool_call_id: block.tool_use_id,
+        content: typeof block.content === 'string'
+          ? block.content
+          : (block.content || []).filter(part => part.type === 'text').map(part => part.text).join('\n')
+      }));
+
+    // Images become OpenAI image_url parts; only base64 sources are accepted downstream
+    const images = blocks
+      .filter(block => block.type === 'image')
+      .map(block => ({
+        type: 'image_url',
+        image_url: {
+          url: block.source?.type === 'base64'
+            ? `data:${block.source.media_type};base64,${block.source.data}`
+            : block.source?.url
+        }
+      }));
+
+    if (images.length > 0) {
+      return [...toolResults, { role: 'user', content: [{ type: 'text', text }, ...images] }];
+    }
+    return text ? [...toolResults, { role: 'user', content: text }] : toolResults;
+  }
+
+  _toolChoice(toolChoice) {
+    if (!toolChoice || toolChoice.type === 'auto') return 'auto';
+    if (toolChoice.type === 'any') return 'required';
+    if (toolChoice.type === 'none') return 'none';
+    if (toolChoice.type === 'tool') return { type: 'function', function: { name: toolChoice.name } };
+    return 'auto';
+  }
+
+  _parseInput(args) {
+    try {
+      return JSON.parse(args || '{}');
+    } catch (error) {
+      return {};
+    }
+  }
+
+  _toolUseId(id) {
+    return id && id.startsWith('toolu_') ? id : `toolu_${(id || crypto.randomBytes(12).toString('hex')).replace(/^call_/, '')}`;
+  }
+
+  _messageId() {
+    return `msg_${crypto.randomBytes(12).toString('hex')}`;
+  }
+}
+
+module.exports = new AnthropicAdapter();
@@ -0,0 +1,143 @@
+/**
+ * API Docs Page
+ * Renders the OpenAPI document as a self-contained HTML page, so LAN clients can
+ * browse what a device supports without loading anything from the internet
+ */
+
+const METHOD_COLORS = {
+  get: '#2563eb',
+  post: '#16a34a',
+  delete: '#dc2626'
+};
+
+const STYLE = `
+  body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif; background: #111827; color: #e5e7eb; margin: 0; padding: 2rem; }
+  main { max-width: 960px; margin: 0 auto; }
+  a { color: #60a5fa; }
+  h2 { margin-top: 2.5rem; border-bottom: 1px solid #374151; padding-bottom: 0.5rem; }
+  section { background: #1f2937; border-radius: 0.5rem; padding: 1rem 1.25rem; margin: 1rem 0; }
+  .method { display: inline-block; min-width: 4rem; text-align: center; color: white; font-weight: 600; border-radius: 0.25rem; padding: 0.1rem 0.5rem; margin-right: 0.5rem; font-size: 0.8rem; }
+  code { font-family: ui-monospace, SFMono-Regular, Menlo, monospace; }
+  .path { font-size: 1.05rem; }
+  .muted { color: #9ca3af; }
+  table { width: 100%; border-collapse: collapse; margin-top: 0.75rem; font-size: 0.9rem; }
+  th, td { text-align: left; padding: 0.35rem 0.5rem; border-top: 1px solid #374151; vertical-align: top; }
+  th { color: #9ca3af; font-weight: 500; }
+`;
+
+class ApiDocsPage {
+  /**
+   * Render the docs page
+   * @param {Object} document - OpenAPI document from openApiSpec.getDocument()
+   * @returns {string} HTML
+   */
+  render(document) {
+    const byTag = new Map();
+    Object.entries(document.paths).forEach(([path, operations]) => {
+      Object.entries(operations).forEach(([method, operation]) => {
+        const tag = (operation.tags && operation.tags[0]) || 'Other';
+        if (!byTag.has(tag)) byTag.set(tag, []);
+        byTag.get(tag).push(this._operation(document, path, method, operation));
+      });
+    });
+
+    const sections = [...byTag.entries()]
+      .map(([tag, operations]) => `<h2>${this._escape(tag)}</h2>\n${operations.join('\n')}`)
+      .join('\n');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${this._escape(document.info.title)}</title>
+<style>${STYLE}</style>
+</head>
+<body>
+<main>
+<h1>${this._escape(document.info.title)}</h1>
+<p>${this._escape(document.info.description)}</p>
+<p class="muted">Send an API key from Settings as <code>Authorization: Bearer &lt;key&gt;</code> or <code>x-api-key</code>.
+Machine-readable spec: <a href="/openapi.json">/openapi.json</a></p>
+${sections}
+</main>
+</body>
+</html>
+`;
+  }
+
+  _operation(document, path, method, operation) {
+    const parts = [
+      `<div><span class="method" style="background:${METHOD_COLORS[method] || '#6b7280'}">${method.toUpperCase()}</span>` +
+        `<code class="path">${this._escape(path)}</code></div>`,
+      `<p>${this._escape(operation.summary || '')}</p>`
+    ];
+    if (operation.description) {
+      parts.push(`<p class="muted">${this._escape(operation.description)}</p>`);
+    }
+    if (Array.isArray(operation.security) && operation.security.length === 0) {
+      parts.push('<p class="muted">No API key required.</p>');
+    }
+
+    const content = operation.requestBody?.content || {};
+    const bodyRef = (content['application/json'] || content['multipart/form-data'])?.schema?.$ref;
+    if (bodyRef) {
+      parts.push(this._fields(this._resolve(document, bodyRef)));
+    }
+
+    return `<section>\n${parts.join('\n')}\n</section>`;
+  }
+
+  /**
+   * Table of a request body's top-level fields
+   */
+  _fields(schema) {
+    const required = new Set(schema.required || []);
+    const rows = Object.entries(schema.properties || {}).map(([name, property]) => `<tr>
+<td><code>${this._escape(name)}</code>${required.has(name) ? ' <span class="muted">required</span>' : ''}</td>
+<td><code>${this._escape(this._typeLabel(property))}</code></td>
+<td>${this._escape(this._constraints(property))}</td>
+</tr>`);
+
+    return `<table>
+<tr><th>Field</th><th>Type</th><th>Notes</th></tr>
+${rows.join('\n')}
+</table>`;
+  }
+
+  _typeLabel(property) {
+    if (property.$ref) {
+      return property.$ref.split('/').pop();
+    }
+    if (property.enum) {
+      return property.enum.map(value => JSON.stringify(value)).join(' | ');
+    }
+    const types = [].concat(property.type || 'any').filter(type => type !== 'null');
+    return types
+      .map(type => (type === 'array' && property.items ? `${this._typeLabel(property.items)}[]` : type))
+      .join(' | ');
+  }
+
+  _constraints(property) {
+    const notes = [];
+    if (property.minimum !== undefined) notes.push(`min ${property.minimum}`);
+    if (property.maximum !== undefined) notes.push(`max ${property.maximum}`);
+    if (property.minItems !== undefined) notes.push(`at least ${property.minItems} item(s)`);
+    if (property.maxItems !== undefined) notes.push(`at most ${property.maxItems} items`);
+    if (property.description) notes.push(property.description);
+    return notes.join('; ');
+  }
+
+  _resolve(document, ref) {
+    return ref.replace(/^#\//, '').split('/').reduce((node, key) => node[key], document);
+  }
+
+  _escape(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+}
+
+module.exports = new ApiDocsPage();
@@ -0,0 +1,162 @@
+/**
+ * API Errors
+ * One error model shared by the HTTP server, P2P requests and the queue. Errors are
+ * plain Errors carrying status, type (OpenAI error type), code, param and retryAfter (seconds)
+ */
+
+// Failures we name ourselves; queue codes (RATE_LIMITED, TIMEOUT, ...) map onto these directly
+const KINDS = {
+  INVALID_REQUEST: { status: 400, type: 'invalid_request_error', code: null, message: 'Invalid request' },
+  MODEL_NOT_FOUND: { status: 404, type: 'invalid_request_error', code: 'model_not_found', message: 'The model does not exist on this device' },
+  RATE_LIMITED: { status: 429, type: 'rate_limit_error', code: 'rate_limit_exceeded', message: 'Rate limit exceeded', retryAfter: 60 },
+  QUOTA_EXCEEDED: { status: 429, type: 'insufficient_quota', code: 'insufficient_quota', message: 'Token budget used up' },
+  CANCELLED: { status: 499, type: 'invalid_request_error', code: 'request_cancelled', message: 'Request was cancelled' },
+  OVERLOADED: { status: 503, type: 'server_error', code: 'server_overloaded', message: 'Too many requests are waiting', retryAfter: 5 },
+  DEADLINE_UNREACHABLE: { status: 503, type: 'server_error', code: 'deadline_unreachable', message: 'The request cannot start before its deadline', retryAfter: 5 },
+  QUEUE_CLEARED: { status: 503, type: 'server_error', code: 'queue_cleared', message: 'The request queue was cleared', retryAfter: 1 },
+  BACKEND_UNAVAILABLE: { status: 503, type: 'server_error', code: 'backend_unavailable', message: 'The model backend is not reachable', retryAfter: 5 },
+  PEER_UNAVAILABLE: { status: 503, type: 'server_error', code: 'peer_unavailable', message: 'The peer is not reachable', retryAfter: 10 },
+  BACKEND_ERROR: { status: 502, type: 'server_error', code: 'backend_error', message: 'The model backend failed' },
+  PEER_ERROR: { status: 502, type: 'server_error', code: 'peer_error', message: 'The peer failed to handle the request' },
+  TIMEOUT: { status: 504, type: 'timeout_error', code: 'request_timeout', message: 'Request timed out' },
+  PEER_TIMEOUT: { status: 504, type: 'timeout_error', code: 'peer_timeout', message: 'The peer did not answer in time' },
+  INTERNAL: { status: 500, type: 'server_error', code: 'internal_error', message: 'Internal server error' }
+};
+
+// Clients are told when to retry these, even for errors raised outside this module
+const RETRY_STATUSES = new Set([429, 503]);
+const DEFAULT_RETRY_AFTER = 5;
+
+// Connection failures that mean the backend isn't running, as opposed to failing a request
+const UNREACHABLE_CODES = new Set(['ECONNREFUSED', 'ECONNRESET', 'ENOTFOUND', 'EHOSTUNREACH', 'EAI_AGAIN']);
+
+class ApiErrors {
+  /**
+   * Create an error of a known kind
+   * @param {string} kind - Key of KINDS, e.g. 'RATE_LIMITED'
+   * @param {string} [message] - Defaults to the kind's message
+   * @param {Object} [extra] - { param, retryAfter } overrides
+   */
+  create(kind, message, extra = {}) {
+    const { status, type, code, retryAfter = null, message: defaultMessage } = KINDS[kind] || KINDS.INTERNAL;
+    const error = new Error(message || defaultMessage);
+    error.status = status;
+    error.type = type;
+    error.code = code;
+    error.param = extra.param || null;
+    error.retryAfter = extra.retryAfter ?? retryAfter;
+    return error;
+  }
+
+  /**
+   * Turn a queueManager callback result ({ error, code, retryAfterMs }) into an error
+   */
+  fromQueueResult(result) {
+    const retryAfter = result.retryAfterMs ? Math.ceil(result.retryAfterMs / 1000) : undefined;
+    return this.create(KINDS[result.code] ? result.code : 'INTERNAL', result.error, { retryAfter });
+  }
+
+  /**
+   * Error for work stopped by an aborted queue signal
+   * The queue aborts with its callback result as the reason, so timeouts stay timeouts
+   */
+  fromAbortSignal(signal) {
+    return signal?.reason?.code ? this.fromQueueResult(signal.reason) : this.create('CANCELLED');
+  }
+
+  /**
+   * Normalize anything thrown while handling a request
+   * Errors that already carry a status and type (e.g. 400s from chatParameterMapper) pass through
+   */
+  normalize(error) {
+    if (error && error.status && error.type) {
+      error.code = error.code || null;
+      error.param = error.param || null;
+      error.retryAfter = error.retryAfter ?? (RETRY_STATUSES.has(error.status) ? DEFAULT_RETRY_AFTER : null);
+      return error;
+    }
+
+    if (error?.code === 'ERR_CANCELED') {
+      return this.create('CANCELLED');
+    }
+
+    if (error?.response) {
+      const status = error.response.status;
+      const message = this._upstreamMessage(error.response.data);
+      if (status === 404) return this.create('MODEL_NOT_FOUND', message);
+      if (status === 400) return this.create('INVALID_REQUEST', message);
+      if (status === 429 || status === 503) return this.create('BACKEND_UNAVAILABLE', message);
+      return this.create('BACKEND_ERROR', message || `The model backend responded with status ${status}`);
+    }
+
+    if (UNREACHABLE_CODES.has(error?.code)) {
+      return this.create('BACKEND_UNAVAILABLE');
+    }
+    if (error?.code === 'ETIMEDOUT' || error?.code === 'ECONNABORTED') {
+      return this.create('TIMEOUT');
+    }
+
+    return this.create('INTERNAL', error?.message);
+  }
+
+  /**
+   * Read an upstream error body that arrived as a stream (responseType 'stream'),
+   * so normalize() can report the backend's own message
+   */
+  async readResponseBody(error) {
+    const data = error?.response?.data;
+    if (!data || typeof data.pipe !== 'function') return;
+
+    let text = '';
+    try {
+      for await (const chunk of data) text += chunk;
+      error.response.data = JSON.parse(text);
+    } catch (parseError) {
+      error.response.data = { error: text };
+    }
+  }
+
+  /**
+   * OpenAI error body
+   */
+  toOpenAIBody(error) {
+    const { message, type, param, code } = this.normalize(error);
+    return { error: { message, type, param, code } };
+  }
+
+  /**
+   * Fields added to a P2P `error` message so the requesting peer can rebuild the error
+   */
+  toPeerDetails(error) {
+    const { status, type, code, param, retryAfter } = this.normalize(error);
+    return { status, type, code, param, retryAfter };
+  }
+
+  /**
+   * Rebuild an error from a P2P `error` message
+   * Only errors of a kind we know are kept, with our own status for it, so a peer can't choose the
+   * status of our response; peers without details or with unknown codes report a generic peer error
+   */
+  fromPeerMessage(message) {
+    const text = typeof message.error === 'string' && message.error ? message.error : KINDS.PEER_ERROR.message;
+    const details = message.details || {};
+    const kind = Object.keys(KINDS).find(name => KINDS[name].code === (details.code ?? null) && KINDS[name].type === details.type);
+    if (!kind) {
+      return this.create('PEER_ERROR', text);
+    }
+    const retryAfter = Number.isFinite(details.retryAfter) && details.retryAfter > 0 ? Math.ceil(details.retryAfter) : undefined;
+    return this.create(kind, text, {
+      param: typeof details.param === 'string' ? details.param : null,
+      retryAfter
+    });
+  }
+
+  _upstreamMessage(data) {
+    if (!data) return null;
+    if (typeof data === 'string') return data;
+    if (typeof data.error === 'string') return data.error;
+    return data.error?.message || null;
+  }
+}
+
+module.exports = new ApiErrors();
@@ -0,0 +1,234 @@
+/**
+ * API Key Manager
+ * Issues, stores (hashed) and verifies API keys for the local HTTP server
+ */
+
+const crypto = require('crypto');
+const priorityClasses = require('./priorityClasses.js');
+const modelAliases = require('./modelAliases.js');
+
+let store = null;
+
+// Keys are persisted in electron-store when available
+try {
+  const Store = require('electron-store');
+  store = new Store();
+} catch (e) {
+  // Outside the main process keys only live in memory
+}
+
+const KEYS_STORE_KEY = 'apiKeys';
+const SETTINGS_STORE_KEY = 'apiAuthSettings';
+const KEY_PREFIX = 'pk-';
+const LAST_USED_WRITE_INTERVAL = 60000; // Persist lastUsedAt at most once a minute
+
+class ApiKeyManager {
+  constructor() {
+    this.memoryKeys = [];
+    this.memorySettings = {};
+    // Per-process token for the main process calling its own HTTP server
+    this.internalToken = `${KEY_PREFIX}internal-${crypto.randomBytes(24).toString('hex')}`;
+  }
+
+  /**
+   * Create a new API key
+   * @param {Object} options - { name, models, access, expiresAt, priority }; priority is the queue
+   *   priority class of the key's requests, one of priorityClasses.getApiKeyPriorities()
+   * @returns {{key: string, record: Object}} The plaintext key is only returned here
+   */
+  createKey({ name, models = [], access = 'chat', expiresAt = null, priority = 'trusted' } = {}) {
+    if (access !== 'read' && access !== 'chat') {
+      throw new Error(`Invalid access level: ${access}`);
+    }
+    if (!priorityClasses.getApiKeyPriorities().includes(priority)) {
+      throw new Error(`Invalid priority: ${priority}`);
+    }
+    if (expiresAt !== null && Number.isNaN(new Date(expiresAt).getTime())) {
+      throw new Error(`Invalid expiry date: ${expiresAt}`);
+    }
+
+    const key = `${KEY_PREFIX}${crypto.randomBytes(24).toString('hex')}`;
+    const record = {
+      id: `key_${crypto.randomBytes(8).toString('hex')}`,
+      name: name || 'Unnamed key',
+      hash: this._hash(key),
+      // Shown in Settings so users can tell keys apart without the secret
+      hint: `${key.slice(0, KEY_PREFIX.length + 4)}…${key.slice(-4)}`,
+      scopes: {
+        models: models.filter(Boolean),
+        access
+      },
+      priority,
+      createdAt: new Date().toISOString(),
+      expiresAt: expiresAt ? new Date(expiresAt).toISOString() : null,
+      lastUsedAt: null
+    };
+
+    this._saveKeys([...this._loadKeys(), record]);
+    console.log(`🔑 API key created: ${record.id} (${record.name})`);
+
+    return { key, record: this._publicRecord(record) };
+  }
+
+  /**
+   * List keys without their hashes
+   * @returns {Object[]}
+   */
+  listKeys() {
+    return this._loadKeys().map(record => this._publicRecord(record));
+  }
+
+  /**
+   * Revoke (delete) a key
+   * @param {string} id
+   * @returns {boolean} true if a key was removed
+   */
+  revokeKey(id) {
+    const keys = this._loadKeys();
+    const remaining = keys.filter(record => record.id !== id);
+    if (remaining.length === keys.length) return false;
+
+    this._saveKeys(remaining);
+    console.log(`🔑 API key revoked: ${id}`);
+    return true;
+  }
+
+  /**
+   * Verify a presented key
+   * @param {string} key
+   * @returns {{valid: boolean, record?: Object, reason?: string}}
+   */
+  verify(key) {
+    if (!key) {
+      return { valid: false, reason: 'missing' };
+    }
+
+    if (this._safeEqual(this._hash(key), this._hash(this.internalToken))) {
+      return { valid: true, record: this._internalRecord() };
+    }
+
+    const hash = this._hash(key);
+    const keys = this._loadKeys();
+    const record = keys.find(candidate => this._safeEqual(candidate.hash, hash));
+    if (!record) {
+      return { valid: false, reason: 'invalid' };
+    }
+
+    if (record.expiresAt && new Date(record.expiresAt).getTime() <= Date.now()) {
+      return { valid: false, reason: 'expired' };
+    }
+
+    const now = Date.now();
+    if (!record.lastUsedAt || now - new Date(record.lastUsedAt).getTime() > LAST_USED_WRITE_INTERVAL) {
+      record.lastUsedAt = new Date(now).toISOString();
+      this._saveKeys(keys);
+    }
+
+    return { valid: true, record: this._publicRecord(record) };
+  }
+
+  /**
+   * Check whether a key may use a model
+   * Model scopes accept exact names or a trailing `*` wildcard (e.g. `llama3*`). An alias is
+   * only allowed when the model it stands for is allowed too
+   * @param {Object} record - Verified key record
+   * @param {string} model - Model name or alias, as the request gives it
+   * @returns {boolean}
+   */
+  allowsModel(record, model) {
+    const allowed = record.scopes.models;
+    if (!allowed || allowed.length === 0) return true;
+
+    const target = modelAliases.resolveModel(model);
+    return this._matchesScopes(allowed, model) && (target === model || this._matchesScopes(allowed, target));
+  }
+
+  _matchesScopes(allowed, model) {
+    return allowed.some(pattern => {
+      if (pattern === '*') return true;
+      if (pattern.endsWith('*')) return model.startsWith(pattern.slice(0, -1));
+      return pattern === model;
+    });
+  }
+
+  /**
+   * Check whether a key grants an access level
+   * @param {Object} record - Verified key record
+   * @param {'read'|'chat'} access
+   * @returns {boolean}
+   */
+  allowsAccess(record, access) {
+    return access === 'read' || record.scopes.access === 'chat';
+  }
+
+  /**
+   * Token the main process uses when calling its own HTTP server
+   */
+  getInternalToken() {
+    return this.internalToken;
+  }
+
+  /**
+   * Get auth settings
+   * @returns {{requireKeyForLocalhost: boolean}}
+   */
+  getSettings() {
+    const saved = store ? store.get(SETTINGS_STORE_KEY) : this.memorySettings;
+    return {
+      requireKeyForLocalhost: false,
+      ...(saved || {})
+    };
+  }
+
+  /**
+   * Update auth settings
+   * @param {Object} settings
+   */
+  setSettings(settings) {
+    const updated = { ...this.getSettings(), ...settings };
+    if (store) {
+      store.set(SETTINGS_STORE_KEY, updated);
+    } else {
+      this.memorySettings = updated;
+    }
+    return updated;
+  }
+
+  _loadKeys() {
+    return store ? (store.get(KEYS_STORE_KEY) || []) : this.memoryKeys;
+  }
+
+  _saveKeys(keys) {
+    if (store) {
+      store.set(KEYS_STORE_KEY, keys);
+    } else {
+      this.memoryKeys = keys;
+    }
+  }
+
+  _publicRecord(record) {
+    const { hash, ...rest } = record;
+    return rest;
+  }
+
+  _internalRecord() {
+    return {
+      id: 'internal',
+      name: 'Pantheon app',
+      scopes: { models: [], access: 'chat' },
+      expiresAt: null
+    };
+  }
+
+  _hash(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+  }
+
+  _safeEqual(a, b) {
+    const bufferA = Buffer.from(a, 'hex');
+    const bufferB = Buffer.from(b, 'hex');
+    return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+  }
+}
+
+module.exports = new ApiKeyManager();
@@ -0,0 +1,201 @@
+/**
+ * Backend Registry
+ * OpenAI-compatible local servers (llama.cpp, LM Studio, vLLM, LocalAI) added in Settings,
+ * served next to Ollama and Apple Foundation Models
+ */
+
+const crypto = require('crypto');
+const openAIBackend = require('./openAIBackend.js');
+const modelRef = require('./modelRef.js');
+
+let store = null;
+
+// Backends are persisted in electron-store when available
+try {
+  const Store = require('electron-store');
+  store = new Store();
+} catch (e) {
+  // Outside the main process backends only live in memory
+}
+
+const BACKENDS_STORE_KEY = 'backends';
+
+class BackendRegistry {
+  constructor() {
+    this.memoryBackends = [];
+    this.status = new Map(); // backend id -> { modelCount, error, checkedAt } from the last model listing
+    this.listedModels = new Map(); // backend id -> Set of model names from the last model listing
+  }
+
+  /**
+   * List backends without their API keys, with the result of the last model listing
+   * @returns {Object[]}
+   */
+  listBackends() {
+    return this._loadBackends().map(backend => this._publicRecord(backend));
+  }
+
+  /**
+   * Add a backend
+   * @param {Object} options - { name, baseUrl, apiKey }
+   * @throws {Error} if the name or base URL is missing or invalid
+   */
+  addBackend({ name, baseUrl, apiKey = '' } = {}) {
+    const backends = this._loadBackends();
+    const validName = this._validateName(name);
+    const backend = {
+      id: this._uniqueId(validName, backends),
+      name: validName,
+      baseUrl: this._validateBaseUrl(baseUrl),
+      apiKey: apiKey || '',
+      enabled: true,
+      createdAt: new Date().toISOString()
+    };
+
+    this._saveBackends([...backends, backend]);
+    console.log(`🔌 Backend added: ${backend.id} (${backend.baseUrl})`);
+    return this._publicRecord(backend);
+  }
+
+  /**
+   * Update a backend's name, base URL, API key or enabled flag
+   * An omitted apiKey keeps the saved one; an empty string removes it
+   * @returns {Object|null} null if there is no such backend
+   */
+  updateBackend(id, changes = {}) {
+    const backends = this._loadBackends();
+    const backend = backends.find(candidate => candidate.id === id);
+    if (!backend) return null;
+
+    if (changes.name !== undefined) backend.name = this._validateName(changes.name);
+    if (changes.baseUrl !== undefined) backend.baseUrl = this._validateBaseUrl(changes.baseUrl);
+    if (changes.apiKey !== undefined) backend.apiKey = changes.apiKey || '';
+    if (changes.enabled !== undefined) backend.enabled = !!changes.enabled;
+
+    this._saveBackends(backends);
+    this.status.delete(id);
+    this.listedModels.delete(id);
+    return this._publicRecord(backend);
+  }
+
+  /**
+   * Remove a backend
+   * @returns {boolean} true if a backend was removed
+   */
+  removeBackend(id) {
+    const backends = this._loadBackends();
+    const remaining = backends.filter(backend => backend.id !== id);
+    if (remaining.length === backends.length) return false;
+
+    this._saveBackends(remaining);
+    this.status.delete(id);
+    this.listedModels.delete(id);
+    console.log(`🔌 Backend removed: ${id}`);
+    return true;
+  }
+
+  /**
+   * Models of every enabled backend, in the shape of HTTPServerHandler.getModels()
+   * A backend that can't be reached is skipped and its error kept for Settings
+   */
+  async getModels() {
+    const lists = await Promise.all(this._loadBackends()
+      .filter(backend => backend.enabled)
+      .map(async (backend) => {
+        try {
+          const models = await openAIBackend.listModels(backend);
+          this.status.set(backend.id, { modelCount: models.length, error: null, checkedAt: new Date().toISOString() });
+          this.listedModels.set(backend.id, new Set(models.map(model => model.id)));
+          return models.map(model => ({
+            // backend://<backend id>/<model>, so they can't collide with Ollama's or each other's
+            id: modelRef.format({ provider: 'backend', device: backend.id, ...modelRef.splitTag(model.id) }),
+            name: model.id,
+            object: 'model',
+            created: model.created ? model.created * 1000 : Date.now(),
+            owned_by: model.owned_by || backend.id,
+            provider: backend.name,
+            backend_id: backend.id
+          }));
+        } catch (error) {
+          console.error(`Failed to get models from backend ${backend.id}:`, error.message);
+          this.status.set(backend.id, { modelCount: 0, error: error.message, checkedAt: new Date().toISOString() });
+          return [];
+        }
+      }));
+    return lists.flat();
+  }
+
+  /**
+   * Find the enabled backend that serves a model ID
+   * @returns {{backend: Object, model: string}|null} The backend and its own name for the model
+   */
+  resolveModel(modelId) {
+    const ref = modelRef.parse(modelId);
+    if (!ref || ref.provider !== 'backend') return null;
+
+    const backend = this._loadBackends().find(candidate => candidate.enabled && candidate.id === ref.device);
+    return backend ? { backend, model: modelRef.modelName(ref) } : null;
+  }
+
+  /**
+   * Whether a model ID names a model its backend returned in the last model listing
+   */
+  isListedModel(modelId) {
+    const resolved = this.resolveModel(modelId);
+    return !!resolved && !!this.listedModels.get(resolved.backend.id)?.has(resolved.model);
+  }
+
+  _validateName(name) {
+    const trimmed = typeof name === 'string' ? name.trim() : '';
+    if (!trimmed) {
+      throw new Error('Backend name is required');
+    }
+    return trimmed;
+  }
+
+  _validateBaseUrl(baseUrl) {
+    let url;
+    try {
+      url = new URL((baseUrl || '').trim());
+    } catch (error) {
+      throw new Error(`Invalid base URL: ${baseUrl}`);
+    }
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+      throw new Error(`Invalid base URL: ${baseUrl}`);
+    }
+    // Stored without a trailing slash so paths can be appended
+    return url.toString().replace(/\/+$/, '');
+  }
+
+  /**
+   * Derive a short, URL-safe id from the name (e.g. "LM Studio" -> "lm-studio")
+   */
+  _uniqueId(name, backends) {
+    const base = (name || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '')
+      || `backend-${crypto.randomBytes(3).toString('hex')}`;
+    let id = base;
+    for (let suffix = 2; backends.some(backend => backend.id === id); suffix++) {
+      id = `${base}-${suffix}`;
+    }
+    return id;
+  }
+
+  _loadBackends() {
+    return store ? (store.get(BACKENDS_STORE_KEY) || []) : this.memoryBackends;
+  }
+
+  _saveBackends(backends) {
+    if (store) {
+      store.set(BACKENDS_STORE_KEY, backends);
+    } else {
+      this.memoryBackends = backends;
+    }
+  }
+
+  _publicRecord(backend) {
+    const { apiKey, ...rest } = backend;
+    return { ...rest, hasApiKey: !!apiKey, status: this.status.get(backend.id) || null };
+  }
+}
+
+module.exports = new BackendRegistry();
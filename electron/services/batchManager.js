@@ -0,0 +1,457 @@
+/**
+ * Batch Manager
+ * Runs OpenAI Batch API jobs (/v1/batches): validates the input JSONL, sends each line
+ * through the queue in the 'batch' priority class and writes output and error JSONL files.
+ * Batches are persisted in userData and pick up where they left off after a restart
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const fileStore = require('./fileStore.js');
+const openApiSpec = require('./openApiSpec.js');
+const apiKeyManager = require('./apiKeyManager.js');
+const httpServerHandler = require('./httpServerHandler.js');
+const apiErrors = require('./apiErrors.js');
+const { getUserDataPath } = require('./userDataPath.js');
+
+// Endpoints a batch can target, with the schema each line's body must match
+const ENDPOINT_SCHEMAS = {
+  '/v1/chat/completions': 'ChatCompletionRequest',
+  '/v1/embeddings': 'EmbeddingsRequest'
+};
+const COMPLETION_WINDOWS = { '24h': 24 * 60 * 60 };
+// Only the first problems of an invalid input file are reported
+const MAX_VALIDATION_ERRORS = 100;
+// Error codes of lines turned away for now (per-minute token limit, busy queue) that are retried, not failed
+const RETRY_CODES = new Set(['rate_limit_exceeded', 'server_overloaded', 'deadline_unreachable']);
+
+class BatchManager {
+  constructor() {
+    this.batches = null; // id -> record, loaded on first use
+    this.inFlight = new Map(); // batch id -> queue request id of the line being run
+    this.retryWaits = new Map(); // batch id -> { timer, resolve } while a turned-away line waits to be retried
+  }
+
+  /**
+   * Resume batches that were running when the app last quit
+   * Called once from the main process at startup
+   */
+  resume() {
+    this._load().forEach(batch => {
+      if (batch.status === 'validating') {
+        this._start(batch);
+      } else if (batch.status === 'in_progress') {
+        console.log(`📦 Resuming batch ${batch.id}`);
+        this._run(batch);
+      } else if (batch.status === 'finalizing') {
+        this._finalize(batch, 'completed');
+      } else if (batch.status === 'cancelling') {
+        this._finalize(batch, 'cancelled');
+      }
+    });
+  }
+
+  /**
+   * Create a batch from an uploaded input file and start it in the background
+   * @param {Object} options - { inputFileId, endpoint, completionWindow, metadata, owner, allowedModels }
+   *   allowedModels are the caller's API key model scopes (empty for all models)
+   * @returns {Object} Stored batch record, still 'validating'
+   */
+  createBatch({ inputFileId, endpoint, completionWindow, metadata = null, owner, allowedModels = [] }) {
+    const now = Math.floor(Date.now() / 1000);
+    const batch = {
+      id: `batch_${crypto.randomBytes(12).toString('hex')}`,
+      object: 'batch',
+      endpoint,
+      errors: null,
+      input_file_id: inputFileId,
+      completion_window: completionWindow,
+      status: 'validating',
+      output_file_id: null,
+      error_file_id: null,
+      created_at: now,
+      in_progress_at: null,
+      expires_at: now + COMPLETION_WINDOWS[completionWindow],
+      finalizing_at: null,
+      completed_at: null,
+      failed_at: null,
+      expired_at: null,
+      cancelling_at: null,
+      cancelled_at: null,
+      request_counts: { total: 0, completed: 0, failed: 0 },
+      metadata,
+      owner,
+      allowedModels
+    };
+
+    this._load().set(batch.id, batch);
+    this._save(batch);
+    console.log(`📦 Batch ${batch.id} created for ${endpoint} from ${inputFileId}`);
+
+    setImmediate(() => this._start(batch));
+    return batch;
+  }
+
+  getBatch(id) {
+    return this._load().get(id) || null;
+  }
+
+  /**
+   * List batches, newest first
+   * @param {Function} filter - Predicate on the stored record
+   */
+  listBatches(filter = () => true) {
+    return [...this._load().values()]
+      .filter(filter)
+      .sort((a, b) => b.created_at - a.created_at);
+  }
+
+  /**
+   * Cancel a batch; the line being run is cancelled and no further lines start
+   * @returns {Object|null} The batch, or null if it had already finished
+   */
+  cancelBatch(id) {
+    const batch = this.getBatch(id);
+    if (!batch || (batch.status !== 'validating' && batch.status !== 'in_progress')) {
+      return null;
+    }
+
+    batch.status = 'cancelling';
+    batch.cancelling_at = Math.floor(Date.now() / 1000);
+    this._save(batch);
+    console.log(`🚫 Cancelling batch ${batch.id}`);
+
+    if (this.inFlight.has(batch.id)) {
+      httpServerHandler.cancelRequest(this.inFlight.get(batch.id));
+    } else if (this.retryWaits.has(batch.id)) {
+      // Wake the loop so it finalizes the batch itself
+      const { timer, resolve } = this.retryWaits.get(batch.id);
+      clearTimeout(timer);
+      resolve();
+    } else {
+      // Nothing is running, so there is no loop left to notice the cancellation
+      this._finalize(batch, 'cancelled');
+    }
+    return batch;
+  }
+
+  /**
+   * Public OpenAI batch object, without internal fields
+   */
+  toPublic(batch) {
+    const { owner, allowedModels, ...publicBatch } = batch;
+    return publicBatch;
+  }
+
+  /**
+   * Validate the input file and run the batch if every line is usable
+   */
+  _start(batch) {
+    if (batch.status !== 'validating') return;
+
+    let requests;
+    try {
+      requests = this._readRequests(batch);
+    } catch (error) {
+      this._fail(batch, [{ code: 'file_not_found', message: error.message, line: null, param: 'input_file_id' }]);
+      return;
+    }
+
+    const errors = this._validate(batch, requests);
+    if (errors.length > 0) {
+      this._fail(batch, errors);
+      return;
+    }
+
+    batch.status = 'in_progress';
+    batch.in_progress_at = Math.floor(Date.now() / 1000);
+    batch.request_counts.total = requests.length;
+    this._save(batch);
+    this._run(batch);
+  }
+
+  async _run(batch) {
+    let requests;
+    try {
+      requests = this._readRequests(batch);
+    } catch (error) {
+      this._fail(batch, [{ code: 'file_not_found', message: error.message, line: null, param: 'input_file_id' }]);
+      return;
+    }
+
+    // Lines already answered before a restart are skipped
+    const succeeded = this._readWorkFile(batch, 'output');
+    const failed = this._readWorkFile(batch, 'errors');
+    const answered = new Set([...succeeded, ...failed].map(line => line.custom_id));
+    batch.request_counts.completed = succeeded.length;
+    batch.request_counts.failed = failed.length;
+
+    const pending = requests.filter(({ request }) => !answered.has(request.custom_id));
+    for (let index = 0; index < pending.length; index++) {
+      if (batch.status === 'cancelling') {
+        return this._finalize(batch, 'cancelled');
+      }
+      if (batch.status !== 'in_progress') return;
+      if (Date.now() / 1000 >= batch.expires_at) {
+        this._expireRemaining(batch, pending.slice(index));
+        return this._finalize(batch, 'expired');
+      }
+
+      const result = await this._execute(batch, pending[index].request);
+      if (batch.status === 'cancelling') {
+        // The line was cut short by the cancellation, so it has no result
+        return this._finalize(batch, 'cancelled');
+      }
+      if (result.retryAfter) {
+        // Over the owner's per-minute token limit or the queue is busy: wait rather than failing the rest of the batch,
+        // but no later than the batch expires
+        await this._waitToRetry(batch, Math.min(result.retryAfter * 1000, batch.expires_at * 1000 - Date.now()));
+        index--;
+        continue;
+      }
+
+      this._appendWorkFile(batch, result.ok ? 'output' : 'errors', result.line);
+      batch.request_counts[result.ok ? 'completed' : 'failed']++;
+      this._save(batch);
+    }
+
+    this._finalize(batch, 'completed');
+  }
+
+  /**
+   * Wait before retrying a turned-away line; cancelBatch ends the wait early
+   */
+  _waitToRetry(batch, ms) {
+    return new Promise(resolve => {
+      const timer = setTimeout(resolve, ms);
+      this.retryWaits.set(batch.id, { timer, resolve });
+    }).finally(() => this.retryWaits.delete(batch.id));
+  }
+
+  /**
+   * Run one input line through the queue
+   * @returns {Promise<{ok: boolean, line: Object, retryAfter?: number}>} The output or error file line;
+   *   retryAfter (seconds) when the line was turned away for now (RETRY_CODES) and should be retried
+   */
+  async _execute(batch, request) {
+    const requestId = `batch_req_${crypto.randomBytes(12).toString('hex')}`;
+    const body = { ...request.body, stream: false };
+    const options = { requestId, priority: 'batch' };
+    this.inFlight.set(batch.id, requestId);
+
+    try {
+      const response = batch.endpoint === '/v1/embeddings'
+        ? await httpServerHandler.createEmbeddings(body, batch.owner, options)
+        : await httpServerHandler.createChatCompletion(body, batch.owner, options);
+      return {
+        ok: true,
+        line: { id: requestId, custom_id: request.custom_id, response: { status_code: 200, request_id: requestId, body: response }, error: null }
+      };
+    } catch (error) {
+      const apiError = apiErrors.normalize(error);
+      return {
+        ok: false,
+        retryAfter: RETRY_CODES.has(apiError.code) ? apiError.retryAfter : undefined,
+        line: {
+          id: requestId,
+          custom_id: request.custom_id,
+          response: {
+            status_code: apiError.status,
+            request_id: requestId,
+            body: apiErrors.toOpenAIBody(error)
+          },
+          error: null
+        }
+      };
+    } finally {
+      this.inFlight.delete(batch.id);
+    }
+  }
+
+  /**
+   * Parse the input file into { line, request } pairs, skipping blank lines
+   * Unparseable lines come back with request null
+   */
+  _readRequests(batch) {
+    const file = fileStore.getFile(batch.input_file_id);
+    if (!file) {
+      throw new Error(`Input file ${batch.input_file_id} no longer exists`);
+    }
+
+    return fs.readFileSync(fileStore.getContentPath(file.id), 'utf8')
+      .split('\n')
+      .map((text, index) => ({ text: text.trim(), line: index + 1 }))
+      .filter(({ text }) => text)
+      .map(({ text, line }) => {
+        try {
+          return { line, request: JSON.parse(text) };
+        } catch (error) {
+          return { line, request: null };
+        }
+      });
+  }
+
+  /**
+   * Check every input line, returning OpenAI-style batch errors
+   */
+  _validate(batch, requests) {
+    const errors = [];
+    const customIds = new Set();
+    const schemaName = ENDPOINT_SCHEMAS[batch.endpoint];
+    const keyScopes = { scopes: { models: batch.allowedModels } };
+
+    if (requests.length === 0) {
+      errors.push({ code: 'empty_file', message: 'The input file contains no requests.', line: null, param: null });
+    }
+
+    requests.forEach(({ line, request }) => {
+      const fail = (code, message, param = null) => errors.push({ code, message, line, param });
+
+      if (!request || typeof request !== 'object') {
+        return fail('invalid_json_line', 'This line is not parseable as valid JSON.');
+      }
+      if (typeof request.custom_id !== 'string' || !request.custom_id) {
+        return fail('missing_required_parameter', "Missing required parameter: 'custom_id'", 'custom_id');
+      }
+      if (customIds.has(request.custom_id)) {
+        return fail('duplicate_custom_id', `The custom_id '${request.custom_id}' is used by more than one request.`, 'custom_id');
+      }
+      customIds.add(request.custom_id);
+
+      if (request.method !== 'POST') {
+        return fail('invalid_method', "'method' must be 'POST'", 'method');
+      }
+      if (request.url !== batch.endpoint) {
+        return fail('mismatched_endpoint', `'url' must be '${batch.endpoint}', the endpoint of this batch`, 'url');
+      }
+
+      const bodyError = openApiSpec.validate(schemaName, request.body);
+      if (bodyError) {
+        return fail('invalid_request', bodyError.message, bodyError.param ? `body.${bodyError.param}` : 'body');
+      }
+      if (request.body.stream === true) {
+        return fail('invalid_request', "'stream' is not supported in batches", 'body.stream');
+      }
+      if (!apiKeyManager.allowsModel(keyScopes, request.body.model)) {
+        return fail('model_not_allowed', `This API key does not have access to model '${request.body.model}'.`, 'body.model');
+      }
+    });
+
+    return errors.slice(0, MAX_VALIDATION_ERRORS);
+  }
+
+  _fail(batch, errors) {
+    batch.status = 'failed';
+    batch.failed_at = Math.floor(Date.now() / 1000);
+    batch.errors = { object: 'list', data: errors };
+    this._save(batch);
+    console.warn(`❌ Batch ${batch.id} failed validation: ${errors[0].message}`);
+  }
+
+  /**
+   * Record the lines that never ran because the completion window ran out
+   */
+  _expireRemaining(batch, remaining) {
+    remaining.forEach(({ request }) => {
+      this._appendWorkFile(batch, 'errors', {
+        id: `batch_req_${crypto.randomBytes(12).toString('hex')}`,
+        custom_id: request.custom_id,
+        response: null,
+        error: { code: 'batch_expired', message: 'This request could not be executed before the completion window expired.' }
+      });
+      batch.request_counts.failed++;
+    });
+  }
+
+  /**
+   * Turn the work files into output/error files and settle the final status
+   */
+  _finalize(batch, status) {
+    batch.status = 'finalizing';
+    batch.finalizing_at = batch.finalizing_at || Math.floor(Date.now() / 1000);
+    this._save(batch);
+
+    ['output', 'errors'].forEach(kind => {
+      const workPath = this._workPath(batch, kind);
+      if (!fs.existsSync(workPath)) return;
+
+      if (fs.statSync(workPath).size === 0) {
+        fs.rmSync(workPath, { force: true });
+        return;
+      }
+      const file = fileStore.addFile({
+        sourcePath: workPath,
+        filename: `${batch.id}_${kind === 'output' ? 'output' : 'error'}.jsonl`,
+        purpose: 'batch_output',
+        owner: batch.owner
+      });
+      batch[kind === 'output' ? 'output_file_id' : 'error_file_id'] = file.id;
+    });
+
+    batch.status = status;
+    batch[`${status}_at`] = Math.floor(Date.now() / 1000);
+    this._save(batch);
+    console.log(`📦 Batch ${batch.id} ${status}: ${batch.request_counts.completed} completed, ${batch.request_counts.failed} failed`);
+  }
+
+  _appendWorkFile(batch, kind, line) {
+    fs.appendFileSync(this._workPath(batch, kind), `${JSON.stringify(line)}\n`);
+  }
+
+  /**
+   * Read the results written so far, dropping a line cut short by a crash
+   */
+  _readWorkFile(batch, kind) {
+    const workPath = this._workPath(batch, kind);
+    if (!fs.existsSync(workPath)) return [];
+
+    const lines = [];
+    fs.readFileSync(workPath, 'utf8').split('\n').filter(Boolean).forEach(text => {
+      try {
+        lines.push(JSON.parse(text));
+      } catch (error) {
+        // Partial last line; the request is simply run again
+      }
+    });
+    fs.writeFileSync(workPath, lines.map(line => `${JSON.stringify(line)}\n`).join(''));
+    return lines;
+  }
+
+  _workPath(batch, kind) {
+    return path.join(this._ensureDir('work'), `${batch.id}.${kind}.jsonl`);
+  }
+
+  _save(batch) {
+    const batchPath = path.join(this._ensureDir('jobs'), `${batch.id}.json`);
+    // Write then rename so a crash never leaves a half-written batch behind
+    fs.writeFileSync(`${batchPath}.tmp`, JSON.stringify(batch));
+    fs.renameSync(`${batchPath}.tmp`, batchPath);
+  }
+
+  _load() {
+    if (!this.batches) {
+      this.batches = new Map();
+      const dir = this._ensureDir('jobs');
+      fs.readdirSync(dir)
+        .filter(name => name.endsWith('.json'))
+        .forEach(name => {
+          try {
+            const batch = JSON.parse(fs.readFileSync(path.join(dir, name), 'utf8'));
+            this.batches.set(batch.id, batch);
+          } catch (error) {
+            console.error(`Failed to load batch ${name}:`, error.message);
+          }
+        });
+    }
+    return this.batches;
+  }
+
+  _ensureDir(name) {
+    const dir = getUserDataPath('batches', name);
+    fs.mkdirSync(dir, { recursive: true });
+    return dir;
+  }
+}
+
+module.exports = new BatchManager();
@@ -0,0 +1,335 @@
+/**
+ * Chat Parameter Mapper
+ * Validates OpenAI chat completion parameters and maps them to Ollama options,
+ * tools and messages
+ */
+
+const crypto = require('crypto');
+const Ajv = require('ajv');
+
+// Ollama has no native support for multiple choices, so n > 1 is served by
+// running the generation several times in the same queue slot
+const MAX_CHOICES = 8;
+const MAX_STOP_SEQUENCES = 4;
+
+class ChatParameterMapper {
+  /**
+   * Validate an OpenAI-style request and build the matching Ollama parameters
+   * @param {Object} request - OpenAI chat completion request body
+   * @returns {{options: Object, n: number, tools?: Object[], format?: string|Object, validateContent?: Function}}
+   *   Ollama `options`, the number of choices, tools, Ollama `format` and a validator for strict JSON schemas
+   * @throws {Error} with status 400 and an OpenAI `invalid_request_error` shape
+   */
+  toOllamaParams(request = {}) {
+    const options = {};
+
+    const temperature = this._number(request, 'temperature', 0, 2);
+    if (temperature !== undefined) options.temperature = temperature;
+
+    const topP = this._number(request, 'top_p', 0, 1);
+    if (topP !== undefined) options.top_p = topP;
+
+    // Not part of the OpenAI API, but sent by Anthropic-style clients
+    const topK = this._integer(request, 'top_k', 1);
+    if (topK !== undefined) options.top_k = topK;
+
+    // max_completion_tokens is the newer OpenAI name for max_tokens
+    const maxTokensField = request.max_completion_tokens !== undefined && request.max_completion_tokens !== null
+      ? 'max_completion_tokens'
+      : 'max_tokens';
+    const maxTokens = this._integer(request, maxTokensField, 1);
+    if (maxTokens !== undefined) options.num_predict = maxTokens;
+
+    const seed = this._integer(request, 'seed');
+    if (seed !== undefined) options.seed = seed;
+
+    // Same mapping as Ollama's own OpenAI compatibility layer
+    const presencePenalty = this._number(request, 'presence_penalty', -2, 2);
+    if (presencePenalty !== undefined) options.presence_penalty = presencePenalty;
+
+    const frequencyPenalty = this._number(request, 'frequency_penalty', -2, 2);
+    if (frequencyPenalty !== undefined) options.frequency_penalty = frequencyPenalty;
+
+    const stop = this._stop(request.stop);
+    if (stop) options.stop = stop;
+
+    const n = this._integer(request, 'n', 1, MAX_CHOICES) || 1;
+    if (n > 1 && request.stream) {
+      throw this.invalidRequest('n > 1 is not supported when stream is true', 'n');
+    }
+
+    const params = { options, n };
+
+    const tools = this._tools(request.tools, request.tool_choice);
+    if (tools) params.tools = tools;
+
+    Object.assign(params, this._responseFormat(request.response_format));
+
+    return params;
+  }
+
+  /**
+   * Convert OpenAI messages to Ollama chat messages, keeping tool call context
+   * Content part arrays are split into text and base64 `images`
+   * @param {Object[]} messages - OpenAI messages
+   * @returns {Object[]}
+   * @throws {Error} with status 400 for unsupported content parts
+   */
+  toOllamaMessages(messages) {
+    // Ollama identifies tool results by function name, so remember which call id belongs to which tool
+    const toolNames = new Map();
+
+    return messages.map((msg, index) => {
+      const { text, images } = this.parseContent(msg.content, `messages[${index}].content`);
+      const ollamaMessage = {
+        role: msg.role,
+        content: text
+      };
+      if (images.length > 0) {
+        ollamaMessage.images = images;
+      }
+
+      if (msg.role === 'assistant' && Array.isArray(msg.tool_calls)) {
+        ollamaMessage.tool_calls = msg.tool_calls.map(call => {
+          toolNames.set(call.id, call.function?.name);
+          return {
+            id: call.id,
+            function: {
+              name: call.function?.name,
+              arguments: this._parseArguments(call.function?.arguments)
+            }
+          };
+        });
+      }
+
+      if (msg.role === 'tool') {
+        ollamaMessage.tool_call_id = msg.tool_call_id;
+        const toolName = msg.name || toolNames.get(msg.tool_call_id);
+        if (toolName) {
+          ollamaMessage.tool_name = toolName;
+        }
+      }
+
+      return ollamaMessage;
+    });
+  }
+
+  /**
+   * Split OpenAI message content (string or content parts) into text and base64 images
+   * Only data URLs are accepted for `image_url`, so the host never fetches remote URLs
+   * @param {string|Object[]|null} content
+   * @param {string} param - Parameter path used in error messages
+   * @returns {{text: string, images: string[]}}
+   */
+  parseContent(content, param = 'content') {
+    if (content === undefined || content === null) {
+      return { text: '', images: [] };
+    }
+    if (typeof content === 'string') {
+      return { text: content, images: [] };
+    }
+    if (!Array.isArray(content)) {
+      throw this.invalidRequest(`'${param}' must be a string or an array of content parts`, param);
+    }
+
+    const texts = [];
+    const images = [];
+    content.forEach((part, index) => {
+      if (part?.type === 'text') {
+        texts.push(part.text || '');
+      } else if (part?.type === 'image_url') {
+        const url = typeof part.image_url === 'string' ? part.image_url : part.image_url?.url;
+        const match = typeof url === 'string' && url.match(/^data:image\/[\w.+-]+;base64,(.+)$/s);
+        if (!match) {
+          throw this.invalidRequest(
+            `'${param}[${index}].image_url.url' must be a base64 data URL (data:image/...;base64,...)`,
+            `${param}[${index}].image_url.url`
+          );
+        }
+        images.push(match[1]);
+      } else {
+        throw this.invalidRequest(`Unsupported content part type '${part?.type}'`, `${param}[${index}].type`);
+      }
+    });
+
+    return { text: texts.join('\n'), images };
+  }
+
+  /**
+   * Convert Ollama tool calls to OpenAI `tool_calls`
+   * @param {Object[]} toolCalls - Ollama `message.tool_calls`
+   * @returns {Object[]}
+   */
+  toOpenAIToolCalls(toolCalls) {
+    return toolCalls.map(call => ({
+      id: call.id || `call_${crypto.randomBytes(12).toString('hex')}`,
+      type: 'function',
+      function: {
+        name: call.function?.name,
+        arguments: typeof call.function?.arguments === 'string'
+          ? call.function.arguments
+          : JSON.stringify(call.function?.arguments || {})
+      }
+    }));
+  }
+
+  /**
+   * Validate OpenAI tools and apply tool_choice
+   * Ollama has no tool_choice, so 'none' drops the tools and a named
+   * function narrows them down to that single tool
+   */
+  _tools(tools, toolChoice) {
+    if (tools === undefined || tools === null) return undefined;
+
+    if (!Array.isArray(tools)) {
+      throw this.invalidRequest("'tools' must be an array", 'tools');
+    }
+    tools.forEach((tool, index) => {
+      if (!tool || tool.type !== 'function' || !tool.function || typeof tool.function.name !== 'string') {
+        throw this.invalidRequest(`'tools[${index}]' must be { type: 'function', function: { name, ... } }`, `tools[${index}]`);
+      }
+    });
+
+    if (toolChoice === undefined || toolChoice === null || toolChoice === 'auto' || toolChoice === 'required') {
+      return tools.length > 0 ? tools : undefined;
+    }
+    if (toolChoice === 'none') {
+      return undefined;
+    }
+    if (toolChoice.type === 'function' && toolChoice.function?.name) {
+      const chosen = tools.filter(tool => tool.function.name === toolChoice.function.name);
+      if (chosen.length === 0) {
+        throw this.invalidRequest(`'tool_choice' names unknown function '${toolChoice.function.name}'`, 'tool_choice');
+      }
+      return chosen;
+    }
+    throw this.invalidRequest("'tool_choice' must be 'none', 'auto', 'required' or { type: 'function', function: { name } }", 'tool_choice');
+  }
+
+  /**
+   * OpenAI sends tool arguments as a JSON string, Ollama expects an object
+   */
+  _parseArguments(args) {
+    if (typeof args !== 'string') return args || {};
+    try {
+      return JSON.parse(args);
+    } catch (error) {
+      return {};
+    }
+  }
+
+  /**
+   * Read an optional numeric field and check its range
+   */
+  _number(request, field, min, max) {
+    const value = request[field];
+    if (value === undefined || value === null) return undefined;
+
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+      throw this.invalidRequest(`'${field}' must be a number`, field);
+    }
+    if ((min !== undefined && value < min) || (max !== undefined && value > max)) {
+      throw this.invalidRequest(`'${field}' must be between ${min} and ${max}, got ${value}`, field);
+    }
+    return value;
+  }
+
+  /**
+   * Read an optional integer field and check its range
+   */
+  _integer(request, field, min, max) {
+    const value = request[field];
+    if (value === undefined || value === null) return undefined;
+
+    if (!Number.isInteger(value)) {
+      throw this.invalidRequest(`'${field}' must be an integer`, field);
+    }
+    if (min !== undefined && value < min) {
+      throw this.invalidRequest(`'${field}' must be at least ${min}, got ${value}`, field);
+    }
+    if (max !== undefined && value > max) {
+      throw this.invalidRequest(`'${field}' must be at most ${max}, got ${value}`, field);
+    }
+    return value;
+  }
+
+  /**
+   * Map `response_format` to Ollama's `format`
+   * json_object becomes 'json' and json_schema passes the schema itself. Strict schemas also
+   * get a validator so the final content can be checked on the host
+   */
+  _responseFormat(responseFormat) {
+    if (responseFormat === undefined || responseFormat === null || responseFormat.type === 'text') {
+      return {};
+    }
+
+    if (responseFormat.type === 'json_object') {
+      return { format: 'json' };
+    }
+
+    if (responseFormat.type !== 'json_schema') {
+      throw this.invalidRequest("'response_format.type' must be one of 'text', 'json_object' or 'json_schema'", 'response_format.type');
+    }
+
+    const jsonSchema = responseFormat.json_schema;
+    if (!jsonSchema || typeof jsonSchema.schema !== 'object' || jsonSchema.schema === null) {
+      throw this.invalidRequest("'response_format.json_schema.schema' must be a JSON schema object", 'response_format.json_schema.schema');
+    }
+
+    if (jsonSchema.strict !== true) {
+      return { format: jsonSchema.schema };
+    }
+
+    // A fresh Ajv per request: Ajv keeps every schema it compiles, and refuses a second schema with the same $id
+    const ajv = new Ajv({ allErrors: true, strict: false });
+    let validate;
+    try {
+      validate = ajv.compile(jsonSchema.schema);
+    } catch (error) {
+      throw this.invalidRequest(`Invalid JSON schema: ${error.message}`, 'response_format.json_schema.schema');
+    }
+
+    return {
+      format: jsonSchema.schema,
+      // Returns null when the content matches, otherwise a description of what is wrong
+      validateContent: (content) => {
+        let value;
+        try {
+          value = JSON.parse(content);
+        } catch (error) {
+          return 'content is not valid JSON';
+        }
+        return validate(value) ? null : ajv.errorsText(validate.errors, { dataVar: 'content' });
+      }
+    };
+  }
+
+  /**
+   * Normalize `stop` (string or array of strings) to an array
+   */
+  _stop(stop) {
+    if (stop === undefined || stop === null) return undefined;
+
+    const sequences = typeof stop === 'string' ? [stop] : stop;
+    if (!Array.isArray(sequences) || sequences.some(s => typeof s !== 'string')) {
+      throw this.invalidRequest("'stop' must be a string or an array of strings", 'stop');
+    }
+    if (sequences.length > MAX_STOP_SEQUENCES) {
+      throw this.invalidRequest(`'stop' supports at most ${MAX_STOP_SEQUENCES} sequences`, 'stop');
+    }
+    return sequences.length > 0 ? sequences : undefined;
+  }
+
+  /**
+   * Build an error carrying the OpenAI invalid_request_error fields
+   */
+  invalidRequest(message, param) {
+    const error = new Error(message);
+    error.status = 400;
+    error.type = 'invalid_request_error';
+    error.param = param;
+    return error;
+  }
+}
+
+module.exports = new ChatParameterMapper();
@@ -0,0 +1,150 @@
+/**
+ * File Store
+ * Keeps files for the OpenAI Files API (/v1/files) in userData: batch inputs
+ * uploaded by clients and the output/error files batches produce
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { getUserDataPath } = require('./userDataPath.js');
+
+// Purposes clients may upload; batch_output files are only created by batches
+const UPLOAD_PURPOSES = ['batch'];
+
+class FileStore {
+  constructor() {
+    this.files = null; // id -> record, loaded on first use
+  }
+
+  /**
+   * Directory uploads are written to before they are registered
+   */
+  getUploadDir() {
+    return this._ensureDir('uploads');
+  }
+
+  /**
+   * Register a file whose content is already on disk, moving it into the store
+   * @param {Object} file - { sourcePath, filename, purpose, owner }
+   * @returns {Object} Stored record
+   */
+  addFile({ sourcePath, filename, purpose, owner }) {
+    const id = `file-${crypto.randomBytes(12).toString('hex')}`;
+    fs.renameSync(sourcePath, this.getContentPath(id));
+    return this._register(id, { filename, purpose, owner });
+  }
+
+  /**
+   * Create a file from content produced on this device
+   * @param {Object} file - { content, filename, purpose, owner }
+   * @returns {Object} Stored record
+   */
+  createFile({ content, filename, purpose, owner }) {
+    const id = `file-${crypto.randomBytes(12).toString('hex')}`;
+    fs.writeFileSync(this.getContentPath(id), content);
+    return this._register(id, { filename, purpose, owner });
+  }
+
+  /**
+   * Check that clients may upload files for a purpose
+   * @throws {Error} with status 400 otherwise
+   */
+  validateUploadPurpose(purpose) {
+    if (!UPLOAD_PURPOSES.includes(purpose)) {
+      const error = new Error(`'purpose' must be one of ${UPLOAD_PURPOSES.map(value => `'${value}'`).join(', ')}`);
+      error.status = 400;
+      error.param = 'purpose';
+      throw error;
+    }
+  }
+
+  getFile(id) {
+    return this._load().get(id) || null;
+  }
+
+  /**
+   * List files, newest first
+   * @param {Function} filter - Predicate on the stored record
+   */
+  listFiles(filter = () => true) {
+    return [...this._load().values()]
+      .filter(filter)
+      .sort((a, b) => b.created_at - a.created_at);
+  }
+
+  getContentPath(id) {
+    return path.join(this._ensureDir('files'), `${id}.jsonl`);
+  }
+
+  /**
+   * Delete a file and its content
+   * @returns {boolean} true if the file existed
+   */
+  deleteFile(id) {
+    const files = this._load();
+    if (!files.has(id)) return false;
+
+    files.delete(id);
+    fs.rmSync(this.getContentPath(id), { force: true });
+    fs.rmSync(this._metadataPath(id), { force: true });
+    console.log(`🗑️ File ${id} deleted`);
+    return true;
+  }
+
+  /**
+   * Public OpenAI file object, without the owner
+   */
+  toPublic(record) {
+    const { owner, ...file } = record;
+    return file;
+  }
+
+  _register(id, { filename, purpose, owner }) {
+    const record = {
+      id,
+      object: 'file',
+      bytes: fs.statSync(this.getContentPath(id)).size,
+      created_at: Math.floor(Date.now() / 1000),
+      filename,
+      purpose,
+      status: 'processed',
+      owner
+    };
+
+    fs.writeFileSync(this._metadataPath(id), JSON.stringify(record));
+    this._load().set(id, record);
+    console.log(`📁 File ${id} stored (${filename}, ${record.bytes} bytes)`);
+    return record;
+  }
+
+  _load() {
+    if (!this.files) {
+      this.files = new Map();
+      const dir = this._ensureDir('files');
+      fs.readdirSync(dir)
+        .filter(name => name.endsWith('.json'))
+        .forEach(name => {
+          try {
+            const record = JSON.parse(fs.readFileSync(path.join(dir, name), 'utf8'));
+            this.files.set(record.id, record);
+          } catch (error) {
+            console.error(`Failed to load file metadata ${name}:`, error.message);
+          }
+        });
+    }
+    return this.files;
+  }
+
+  _metadataPath(id) {
+    return path.join(this._ensureDir('files'), `${id}.json`);
+  }
+
+  _ensureDir(name) {
+    const dir = getUserDataPath('batches', name);
+    fs.mkdirSync(dir, { recursive: true });
+    return dir;
+  }
+}
+
+module.exports = new FileStore();
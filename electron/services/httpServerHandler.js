@@ -4,17 +4,55 @@
  */
 
 const axios = require('axios');
+const { Transform, pipeline } = require('stream');
 const appleFoundationModels = require('../../src/services/appleFoundationModels.js');
 const appleModelsBridge = require('./appleModelsBridge.js');
 const queueManager = require('./queueManager.js');
+const chatParameterMapper = require('./chatParameterMapper.js');
+const metricsCollector = require('./metricsCollector.js');
+const apiErrors = require('./apiErrors.js');
+const backendRegistry = require('./backendRegistry.js');
+const openAIBackend = require('./openAIBackend.js');
+const modelRef = require('./modelRef.js');
+const modelAliases = require('./modelAliases.js');
+const responseCache = require('./responseCache.js');
+const modelDetails = require('./modelDetails.js');
+const serverSettings = require('./serverSettings.js');
+const usageQuotas = require('./usageQuotas.js');
+
+// Attempts per choice when the content must match a strict JSON schema
+const MAX_SCHEMA_ATTEMPTS = 3;
+// How long Ollama's list of installed models is reused for per-request lookups (cache keys, memory estimates)
+const INSTALLED_MODELS_TTL = 5000;
 
 class HTTPServerHandler {
   constructor() {
     this.ollamaBaseUrl = 'http://127.0.0.1:11434';
+    this.installedModels = null; // { fetchedAt, promise } for Ollama's /api/tags models
+    this.installedModelNames = new Set(); // names in Ollama's last successful /api/tags answer
+    this.appleModelIds = new Set(['com.apple.foundation.language']); // Apple models seen in listings
+    this.applyQueueSettings();
+  }
+
+  /**
+   * Apply the concurrency limits, memory reserve, queue length and longest deadline from Settings to the queue
+   */
+  applyQueueSettings() {
+    const settings = serverSettings.getSettings();
+    queueManager.configure({
+      maxConcurrentPerModel: settings.maxConcurrentPerModel,
+      maxConcurrentTotal: settings.maxConcurrentTotal,
+      memoryReserveBytes: settings.memoryReserveMB * 1024 * 1024,
+      maxQueueLength: settings.maxQueueLength,
+      requestTimeout: settings.maxDeadlineSeconds * 1000
+    });
   }
 
   /**
-   * Get all available models (Ollama + Apple Foundation)
+   * Get all available models (Ollama + Apple Foundation + backends added in Settings),
+   * followed by the aliases that point at one of them
+   * Ollama models carry the details from /api/show (context_length, family, parameter_size,
+   * quantization, capabilities) when Ollama reports them
    */
   async getModels() {
     console.log('🔍 HTTPServerHandler.getModels() called');
@@ -22,9 +60,10 @@ class HTTPServerHandler {
 
     // Get Ollama models
     try {
-      const response = await axios.get(`${this.ollamaBaseUrl}/api/tags`);
-      if (response.data && response.data.models) {
-        models.push(...response.data.models.map(model => ({
+      // Listings always ask Ollama, refreshing the list per-request lookups use
+      const installed = await this._installedOllamaModels(0);
+      if (installed.length > 0) {
+        models.push(...await Promise.all(installed.map(async model => ({
           id: model.name,
           name: model.name,
           object: 'model',
@@ -33,8 +72,9 @@ class HTTPServerHandler {
           provider: 'Ollama',
           size: model.size,
           digest: model.digest,
-          modified_at: model.modified_at
-        })));
+          modified_at: model.modified_at,
+          ...await this._ollamaModelDetails(model)
+        }))));
       }
     } catch (error) {
       console.error('Failed to get Ollama models:', error.message);
@@ -50,6 +90,7 @@ class HTTPServerHandler {
       if (bridgeAvailable) {
         const appleModels = await appleModelsBridge.getModels();
         console.log('🍎 Apple models from bridge:', appleModels);
+        appleModels.forEach(model => this.appleModelIds.add(model.id));
         models.push(...appleModels.map(model => ({
           ...model,
           provider: 'Apple Foundation'
@@ -59,6 +100,7 @@ class HTTPServerHandler {
         // Fallback to original service
         const appleModels = await appleFoundationModels.getModels();
         console.log('🍎 Apple models from service:', appleModels);
+        appleModels.forEach(model => this.appleModelIds.add(model.id));
         models.push(...appleModels.map(model => ({
           ...model,
           provider: 'Apple Foundation'
@@ -70,78 +112,410 @@ class HTTPServerHandler {
       console.error('Failed to get Apple models:', error.message);
     }
 
+    models.push(...await backendRegistry.getModels());
+    models.push(...modelAliases.toModelEntries(models));
+
     console.log(`📋 HTTPServerHandler returning ${models.length} total models`);
     return models;
   }
 
+  /**
+   * Find one of getModels() by ID; a name without a tag also finds the :latest model
+   * @returns {Promise<Object|null>}
+   */
+  async getModel(id) {
+    const models = await this.getModels();
+    return models.find(model => model.id === id) || models.find(model => model.id === `${id}:latest`) || null;
+  }
+
+  async _ollamaModelDetails(model) {
+    try {
+      return await modelDetails.getDetails(this.ollamaBaseUrl, model.name, model.digest);
+    } catch (error) {
+      // The model is still listed, just without details
+      console.error(`Failed to get details of ${model.name}:`, error.message);
+      return {};
+    }
+  }
+
   /**
    * Create chat completion with queue management
+   * @param {Object} options - { requestId, signal, priority, deadlineMs, onQueueUpdate } to name the request,
+   *   cancel it when the caller goes away, queue it in the caller's priority class (see
+   *   queueManager.getPriorityClasses()), give up when the caller stops waiting and hear its
+   *   { position, etaSeconds } while it waits
    */
-  async createChatCompletion(request, clientId = 'default') {
-    const { model, messages, stream = false } = request;
-    const requestId = `req_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-    
-    // Create a promise that will be resolved when the request is processed
-    return new Promise((resolve, reject) => {
+  async createChatCompletion(request, clientId = 'default', options = {}) {
+    // Aliases are resolved first so the request queues, and is metered, under the concrete model
+    const { request: resolved, options: aliasOptions } = modelAliases.applyToChatRequest(request);
+    const { model } = resolved;
+    // Validate sampling parameters before queueing so bad values fail fast with a 400
+    const params = chatParameterMapper.toOllamaParams(resolved);
+    params.options = { ...aliasOptions, ...params.options };
+    const requestId = options.requestId || this.createRequestId('req');
+    const acceptedAt = Date.now();
+
+    // Cache hits skip the queue entirely
+    const cacheKey = await this._responseCacheKey(resolved, aliasOptions);
+    const cached = cacheKey && responseCache.get(cacheKey);
+    if (cached) {
+      console.log(`💾 Response cache hit for ${model}`);
+      return this._replayResponse(cached, request);
+    }
+
+    return this._enqueue(requestId, clientId, model, resolved, options, async (signal, hold) => {
+      const response = await this._processRequest(resolved, params, signal);
+      if (response && response.stream) {
+        // Only a single streamed choice can be cached
+        const cacheable = cacheKey && params.n === 1 ? this._cacheStream(cacheKey, response) : response;
+        // Keep the model's slot until the stream has been fully consumed
+        return this._releaseWhenStreamEnds(this._meterStream(model, cacheable, acceptedAt, clientId), hold());
+      }
+      this._recordUsage(model, clientId, response?.usage);
+      if (cacheKey && Array.isArray(response?.choices)) {
+        responseCache.set(cacheKey, response);
+      }
+      // Models that can't stream (Apple) still answer a streaming request as a stream, whose
+      // events may already have started with queue updates
+      if (resolved.stream && Array.isArray(response?.choices)) {
+        return this._replayResponse(response, request);
+      }
+      // Report the model the client asked for, alias or not
+      return response ? { ...response, model: request.model } : response;
+    });
+  }
+
+  /**
+   * Cache key for a chat completion, or null when the cache is off or the request isn't deterministic
+   * Ollama models are keyed on their digest, so a re-pulled model doesn't answer from the cache;
+   * backends and Apple models report no digest and are keyed on their ID
+   */
+  async _responseCacheKey(request, aliasOptions) {
+    if (!responseCache.isEnabled() || !responseCache.isCacheable(request)) return null;
+
+    const actualModel = this._resolveModelName(request.model);
+    if (this.isBackendModel(actualModel) || this.isAppleModel(actualModel)) {
+      return responseCache.createKey(actualModel, request, aliasOptions);
+    }
+
+    try {
+      const installed = await this._installedOllamaModel(actualModel);
+      return installed?.digest ? responseCache.createKey(installed.digest, request, aliasOptions) : null;
+    } catch (error) {
+      // Without a digest the request just isn't cached; running it reports any problem with Ollama
+      return null;
+    }
+  }
+
+  /**
+   * A model's entry in Ollama's /api/tags, or undefined if it isn't installed
+   */
+  async _installedOllamaModel(name) {
+    const models = await this._installedOllamaModels();
+    return models.find(candidate => candidate.name === name || candidate.name === `${name}:latest`);
+  }
+
+  /**
+   * Ollama's installed models, asked for again once the last answer is older than maxAgeMs
+   * Concurrent callers share one request, and a failed one isn't reused
+   */
+  _installedOllamaModels(maxAgeMs = INSTALLED_MODELS_TTL) {
+    const now = Date.now();
+    if (!this.installedModels || now - this.installedModels.fetchedAt > maxAgeMs) {
+      const promise = axios.get(`${this.ollamaBaseUrl}/api/tags`).then(response => response.data?.models || []);
+      this.installedModels = { fetchedAt: now, promise };
+      promise.then(models => {
+        this.installedModelNames = new Set(models.map(model => model.name));
+      }, () => {
+        if (this.installedModels?.promise === promise) this.installedModels = null;
+      });
+    }
+    return this.installedModels.promise;
+  }
+
+  /**
+   * Memory a model needs when loaded, estimated from its size in Ollama's /api/tags
+   * Backends and Apple models don't load into Ollama and count as 0, as do models Ollama doesn't list,
+   * so only the concurrency limits apply to them
+   */
+  async _modelMemoryBytes(model) {
+    const actualModel = this._resolveModelName(model);
+    if (this.isBackendModel(actualModel) || this.isAppleModel(actualModel)) return 0;
+
+    try {
+      return (await this._installedOllamaModel(actualModel))?.size || 0;
+    } catch (error) {
+      return 0;
+    }
+  }
+
+  /**
+   * Answer with a finished (e.g. cached) response, replaying it as a stream when one was asked for
+   */
+  _replayResponse(cached, request) {
+    if (!request.stream) {
+      return {
+        id: `chatcmpl-${Date.now()}`,
+        object: 'chat.completion',
+        created: Math.floor(Date.now() / 1000),
+        model: request.model,
+        choices: cached.choices,
+        usage: cached.usage
+      };
+    }
+
+    const [{ message, finish_reason: finishReason }] = cached.choices;
+    return {
+      stream: true,
+      handler: (onData, onEnd, onToolCalls = () => {}) => {
+        if (message.content) onData(message.content);
+        if (message.tool_calls) onToolCalls(message.tool_calls);
+        onEnd(finishReason, cached.usage);
+      }
+    };
+  }
+
+  /**
+   * Wrap a stream result to cache what it produced once it ends normally
+   */
+  _cacheStream(cacheKey, response) {
+    return {
+      ...response,
+      handler: (onData, onEnd, onToolCalls, onError) => {
+        let content = '';
+        const toolCalls = [];
+        return response.handler(
+          (chunk) => {
+            content += chunk;
+            onData(chunk);
+          },
+          (finishReason, usage) => {
+            const message = { role: 'assistant', content: content || (toolCalls.length > 0 ? null : '') };
+            if (toolCalls.length > 0) {
+              message.tool_calls = toolCalls;
+            }
+            responseCache.set(cacheKey, { choices: [{ index: 0, message, finish_reason: finishReason }], usage });
+            onEnd(finishReason, usage);
+          },
+          (calls) => {
+            toolCalls.push(...calls);
+            if (onToolCalls) onToolCalls(calls);
+          },
+          onError
+        );
+      }
+    };
+  }
+
+  /**
+   * Generate an id for a queued request (sent to HTTP clients as x-request-id)
+   */
+  createRequestId(prefix = 'req') {
+    return `${prefix}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  }
+
+  /**
+   * Find a queued or running request
+   * @returns {{request: Object, modelId: string, state: string}|null}
+   */
+  findRequest(requestId) {
+    return queueManager.findRequest(requestId);
+  }
+
+  /**
+   * Cancel a queued or running request, aborting any upstream generation
+   * @returns {boolean} true if the request was found
+   */
+  cancelRequest(requestId) {
+    return queueManager.cancelRequest(requestId);
+  }
+
+  /**
+   * Queue work for a model and resolve with its result
+   * run(signal, hold) gets the queue's abort signal; hold() keeps the slot after run returns
+   * @param {Object} options - { signal, priority, deadlineMs, onQueueUpdate } from the caller
+   */
+  async _enqueue(requestId, clientId, modelId, data, options, run) {
+    const { signal: callerSignal, priority, deadlineMs, onQueueUpdate } = options;
+    // Clients over their token limits are turned away before they wait; this device's owner has none
+    if (priority !== 'owner') {
+      usageQuotas.check(clientId);
+    }
+    const memoryBytes = await this._modelMemoryBytes(modelId);
+    const promise = new Promise((resolve, reject) => {
       queueManager.enqueue({
         id: requestId,
         clientId,
-        modelId: model,
-        data: request,
+        modelId,
+        data,
+        priority,
+        memoryBytes,
+        deadlineMs,
+        onQueueUpdate,
         callback: async (result) => {
           if (result.error) {
-            reject(new Error(result.error));
+            reject(apiErrors.fromQueueResult(result));
             return;
           }
-          
+
           if (result.success && result.execute) {
             try {
-              const response = await result.execute(() => this._processRequest(model, messages, stream));
-              resolve(response);
+              resolve(await result.execute(run));
             } catch (error) {
-              reject(error);
+              reject(result.signal.aborted ? apiErrors.fromAbortSignal(result.signal) : error);
             }
           }
         }
       });
     });
+
+    if (callerSignal) {
+      const cancel = () => queueManager.cancelRequest(requestId);
+      if (callerSignal.aborted) {
+        cancel();
+      } else {
+        callerSignal.addEventListener('abort', cancel, { once: true });
+      }
+    }
+
+    return promise;
   }
-  
+
+  /**
+   * Wrap a stream result so the queue slot is released once onEnd or onError has fired
+   */
+  _releaseWhenStreamEnds(response, release) {
+    return {
+      ...response,
+      handler: (onData, onEnd, onToolCalls, onError) => response.handler(
+        onData,
+        (...args) => {
+          release();
+          onEnd(...args);
+        },
+        onToolCalls,
+        (error) => {
+          release();
+          if (onError) onError(error);
+        }
+      )
+    };
+  }
+
+  /**
+   * Count a request's tokens in the metrics and against its client's quotas
+   */
+  _recordUsage(model, clientId, usage) {
+    metricsCollector.recordTokens(model, usage);
+    usageQuotas.record(clientId, usage);
+  }
+
+  /**
+   * Wrap a stream result to record time to first token and token usage
+   */
+  _meterStream(model, response, acceptedAt, clientId) {
+    let started = false;
+    const firstToken = () => {
+      if (!started) {
+        started = true;
+        metricsCollector.recordFirstToken(model, (Date.now() - acceptedAt) / 1000);
+      }
+    };
+
+    return {
+      ...response,
+      handler: (onData, onEnd, onToolCalls, onError) => response.handler(
+        (content) => {
+          firstToken();
+          onData(content);
+        },
+        (finishReason, usage) => {
+          this._recordUsage(model, clientId, usage);
+          onEnd(finishReason, usage);
+        },
+        (toolCalls) => {
+          firstToken();
+          if (onToolCalls) onToolCalls(toolCalls);
+        },
+        onError
+      )
+    };
+  }
+
+  /**
+   * Pass a native Ollama NDJSON stream through unchanged while recording
+   * time to first token and the token counts from its final line
+   */
+  _meterOllamaStream(model, data, acceptedAt, clientId) {
+    let started = false;
+    let pending = '';
+    const recordLines = (text) => {
+      text.split('\n')
+        .filter(line => line.includes('"done":true'))
+        .forEach(line => {
+          try {
+            this._recordUsage(model, clientId, this._ollamaUsage(JSON.parse(line)));
+          } catch (error) {
+            // Not a complete JSON line; nothing to count
+          }
+        });
+    };
+
+    const meter = new Transform({
+      transform(chunk, encoding, callback) {
+        if (!started) {
+          started = true;
+          metricsCollector.recordFirstToken(model, (Date.now() - acceptedAt) / 1000);
+        }
+        const lines = (pending + chunk.toString()).split('\n');
+        pending = lines.pop();
+        recordLines(lines.join('\n'));
+        callback(null, chunk);
+      },
+      flush(callback) {
+        recordLines(pending);
+        callback();
+      }
+    });
+
+    // pipeline destroys the meter when the upstream stream is aborted, so 'close' still fires
+    pipeline(data, meter, () => {});
+    return meter;
+  }
+
+  _ollamaUsage(response) {
+    return {
+      prompt_tokens: response.prompt_eval_count || 0,
+      completion_tokens: response.eval_count || 0
+    };
+  }
+
   /**
    * Internal method to process the actual request
    */
-  async _processRequest(model, messages, stream) {
-    const request = { model, messages, stream };
+  async _processRequest(request, params = { options: {}, n: 1 }, signal) {
+    const { model, messages, stream = false } = request;
 
-    // Extract the actual model name by removing prefix if present
-    let actualModel = model;
-    console.log('🔍 Original model ID:', model);
-    
-    // Handle P2P model format: userId_deviceId_deviceType_modelName
-    if (model.includes('_')) {
-      const parts = model.split('_');
-      // Find where the model name starts (after 'electron' or 'web')
-      const deviceTypeIndex = parts.findIndex(p => p === 'electron' || p === 'web');
-      if (deviceTypeIndex !== -1 && deviceTypeIndex < parts.length - 1) {
-        // Everything after the device type is the model name
-        // Note: Ollama models use colon (e.g., deepseek-r1:1.5b) so we need to preserve that
-        actualModel = parts.slice(deviceTypeIndex + 1).join('_').replace(/_/g, ':');
-        console.log('🔍 Extracted model name:', actualModel);
-      }
-    } else if (model.startsWith('electron_')) {
-      // Legacy format
-      actualModel = model.replace('electron_', '');
-    }
-    
-    // Handle display name to ID mapping for Apple Foundation models
-    if (actualModel === 'Apple Language Model') {
-      actualModel = 'com.apple.foundation.language';
+    const actualModel = this._resolveModelName(model);
+
+    const backendTarget = backendRegistry.resolveModel(actualModel);
+    if (backendTarget) {
+      return openAIBackend.createChatCompletion(backendTarget.backend, backendTarget.model, request, signal);
     }
 
     // Check if it's an Apple Foundation model
-    if (actualModel.startsWith('com.apple.foundation')) {
+    if (this.isAppleModel(actualModel)) {
+      // Apple models are text-only, so flatten content parts and refuse images
+      const textMessages = messages.map((msg, index) => {
+        const { text, images } = chatParameterMapper.parseContent(msg.content, `messages[${index}].content`);
+        if (images.length > 0) {
+          throw chatParameterMapper.invalidRequest(`Model '${model}' does not accept image inputs`, `messages[${index}].content`);
+        }
+        return { ...msg, content: text };
+      });
+
       // Create request with actual model name
-      const appleRequest = { model: actualModel, messages, stream };
+      const appleRequest = { ...request, model: actualModel, messages: textMessages, stream };
       
       // Try bridge first
       if (await appleModelsBridge.checkAvailability()) {
@@ -158,71 +532,118 @@ class HTTPServerHandler {
     try {
       // Use Ollama chat API
       const ollamaRequest = {
-        model: actualModel, // Use the cleaned model name without electron_ prefix
-        messages: messages.map(msg => ({
-          role: msg.role,
-          content: msg.content
-        })),
-        stream: false // We'll handle streaming ourselves
+        model: actualModel, // The model's own name, without any legacy device prefix
+        messages: chatParameterMapper.toOllamaMessages(messages),
+        stream
       };
+      if (Object.keys(params.options).length > 0) {
+        ollamaRequest.options = params.options;
+      }
+      if (params.tools) {
+        ollamaRequest.tools = params.tools;
+      }
+      if (params.format) {
+        ollamaRequest.format = params.format;
+      }
 
-      console.log('🔍 Ollama chat request:', { model: actualModel, messageCount: messages.length });
+      console.log('🔍 Ollama chat request:', { model: actualModel, messageCount: messages.length, options: ollamaRequest.options, tools: params.tools?.length, format: !!params.format });
+
+      // Streamed content can't be taken back, so strict schemas are only checked without stream
+      if (!stream && (params.n > 1 || params.validateContent)) {
+        return await this._createMultipleChoices(model, ollamaRequest, params.n, params.validateContent, signal);
+      }
 
       const response = await axios.post(
         `${this.ollamaBaseUrl}/api/chat`,
         ollamaRequest,
-        { responseType: stream ? 'stream' : 'json' }
+        { responseType: stream ? 'stream' : 'json', signal }
       );
 
       if (stream) {
         // Return a stream handler function for /api/chat
+        // onData(content), onToolCalls(toolCalls), then either onEnd(finishReason, usage)
+        // or onError(error) when the stream fails part way
         return {
           stream: true,
-          handler: (onData, onEnd) => {
-            response.data.on('data', (chunk) => {
+          handler: (onData, onEnd, onToolCalls = () => {}, onError = () => {}) => {
+            let buffer = '';
+            let sawToolCalls = false;
+            let finished = false;
+            let usage;
+            const finish = (finishReason) => {
+              if (finished) return;
+              finished = true;
+              onEnd(finishReason, usage);
+            };
+            const fail = (error) => {
+              if (finished) return;
+              finished = true;
+              onError(error);
+            };
+
+            const processLine = (line) => {
               try {
-                const lines = chunk.toString().split('\n').filter(line => line.trim());
-                lines.forEach(line => {
-                  const data = JSON.parse(line);
-                  // Chat API returns message.content for streaming
-                  if (data.message && data.message.content) {
-                    onData(data.message.content);
-                  }
-                  if (data.done) {
-                    onEnd();
-                  }
-                });
+                const data = JSON.parse(line);
+                // Ollama reports failures after the headers as an error line
+                if (data.error) {
+                  fail(apiErrors.create('BACKEND_ERROR', data.error));
+                  return;
+                }
+                // Chat API returns message.content for streaming
+                if (data.message && data.message.content) {
+                  onData(data.message.content);
+                }
+                if (data.message && Array.isArray(data.message.tool_calls) && data.message.tool_calls.length > 0) {
+                  sawToolCalls = true;
+                  onToolCalls(chatParameterMapper.toOpenAIToolCalls(data.message.tool_calls));
+                }
+                if (data.done) {
+                  usage = {
+                    prompt_tokens: data.prompt_eval_count || 0,
+                    completion_tokens: data.eval_count || 0,
+                    total_tokens: (data.prompt_eval_count || 0) + (data.eval_count || 0)
+                  };
+                  finish(sawToolCalls ? 'tool_calls' : this._finishReason(data));
+                }
               } catch (error) {
                 console.error('Error parsing stream chunk:', error);
               }
+            };
+
+            response.data.on('data', (chunk) => {
+              // NDJSON lines can be split across chunks, so keep the partial tail
+              buffer += chunk.toString();
+              const lines = buffer.split('\n');
+              buffer = lines.pop();
+              lines.filter(line => line.trim()).forEach(processLine);
             });
             
-            response.data.on('end', onEnd);
+            response.data.on('end', () => {
+              if (buffer.trim()) processLine(buffer);
+              finish(sawToolCalls ? 'tool_calls' : 'stop');
+            });
             response.data.on('error', (error) => {
-              console.error('Stream error:', error);
-              onEnd();
+              if (signal?.aborted) return;
+              console.error('Stream error:', error.message);
+              fail(apiErrors.normalize(error));
             });
+            // Cancelled or timed out while streaming: stop reading from Ollama and report why
+            signal?.addEventListener('abort', () => {
+              response.data.destroy();
+              fail(apiErrors.fromAbortSignal(signal));
+            }, { once: true });
           }
         };
       }
 
       // Non-streaming response for /api/chat
-      // Ollama chat API returns: { message: { role, content }, ... }
-      const assistantMessage = response.data.message || { content: '' };
-      
+      // Ollama chat API returns: { message: { role, content, tool_calls? }, ... }
       return {
         id: `chatcmpl-${Date.now()}`,
         object: 'chat.completion',
         created: Math.floor(Date.now() / 1000),
         model,
-        choices: [{
-          index: 0,
-          message: {
-            role: 'assistant',
-            content: assistantMessage.content || ''
-          },
-          finish_reason: 'stop'
-        }],
+        choices: [this._toChoice(response.data, 0)],
         usage: {
           prompt_tokens: response.data.prompt_eval_count || 0,
           completion_tokens: response.data.eval_count || 0,
@@ -230,17 +651,282 @@ class HTTPServerHandler {
         }
       };
     } catch (error) {
-      console.error('Ollama chat completion error:', error);
+      await apiErrors.readResponseBody(error);
+      if (!signal?.aborted) console.error('Ollama chat completion error:', apiErrors.normalize(error).message);
       throw error;
     }
   }
   
+  /**
+   * Resolve a model reference to the name this device knows the model by
+   * Local references become the bare model name; other references (backends) are returned in canonical form
+   */
+  _resolveModelName(model) {
+    console.log('🔍 Original model ID:', model);
+    const ref = modelRef.parse(model);
+    let actualModel = ref ? (ref.provider === 'local' ? modelRef.modelName(ref) : modelRef.format(ref)) : model;
+    if (actualModel !== model) {
+      console.log('🔍 Extracted model name:', actualModel);
+    }
+    
+    // Handle display name to ID mapping for Apple Foundation models
+    if (actualModel === 'Apple Language Model') {
+      actualModel = 'com.apple.foundation.language';
+    }
+
+    return actualModel;
+  }
+
+  /**
+   * Check whether a model is served by a backend added in Settings rather than Ollama
+   */
+  isBackendModel(model) {
+    return !!backendRegistry.resolveModel(this._resolveModelName(model));
+  }
+
+  /**
+   * Check whether a model is served by Apple Foundation Models rather than Ollama
+   */
+  isAppleModel(model) {
+    return this._resolveModelName(model).startsWith('com.apple.foundation');
+  }
+
+  /**
+   * Check whether a model is one this device serves: an alias, an installed Ollama model,
+   * a listed Apple or backend model. Answers from the last listings without asking again
+   */
+  isKnownModel(model) {
+    if (modelAliases.getAlias(model)) return true;
+
+    const actualModel = this._resolveModelName(model);
+    return this.installedModelNames.has(actualModel) ||
+      this.installedModelNames.has(`${actualModel}:latest`) ||
+      this.appleModelIds.has(actualModel) ||
+      backendRegistry.isListedModel(actualModel);
+  }
+
+  /**
+   * Forward a native Ollama request (e.g. /api/chat, /api/generate) with queue management
+   * @param {string} path - Ollama API path
+   * @param {Object} requestBody - Ollama request body, passed through unchanged apart from the model name
+   *   and, for aliases, their defaults
+   * @returns {Promise<Object>} Ollama's JSON response, or { stream: true, data } with the NDJSON stream
+   */
+  async forwardOllamaRequest(path, requestBody, clientId = 'default', options = {}) {
+    const body = modelAliases.applyToOllamaBody(path, requestBody);
+    const requestId = options.requestId || this.createRequestId('ollama');
+    const acceptedAt = Date.now();
+
+    return this._enqueue(requestId, clientId, body.model, body, options, async (signal, hold) => {
+      const response = await this._forwardOllamaRequest(path, body, signal);
+      if (response.stream) {
+        const data = this._meterOllamaStream(body.model, response.data, acceptedAt, clientId);
+        // 'close' follows both a normal end and an abort
+        data.on('close', hold());
+        // Report why the stream stopped (cancelled, timed out) rather than axios' generic abort
+        signal.addEventListener('abort', () => data.destroy(apiErrors.fromAbortSignal(signal)), { once: true });
+        return { ...response, data };
+      }
+      this._recordUsage(body.model, clientId, this._ollamaUsage(response));
+      return response;
+    });
+  }
+
+  async _forwardOllamaRequest(path, body, signal) {
+    // Ollama streams unless told otherwise
+    const stream = body.stream !== false;
+    const response = await axios.post(
+      `${this.ollamaBaseUrl}${path}`,
+      { ...body, model: this._resolveModelName(body.model) },
+      { responseType: stream ? 'stream' : 'json', signal }
+    );
+
+    return stream ? { stream: true, data: response.data } : response.data;
+  }
+
+  /**
+   * Create embeddings with queue management
+   */
+  async createEmbeddings(request, clientId = 'default', options = {}) {
+    const model = modelAliases.resolveModel(request.model);
+    const resolved = { ...request, model };
+    const input = this._validateEmbeddingInput(resolved);
+    const requestId = options.requestId || this.createRequestId('emb');
+
+    return this._enqueue(requestId, clientId, model, resolved, options, async (signal) => {
+      const response = await this._processEmbeddings(resolved, input, signal);
+      this._recordUsage(model, clientId, response.usage);
+      return { ...response, model: request.model };
+    });
+  }
+
+  /**
+   * Call Ollama's embed API and shape the result like OpenAI's /v1/embeddings
+   */
+  async _processEmbeddings(request, input, signal) {
+    const { model, encoding_format: encodingFormat = 'float', dimensions } = request;
+    const actualModel = this._resolveModelName(model);
+
+    const backendTarget = backendRegistry.resolveModel(actualModel);
+    if (backendTarget) {
+      return openAIBackend.createEmbeddings(backendTarget.backend, backendTarget.model, request, signal);
+    }
+
+    const ollamaRequest = { model: actualModel, input };
+    if (dimensions !== undefined) {
+      ollamaRequest.dimensions = dimensions;
+    }
+
+    console.log('🔍 Ollama embed request:', { model: actualModel, inputCount: input.length });
+
+    const response = await axios.post(`${this.ollamaBaseUrl}/api/embed`, ollamaRequest, { signal });
+    const embeddings = response.data.embeddings || [];
+    const promptTokens = response.data.prompt_eval_count || 0;
+
+    return {
+      object: 'list',
+      data: embeddings.map((embedding, index) => ({
+        object: 'embedding',
+        index,
+        embedding: encodingFormat === 'base64'
+          ? Buffer.from(new Float32Array(embedding).buffer).toString('base64')
+          : embedding
+      })),
+      model,
+      usage: {
+        prompt_tokens: promptTokens,
+        total_tokens: promptTokens
+      }
+    };
+  }
+
+  /**
+   * Normalize embedding input to an array of strings
+   */
+  _validateEmbeddingInput(request) {
+    const { input, encoding_format: encodingFormat, dimensions } = request;
+    const inputs = typeof input === 'string' ? [input] : input;
+    if (!Array.isArray(inputs) || inputs.length === 0 || inputs.some(item => typeof item !== 'string')) {
+      throw chatParameterMapper.invalidRequest("'input' must be a string or a non-empty array of strings", 'input');
+    }
+    if (encodingFormat !== undefined && encodingFormat !== 'float' && encodingFormat !== 'base64') {
+      throw chatParameterMapper.invalidRequest("'encoding_format' must be 'float' or 'base64'", 'encoding_format');
+    }
+    if (dimensions !== undefined && (!Number.isInteger(dimensions) || dimensions < 1)) {
+      throw chatParameterMapper.invalidRequest("'dimensions' must be a positive integer", 'dimensions');
+    }
+    return inputs;
+  }
+
+  /**
+   * Run the same Ollama request n times to emulate OpenAI's `n` parameter
+   * Each choice is checked against validateContent when a strict schema was given
+   */
+  async _createMultipleChoices(model, ollamaRequest, n, validateContent, signal) {
+    const choices = [];
+    let promptTokens = 0;
+    let completionTokens = 0;
+
+    for (let index = 0; index < n; index++) {
+      const response = await this._postValidatedChat(ollamaRequest, validateContent, signal);
+
+      choices.push(this._toChoice(response.data, index));
+      // The prompt is identical for every choice, so count it once
+      promptTokens = response.data.prompt_eval_count || promptTokens;
+      completionTokens += response.data.eval_count || 0;
+    }
+
+    return {
+      id: `chatcmpl-${Date.now()}`,
+      object: 'chat.completion',
+      created: Math.floor(Date.now() / 1000),
+      model,
+      choices,
+      usage: {
+        prompt_tokens: promptTokens,
+        completion_tokens: completionTokens,
+        total_tokens: promptTokens + completionTokens
+      }
+    };
+  }
+
+  /**
+   * Run a non-streaming Ollama chat, retrying while the content fails schema validation
+   */
+  async _postValidatedChat(ollamaRequest, validateContent, signal) {
+    for (let attempt = 1; ; attempt++) {
+      const response = await axios.post(`${this.ollamaBaseUrl}/api/chat`, ollamaRequest, { signal });
+      const message = response.data.message || {};
+      const hasToolCalls = Array.isArray(message.tool_calls) && message.tool_calls.length > 0;
+
+      const problem = validateContent && !hasToolCalls ? validateContent(message.content || '') : null;
+      if (!problem) {
+        return response;
+      }
+
+      console.warn(`⚠️ Response failed JSON schema validation (attempt ${attempt}/${MAX_SCHEMA_ATTEMPTS}): ${problem}`);
+      if (attempt >= MAX_SCHEMA_ATTEMPTS) {
+        const error = new Error(`The model did not produce output matching the JSON schema after ${MAX_SCHEMA_ATTEMPTS} attempts: ${problem}`);
+        error.status = 502;
+        error.type = 'server_error';
+        error.code = 'json_schema_validation_failed';
+        error.param = 'response_format';
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Build an OpenAI choice from a non-streaming Ollama chat response
+   */
+  _toChoice(data, index) {
+    const assistantMessage = data.message || { content: '' };
+    const toolCalls = Array.isArray(assistantMessage.tool_calls) && assistantMessage.tool_calls.length > 0
+      ? chatParameterMapper.toOpenAIToolCalls(assistantMessage.tool_calls)
+      : null;
+
+    const message = {
+      role: 'assistant',
+      content: assistantMessage.content || (toolCalls ? null : '')
+    };
+    if (toolCalls) {
+      message.tool_calls = toolCalls;
+    }
+
+    return {
+      index,
+      message,
+      finish_reason: toolCalls ? 'tool_calls' : this._finishReason(data)
+    };
+  }
+
+  /**
+   * Map Ollama's done_reason to an OpenAI finish_reason
+   */
+  _finishReason(data) {
+    return data && data.done_reason === 'length' ? 'length' : 'stop';
+  }
+
   /**
    * Get queue status
    */
   getQueueStatus() {
     return queueManager.getQueueStatus();
   }
+
+  /**
+   * Get the queue's concurrency limits and memory use
+   */
+  getQueueCapacity() {
+    return queueManager.getCapacity();
+  }
+
+  /**
+   * Get the models whose full queues are turning requests away
+   */
+  getSheddingState() {
+    return queueManager.getSheddingState();
+  }
 }
 
 module.exports = new HTTPServerHandler();
\ No newline at end of file
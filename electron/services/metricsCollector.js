@@ -0,0 +1,197 @@
+/**
+ * Metrics Collector
+ * Keeps request, token and queue statistics for the local HTTP server
+ * and renders them in the Prometheus text exposition format
+ */
+
+const axios = require('axios');
+const queueManager = require('./queueManager.js');
+
+// Histogram buckets in seconds
+const LATENCY_BUCKETS = [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300];
+const FIRST_TOKEN_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+const OLLAMA_PROBE_TIMEOUT = 2000;
+
+// Client label of callers without an API key; their IDs (IP, peer user ID) aren't
+// used as labels because callers could grow the label set without limit
+const OTHER_CLIENT = 'other';
+
+const COUNTERS = {
+  pantheon_http_requests_total: 'HTTP requests handled, by route, model (known models, or other), status and client (API key, or other)',
+  pantheon_tokens_total: 'Tokens processed, by model and type (prompt or completion)',
+  pantheon_queue_rejections_total: 'Requests rejected by the queue before running, by client (API key, or other) and reason'
+};
+
+const HISTOGRAMS = {
+  pantheon_http_request_duration_seconds: { help: 'Time from receiving an HTTP request to finishing the response', buckets: LATENCY_BUCKETS },
+  pantheon_time_to_first_token_seconds: { help: 'Time from accepting a streaming generation to its first token, queue wait included', buckets: FIRST_TOKEN_BUCKETS },
+  pantheon_queue_wait_seconds: { help: 'Time requests spent queued before running', buckets: LATENCY_BUCKETS }
+};
+
+class MetricsCollector {
+  constructor() {
+    this.counters = new Map(); // name -> Map(labelKey -> { labels, value })
+    this.histograms = new Map(); // name -> Map(labelKey -> { labels, counts, sum, count })
+
+    queueManager.on('started', ({ modelId, waitMs }) => {
+      this.observe('pantheon_queue_wait_seconds', { model: modelId }, waitMs / 1000);
+    });
+    queueManager.on('rejected', ({ clientId, code }) => {
+      this.increment('pantheon_queue_rejections_total', { client: this._clientLabel(clientId), reason: code.toLowerCase() });
+    });
+  }
+
+  /**
+   * Record a finished (or abandoned) HTTP request
+   * @param {Object} request - { route, model, status, client, durationSeconds }; client is the caller's client ID
+   */
+  recordRequest({ route, model, status, client, durationSeconds }) {
+    this.increment('pantheon_http_requests_total', { route, model, status: String(status), client: this._clientLabel(client) });
+    this.observe('pantheon_http_request_duration_seconds', { route, model }, durationSeconds);
+  }
+
+  /**
+   * Record the delay before a streaming generation produced output
+   */
+  recordFirstToken(model, seconds) {
+    this.observe('pantheon_time_to_first_token_seconds', { model }, seconds);
+  }
+
+  /**
+   * Record token usage of a completed generation
+   * @param {string} model
+   * @param {Object} usage - { prompt_tokens, completion_tokens }
+   */
+  recordTokens(model, usage = {}) {
+    if (usage.prompt_tokens) {
+      this.increment('pantheon_tokens_total', { model, type: 'prompt' }, usage.prompt_tokens);
+    }
+    if (usage.completion_tokens) {
+      this.increment('pantheon_tokens_total', { model, type: 'completion' }, usage.completion_tokens);
+    }
+  }
+
+  increment(name, labels, value = 1) {
+    const series = this._series(this.counters, name, labels, () => ({ labels, value: 0 }));
+    series.value += value;
+  }
+
+  observe(name, labels, value) {
+    const { buckets } = HISTOGRAMS[name];
+    const series = this._series(this.histograms, name, labels, () => ({
+      labels,
+      counts: buckets.map(() => 0),
+      sum: 0,
+      count: 0
+    }));
+
+    buckets.forEach((bound, index) => {
+      if (value <= bound) series.counts[index]++;
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  /**
+   * Render all metrics, sampling queue, peer and Ollama state at scrape time
+   * @returns {Promise<string>}
+   */
+  async render() {
+    const lines = [];
+
+    Object.entries(COUNTERS).forEach(([name, help]) => {
+      lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} counter`);
+      (this.counters.get(name) || new Map()).forEach(({ labels, value }) => {
+        lines.push(`${name}${this._labels(labels)} ${value}`);
+      });
+    });
+
+    Object.entries(HISTOGRAMS).forEach(([name, { help, buckets }]) => {
+      lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} histogram`);
+      (this.histograms.get(name) || new Map()).forEach(({ labels, counts, sum, count }) => {
+        buckets.forEach((bound, index) => {
+          lines.push(`${name}_bucket${this._labels({ ...labels, le: String(bound) })} ${counts[index]}`);
+        });
+        lines.push(`${name}_bucket${this._labels({ ...labels, le: '+Inf' })} ${count}`);
+        lines.push(`${name}_sum${this._labels(labels)} ${sum}`);
+        lines.push(`${name}_count${this._labels(labels)} ${count}`);
+      });
+    });
+
+    const queues = queueManager.getQueueStatus();
+    lines.push('# HELP pantheon_queue_depth Requests waiting in the queue, by model', '# TYPE pantheon_queue_depth gauge');
+    Object.entries(queues).forEach(([model, queue]) => {
+      lines.push(`pantheon_queue_depth${this._labels({ model })} ${queue.queueLength}`);
+    });
+    lines.push('# HELP pantheon_queue_active_requests Requests currently running, by model', '# TYPE pantheon_queue_active_requests gauge');
+    Object.entries(queues).forEach(([model, queue]) => {
+      lines.push(`pantheon_queue_active_requests${this._labels({ model })} ${queue.activeCount}`);
+    });
+    lines.push('# HELP pantheon_queue_shedding Whether new requests are turned away because the queue is full, by model', '# TYPE pantheon_queue_shedding gauge');
+    Object.entries(queues).forEach(([model, queue]) => {
+      lines.push(`pantheon_queue_shedding${this._labels({ model })} ${queue.shedding ? 1 : 0}`);
+    });
+    const capacity = queueManager.getCapacity();
+    lines.push('# HELP pantheon_queue_memory_in_use_bytes Memory the running models need', '# TYPE pantheon_queue_memory_in_use_bytes gauge');
+    lines.push(`pantheon_queue_memory_in_use_bytes ${capacity.memoryInUseBytes}`);
+    lines.push('# HELP pantheon_queue_memory_budget_bytes Memory running models may use together', '# TYPE pantheon_queue_memory_budget_bytes gauge');
+    lines.push(`pantheon_queue_memory_budget_bytes ${capacity.memoryBudgetBytes}`);
+
+    lines.push('# HELP pantheon_p2p_connected_peers Peers with an open WebRTC connection', '# TYPE pantheon_p2p_connected_peers gauge');
+    lines.push(`pantheon_p2p_connected_peers ${this._connectedPeerCount()}`);
+
+    lines.push('# HELP pantheon_ollama_up Whether Ollama answered at scrape time', '# TYPE pantheon_ollama_up gauge');
+    lines.push(`pantheon_ollama_up ${await this._ollamaUp() ? 1 : 0}`);
+
+    return `${lines.join('\n')}\n`;
+  }
+
+  // API keys are few and chosen by the owner, so they keep their own label
+  _clientLabel(clientId) {
+    return typeof clientId === 'string' && clientId.startsWith('key:') ? clientId : OTHER_CLIENT;
+  }
+
+  _series(registry, name, labels, create) {
+    if (!registry.has(name)) {
+      registry.set(name, new Map());
+    }
+    const series = registry.get(name);
+    const key = JSON.stringify(labels);
+    if (!series.has(key)) {
+      series.set(key, create());
+    }
+    return series.get(key);
+  }
+
+  _labels(labels) {
+    const pairs = Object.entries(labels).map(([key, value]) => {
+      const escaped = String(value ?? '').replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+      return `${key}="${escaped}"`;
+    });
+    return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+  }
+
+  _connectedPeerCount() {
+    try {
+      const p2pService = require('../../src/services/p2pServiceV2.js');
+      return p2pService.getConnectedPeers().length;
+    } catch (error) {
+      // P2P is unavailable outside the Electron main process
+      return 0;
+    }
+  }
+
+  async _ollamaUp() {
+    // Required lazily because httpServerHandler reports its token counts here
+    const httpServerHandler = require('./httpServerHandler.js');
+    try {
+      await axios.get(`${httpServerHandler.ollamaBaseUrl}/api/version`, { timeout: OLLAMA_PROBE_TIMEOUT });
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+}
+
+module.exports = new MetricsCollector();
@@ -0,0 +1,198 @@
+/**
+ * Model Aliases
+ * Names like `fast` or `coder` that map to a concrete model on this device, with default
+ * parameters applied underneath whatever the request sets itself
+ */
+
+const modelRef = require('./modelRef.js');
+const modelDetails = require('./modelDetails.js');
+
+let store = null;
+
+// Aliases are persisted in electron-store when available
+try {
+  const Store = require('electron-store');
+  store = new Store();
+} catch (e) {
+  // Outside the main process aliases only live in memory
+}
+
+const ALIASES_STORE_KEY = 'modelAliases';
+const ALIAS_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]*$/;
+
+class ModelAliases {
+  constructor() {
+    this.memoryAliases = [];
+  }
+
+  /**
+   * List aliases
+   * @returns {Array<{name: string, model: string, defaults: Object, updatedAt: string}>}
+   */
+  listAliases() {
+    return this._loadAliases();
+  }
+
+  /**
+   * Find an alias by name
+   * @returns {Object|null}
+   */
+  getAlias(name) {
+    return this._loadAliases().find(alias => alias.name === name) || null;
+  }
+
+  /**
+   * Create or replace an alias
+   * @param {Object} alias - { name, model, defaults: { temperature, num_ctx, system } }
+   * @throws {Error} if the name, model or a default is invalid
+   */
+  setAlias({ name, model, defaults = {} } = {}) {
+    const aliasName = (name || '').trim();
+    if (!ALIAS_NAME_PATTERN.test(aliasName)) {
+      throw new Error('Alias names may only contain letters, digits, ".", "_" and "-"');
+    }
+    const ref = modelRef.parse((model || '').trim());
+    if (!ref) {
+      throw new Error('Aliases need a model');
+    }
+    if (ref.provider !== 'local' && ref.provider !== 'backend') {
+      throw new Error('Aliases must point to a model on this device');
+    }
+
+    const alias = {
+      name: aliasName,
+      model: modelRef.format(ref),
+      defaults: this._validateDefaults(defaults),
+      updatedAt: new Date().toISOString()
+    };
+    this._saveAliases([...this._loadAliases().filter(existing => existing.name !== aliasName), alias]);
+    console.log(`🏷️ Alias ${alias.name} -> ${alias.model}`);
+    return alias;
+  }
+
+  /**
+   * Remove an alias
+   * @returns {boolean} true if an alias was removed
+   */
+  removeAlias(name) {
+    const aliases = this._loadAliases();
+    const remaining = aliases.filter(alias => alias.name !== name);
+    if (remaining.length === aliases.length) return false;
+
+    this._saveAliases(remaining);
+    console.log(`🏷️ Alias ${name} removed`);
+    return true;
+  }
+
+  /**
+   * The concrete model behind a name; names that aren't aliases are returned unchanged
+   */
+  resolveModel(name) {
+    return this.getAlias(name)?.model || name;
+  }
+
+  /**
+   * Apply an alias to an OpenAI chat completion request
+   * The alias' temperature and system prompt only fill in what the request leaves out
+   * @returns {{request: Object, options: Object}} The request for the concrete model and
+   *   Ollama options (num_ctx) to put under the request's own
+   */
+  applyToChatRequest(request) {
+    const alias = this.getAlias(request.model);
+    if (!alias) return { request, options: {} };
+
+    const { temperature, num_ctx: numCtx, system } = alias.defaults;
+    const resolved = { ...request, model: alias.model };
+    if (temperature !== undefined && (request.temperature === undefined || request.temperature === null)) {
+      resolved.temperature = temperature;
+    }
+    if (system && Array.isArray(request.messages) && !request.messages.some(message => message.role === 'system')) {
+      resolved.messages = [{ role: 'system', content: system }, ...request.messages];
+    }
+    return { request: resolved, options: numCtx !== undefined ? { num_ctx: numCtx } : {} };
+  }
+
+  /**
+   * Apply an alias to a native Ollama /api/chat or /api/generate body
+   */
+  applyToOllamaBody(path, body) {
+    const alias = this.getAlias(body.model);
+    if (!alias) return body;
+
+    const { temperature, num_ctx: numCtx, system } = alias.defaults;
+    const options = {};
+    if (temperature !== undefined) options.temperature = temperature;
+    if (numCtx !== undefined) options.num_ctx = numCtx;
+
+    const resolved = { ...body, model: alias.model, options: { ...options, ...(body.options || {}) } };
+    if (system && path === '/api/chat' && Array.isArray(body.messages) && !body.messages.some(message => message.role === 'system')) {
+      resolved.messages = [{ role: 'system', content: system }, ...body.messages];
+    }
+    if (system && path === '/api/generate' && !body.system) {
+      resolved.system = system;
+    }
+    return resolved;
+  }
+
+  /**
+   * Aliases whose model is available, as entries for HTTPServerHandler.getModels()
+   * @param {Object[]} models - The device's concrete models
+   */
+  toModelEntries(models) {
+    const created = Date.now();
+    return this._loadAliases()
+      .map(alias => ({ alias, target: this._findModel(models, alias.model) }))
+      .filter(({ target }) => target)
+      .map(({ alias, target }) => ({
+        id: alias.name,
+        name: alias.name,
+        object: 'model',
+        created,
+        owned_by: 'alias',
+        provider: target.provider,
+        alias_for: target.id,
+        ...modelDetails.pick(target)
+      }));
+  }
+
+  _findModel(models, model) {
+    // Ollama treats a name without a tag as :latest
+    return models.find(candidate => candidate.id === model || candidate.id === `${model}:latest`);
+  }
+
+  _validateDefaults(defaults) {
+    const valid = {};
+    if (defaults.temperature !== undefined && defaults.temperature !== null && defaults.temperature !== '') {
+      const temperature = Number(defaults.temperature);
+      if (!Number.isFinite(temperature) || temperature < 0 || temperature > 2) {
+        throw new Error('Temperature must be between 0 and 2');
+      }
+      valid.temperature = temperature;
+    }
+    if (defaults.num_ctx !== undefined && defaults.num_ctx !== null && defaults.num_ctx !== '') {
+      const numCtx = Number(defaults.num_ctx);
+      if (!Number.isInteger(numCtx) || numCtx < 1) {
+        throw new Error('Context size must be a positive whole number');
+      }
+      valid.num_ctx = numCtx;
+    }
+    if (typeof defaults.system === 'string' && defaults.system.trim()) {
+      valid.system = defaults.system;
+    }
+    return valid;
+  }
+
+  _loadAliases() {
+    return store ? (store.get(ALIASES_STORE_KEY) || []) : this.memoryAliases;
+  }
+
+  _saveAliases(aliases) {
+    if (store) {
+      store.set(ALIASES_STORE_KEY, aliases);
+    } else {
+      this.memoryAliases = aliases;
+    }
+  }
+}
+
+module.exports = new ModelAliases();
@@ -0,0 +1,81 @@
+/**
+ * Model Details
+ * Context length, family, size, quantization and capabilities of Ollama models from /api/show,
+ * cached per digest since they only change when a model is re-pulled
+ */
+
+const axios = require('axios');
+
+// Fields added to model list entries and shared with peers, so choosers can filter on them
+const METADATA_FIELDS = ['context_length', 'family', 'parameter_size', 'quantization', 'capabilities'];
+
+class ModelDetails {
+  constructor() {
+    this.cache = new Map(); // digest -> details
+  }
+
+  /**
+   * Details of an Ollama model
+   * @param {string} ollamaBaseUrl
+   * @param {string} name - The model's name in Ollama
+   * @param {string} digest - From /api/tags; without one the details aren't cached
+   * @returns {Promise<Object>} Metadata fields that Ollama reported
+   */
+  async getDetails(ollamaBaseUrl, name, digest) {
+    if (digest && this.cache.has(digest)) {
+      return this.cache.get(digest);
+    }
+
+    const response = await axios.post(`${ollamaBaseUrl}/api/show`, { model: name });
+    const details = this.fromShowResponse(response.data);
+    if (digest) {
+      this.cache.set(digest, details);
+    }
+    return details;
+  }
+
+  /**
+   * Metadata fields from an /api/show response
+   */
+  fromShowResponse(show) {
+    const info = show.model_info || {};
+    const architecture = info['general.architecture'];
+    return this.pick({
+      context_length: architecture ? info[`${architecture}.context_length`] : undefined,
+      family: show.details?.family || architecture,
+      parameter_size: show.details?.parameter_size,
+      quantization: show.details?.quantization_level,
+      capabilities: this._capabilities(show, architecture)
+    });
+  }
+
+  /**
+   * The metadata fields of a model entry that are set
+   */
+  pick(model) {
+    return Object.fromEntries(
+      METADATA_FIELDS
+        .filter(field => model[field] !== undefined && model[field] !== null && model[field] !== '')
+        .map(field => [field, model[field]])
+    );
+  }
+
+  _capabilities(show, architecture) {
+    if (Array.isArray(show.capabilities)) {
+      return show.capabilities;
+    }
+
+    // Older Ollama versions don't report capabilities, so infer them from the template and model info
+    const info = show.model_info || {};
+    const capabilities = [info[`${architecture}.pooling_type`] !== undefined ? 'embedding' : 'completion'];
+    if ((show.template || '').includes('.Tools')) {
+      capabilities.push('tools');
+    }
+    if (show.projector_info || (show.details?.families || []).includes('clip')) {
+      capabilities.push('vision');
+    }
+    return capabilities;
+  }
+}
+
+module.exports = new ModelDetails();
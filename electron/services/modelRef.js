@@ -0,0 +1,128 @@
+/**
+ * Model References
+ * The one format for addressing a model anywhere in the app, on the HTTP API and over P2P:
+ *
+ *   llama3:8b                              local model (Ollama or Apple Foundation), the bare name
+ *   p2p://<peerId>/<model>                 model announced by a P2P peer
+ *   device://<deviceId>/<model>            model on a registered remote device
+ *   backend://<backendId>/<model>          model of an OpenAI-compatible backend from Settings
+ *
+ * <model> is taken verbatim up to the end, so any Ollama name (hf.co/org/repo:Q4_K_M,
+ * registry:5000/ns/model:tag, my_model) round-trips. Its tag is what follows the last ':'
+ * after the last '/'. The device part is URI-encoded.
+ * src/utils/modelRef.ts is the renderer's copy of this module and must stay in step with it.
+ */
+
+const PROVIDERS = ['local', 'p2p', 'device', 'backend'];
+const SCHEME_SEPARATOR = '://';
+
+// Device types in the old `userId_deviceId_<type>_<model>` routing IDs
+const LEGACY_DEVICE_TYPES = new Set(['electron', 'web']);
+
+class ModelRef {
+  /**
+   * Parse a model reference; anything without a scheme is a local model name, taken as is
+   * @param {string} id
+   * @returns {{provider: string, device: string|null, name: string, tag: string|null}|null} null if malformed
+   */
+  parse(id) {
+    if (typeof id !== 'string' || !id) return null;
+
+    const schemeEnd = id.indexOf(SCHEME_SEPARATOR);
+    if (schemeEnd !== -1) {
+      const provider = id.slice(0, schemeEnd);
+      const rest = id.slice(schemeEnd + SCHEME_SEPARATOR.length);
+      const slash = rest.indexOf('/');
+      if (!PROVIDERS.includes(provider) || provider === 'local' || slash <= 0 || slash === rest.length - 1) {
+        return null;
+      }
+      let device;
+      try {
+        device = decodeURIComponent(rest.slice(0, slash));
+      } catch (error) {
+        return null;
+      }
+      return { provider, device, ...this.splitTag(rest.slice(slash + 1)) };
+    }
+
+    return { provider: 'local', device: null, ...this.splitTag(id) };
+  }
+
+  /**
+   * Format a reference as its canonical string
+   * @param {{provider?: string, device?: string|null, name: string, tag?: string|null}} ref
+   */
+  format(ref) {
+    const model = this.modelName(ref);
+    const provider = ref.provider || 'local';
+    if (provider === 'local') return model;
+    return `${provider}${SCHEME_SEPARATOR}${encodeURIComponent(ref.device)}/${model}`;
+  }
+
+  /**
+   * Rewrite an ID that may be in a legacy format in the canonical format. Only for IDs that
+   * can predate model references (persisted selections, requests from peers): a plain local
+   * name can look like a legacy ID
+   * @param {string} id
+   * @param {string[]} userIds - users whose `userId_deviceId_<type>_<model>` routing IDs to accept
+   * @returns {string} The input unchanged if it can't be parsed
+   */
+  normalize(id, userIds = []) {
+    const legacy = typeof id === 'string' && !id.includes(SCHEME_SEPARATOR) ? this._parseLegacy(id, userIds) : undefined;
+    const ref = legacy !== undefined ? legacy : this.parse(id);
+    return ref ? this.format(ref) : id;
+  }
+
+  /**
+   * The model's own name with its tag, as the device serving it knows it
+   */
+  modelName(ref) {
+    return ref.tag ? `${ref.name}:${ref.tag}` : ref.name;
+  }
+
+  /**
+   * Split an Ollama-style name into name and tag
+   * @returns {{name: string, tag: string|null}}
+   */
+  splitTag(model) {
+    const colon = model.lastIndexOf(':');
+    if (colon <= model.lastIndexOf('/') || colon === model.length - 1) {
+      return { name: model, tag: null };
+    }
+    return { name: model.slice(0, colon), tag: model.slice(colon + 1) };
+  }
+
+  /**
+   * Formats used before model references existed:
+   * `p2p:<peerId>:<model>`, `<deviceId>|<model>` and `<userId>_<deviceId>_<type>_<model>`.
+   * The last is only recognized after one of the given user IDs, since any Ollama name may contain underscores
+   * @returns {Object|null|undefined} undefined if the ID is in none of them, null if malformed
+   */
+  _parseLegacy(id, userIds) {
+    if (id.startsWith('p2p:')) {
+      const separator = id.indexOf(':', 'p2p:'.length);
+      if (separator === -1 || separator === id.length - 1) return null;
+      return { provider: 'p2p', device: id.slice('p2p:'.length, separator), ...this.splitTag(id.slice(separator + 1)) };
+    }
+
+    const pipe = id.indexOf('|');
+    if (pipe > 0 && pipe < id.length - 1) {
+      return { provider: 'device', device: id.slice(0, pipe), ...this.splitTag(id.slice(pipe + 1)) };
+    }
+
+    // The user and device prefix is dropped: those IDs were addressed to this device.
+    // The model is kept verbatim rather than guessing which underscores were colons
+    const userId = userIds.find(candidate => candidate && id.startsWith(`${candidate}_`));
+    if (userId) {
+      const parts = id.slice(userId.length + 1).split('_');
+      const typeIndex = parts.findIndex(part => LEGACY_DEVICE_TYPES.has(part));
+      if (typeIndex !== -1 && typeIndex < parts.length - 1) {
+        return { provider: 'local', device: null, ...this.splitTag(parts.slice(typeIndex + 1).join('_')) };
+      }
+    }
+
+    return undefined;
+  }
+}
+
+module.exports = new ModelRef();
@@ -0,0 +1,389 @@
+/**
+ * Ollama API Facade
+ * Serves Ollama-native routes (/api/tags, /api/chat, /api/generate, /api/show)
+ * for local models and, in gateway mode, models announced by connected P2P peers
+ */
+
+const axios = require('axios');
+const httpServerHandler = require('./httpServerHandler.js');
+const chatParameterMapper = require('./chatParameterMapper.js');
+const apiErrors = require('./apiErrors.js');
+const peerGateway = require('./peerGateway.js');
+const modelAliases = require('./modelAliases.js');
+
+// Ollama `options` that have an OpenAI chat completion equivalent
+const OPTION_FIELDS = {
+  temperature: 'temperature',
+  top_p: 'top_p',
+  top_k: 'top_k',
+  seed: 'seed',
+  num_predict: 'max_tokens',
+  stop: 'stop',
+  presence_penalty: 'presence_penalty',
+  frequency_penalty: 'frequency_penalty'
+};
+
+class OllamaFacade {
+  /**
+   * List local Ollama and Apple models plus, in gateway mode, peer models in /api/tags shape
+   * Peer models are named by their model reference, `p2p://<peerId>/<model>`
+   */
+  async listModels() {
+    const models = [];
+
+    try {
+      const response = await axios.get(`${httpServerHandler.ollamaBaseUrl}/api/tags`);
+      models.push(...(response.data.models || []));
+    } catch (error) {
+      console.error('Failed to get Ollama models:', error.message);
+    }
+
+    const localModels = await httpServerHandler.getModels();
+    localModels
+      .filter(model => model.provider !== 'Ollama')
+      .forEach(model => models.push(this._tagEntry(model.id, model.provider)));
+
+    if (peerGateway.isEnabled()) {
+      peerGateway.listPeerModels().forEach(model => models.push(this._tagEntry(model.id, model.provider)));
+    }
+
+    return { models };
+  }
+
+  /**
+   * Model details in /api/show shape
+   * Local Ollama models are answered by Ollama itself
+   */
+  async showModel(name) {
+    const target = this._resolveTarget(name);
+
+    if (target.kind === 'ollama') {
+      const response = await axios.post(`${httpServerHandler.ollamaBaseUrl}/api/show`, { model: modelAliases.resolveModel(target.model) });
+      return response.data;
+    }
+
+    const models = (await this.listModels()).models;
+    const entry = models.find(model => model.name === name);
+    if (!entry) {
+      throw this._notFound(name);
+    }
+
+    return {
+      modelfile: '',
+      parameters: '',
+      template: '',
+      details: entry.details,
+      model_info: {},
+      modified_at: entry.modified_at
+    };
+  }
+
+  /**
+   * Handle an /api/chat request
+   * @param {Object} options - { requestId, signal } for cancellation
+   * @returns {Promise<Object>} Result for respond()
+   */
+  async chat(body, clientId, options = {}) {
+    this._validate(body);
+    if (!Array.isArray(body.messages)) {
+      throw chatParameterMapper.invalidRequest('messages must be an array', 'messages');
+    }
+
+    return this._run('chat', '/api/chat', body, this._toOpenAIMessages(body.messages), clientId, options);
+  }
+
+  /**
+   * Handle an /api/generate request
+   * @param {Object} options - { requestId, signal } for cancellation
+   * @returns {Promise<Object>} Result for respond()
+   */
+  async generate(body, clientId, options = {}) {
+    this._validate(body);
+
+    const messages = [];
+    if (body.system) {
+      messages.push({ role: 'system', content: body.system });
+    }
+    messages.push({ role: 'user', content: this._withImages(body.prompt || '', body.images) });
+
+    return this._run('generate', '/api/generate', body, messages, clientId, options);
+  }
+
+  /**
+   * Write a chat/generate result to the client, as NDJSON when streaming
+   */
+  respond(res, result) {
+    if (!result.stream) {
+      return res.json(result.body);
+    }
+
+    res.setHeader('Content-Type', 'application/x-ndjson');
+    res.setHeader('Cache-Control', 'no-cache');
+
+    const writeLine = (line) => res.write(`${JSON.stringify(line)}\n`);
+    // Ollama ends a failed stream with an { error } line
+    const writeError = (error) => {
+      if (res.writableEnded || res.destroyed) return;
+      writeLine({ error: apiErrors.normalize(error).message });
+      res.end();
+    };
+
+    // Local Ollama models stream Ollama's own NDJSON straight through
+    if (result.data) {
+      result.data.on('error', writeError);
+      result.data.pipe(res);
+      return;
+    }
+
+    result.handler(
+      (content) => writeLine(this._chunk(result, content)),
+      (finishReason = 'stop', usage = {}) => {
+        writeLine({
+          ...this._chunk(result, ''),
+          done: true,
+          done_reason: finishReason === 'length' ? 'length' : 'stop',
+          prompt_eval_count: usage.prompt_tokens || 0,
+          eval_count: usage.completion_tokens || 0
+        });
+        res.end();
+      },
+      (toolCalls) => writeLine(this._chunk(result, '', this._toOllamaToolCalls(toolCalls))),
+      writeError
+    );
+  }
+
+  /**
+   * Map an error to an Ollama-style `{ error }` body and HTTP status
+   * Errors from Ollama itself keep their status and message; others use the apiErrors taxonomy
+   * @returns {Promise<{status: number, body: Object, retryAfter?: number}>}
+   */
+  async toErrorResponse(error) {
+    if (error.response) {
+      await apiErrors.readResponseBody(error);
+      return {
+        status: error.response.status,
+        body: { error: error.response.data?.error || error.message }
+      };
+    }
+
+    const apiError = apiErrors.normalize(error);
+    return {
+      status: apiError.status,
+      body: { error: apiError.message },
+      retryAfter: apiError.retryAfter
+    };
+  }
+
+  /**
+   * Route a request to Ollama, Apple Foundation Models, a Settings backend or a peer
+   */
+  async _run(kind, path, body, messages, clientId, options) {
+    const target = this._resolveTarget(body.model);
+    const stream = body.stream !== false;
+    const base = { kind, model: body.model, stream };
+
+    if (target.kind === 'ollama') {
+      const response = await httpServerHandler.forwardOllamaRequest(path, { ...body, model: target.model }, clientId, options);
+      return response.stream ? { ...base, data: response.data } : { ...base, body: response };
+    }
+
+    const request = this._toOpenAIRequest(body, target.model, messages);
+    const response = target.kind === 'peer'
+      ? await peerGateway.createChatCompletion({ ...request, model: body.model, stream }, options)
+      : await httpServerHandler.createChatCompletion({ ...request, stream }, clientId, options);
+    if (stream && response.stream) {
+      return { ...base, handler: response.handler };
+    }
+    return { ...base, stream: false, body: this._toResponse(base, response) };
+  }
+
+  /**
+   * Work out where a model name lives
+   * @returns {{kind: 'ollama'|'apple'|'backend'|'peer', model: string, peerId?: string}}
+   */
+  _resolveTarget(name) {
+    if (peerGateway.isPeerModel(name)) {
+      const target = peerGateway.parseModelId(name);
+      if (!target) {
+        throw this._notFound(name);
+      }
+      if (!peerGateway.isEnabled()) {
+        throw apiErrors.create('MODEL_NOT_FOUND', `model '${name}' is served by a peer; turn on gateway mode in Settings to use it`);
+      }
+      return { kind: 'peer', ...target };
+    }
+
+    // Aliases keep their name so HTTPServerHandler can apply their defaults
+    const concrete = modelAliases.resolveModel(name);
+    if (httpServerHandler.isAppleModel(concrete)) {
+      return { kind: 'apple', model: name };
+    }
+
+    if (httpServerHandler.isBackendModel(concrete)) {
+      return { kind: 'backend', model: name };
+    }
+
+    return { kind: 'ollama', model: name };
+  }
+
+  _validate(body) {
+    if (!body || !body.model || typeof body.model !== 'string') {
+      throw chatParameterMapper.invalidRequest('model is required', 'model');
+    }
+  }
+
+  /**
+   * Build an OpenAI chat completion request from Ollama `options`
+   * Options without an OpenAI equivalent only apply to local Ollama models
+   */
+  _toOpenAIRequest(body, model, messages) {
+    const request = { model, messages };
+    const options = body.options || {};
+
+    Object.entries(OPTION_FIELDS).forEach(([option, field]) => {
+      if (options[option] !== undefined) {
+        request[field] = options[option];
+      }
+    });
+    if (Array.isArray(body.tools) && body.tools.length > 0) {
+      request.tools = body.tools;
+    }
+    if (body.format === 'json') {
+      request.response_format = { type: 'json_object' };
+    } else if (body.format && typeof body.format === 'object') {
+      request.response_format = { type: 'json_schema', json_schema: { name: 'response', schema: body.format } };
+    }
+
+    return request;
+  }
+
+  _toOpenAIMessages(messages) {
+    return messages.map(message => {
+      const converted = { role: message.role, content: this._withImages(message.content || '', message.images) };
+      if (Array.isArray(message.tool_calls)) {
+        converted.tool_calls = message.tool_calls.map(call => ({
+          id: call.id,
+          type: 'function',
+          function: {
+            name: call.function?.name,
+            arguments: JSON.stringify(call.function?.arguments || {})
+          }
+        }));
+      }
+      if (message.role === 'tool' && message.tool_name) {
+        converted.name = message.tool_name;
+      }
+      return converted;
+    });
+  }
+
+  /**
+   * Attach Ollama's raw base64 `images` to text as OpenAI content parts
+   * The media type is only a wrapper; the mapper strips it back to raw base64
+   */
+  _withImages(text, images) {
+    if (!Array.isArray(images) || images.length === 0) {
+      return text;
+    }
+    return [
+      { type: 'text', text },
+      ...images.map(image => ({ type: 'image_url', image_url: { url: `data:image/png;base64,${image}` } }))
+    ];
+  }
+
+  _toOllamaToolCalls(toolCalls) {
+    return toolCalls.map(call => ({
+      function: {
+        name: call.function.name,
+        arguments: this._parseArguments(call.function.arguments)
+      }
+    }));
+  }
+
+  _parseArguments(args) {
+    try {
+      return JSON.parse(args || '{}');
+    } catch (error) {
+      return {};
+    }
+  }
+
+  /**
+   * Split an OpenAI completion into the Ollama message and final-line fields
+   */
+  _fromCompletion(completion) {
+    const choice = completion.choices?.[0] || {};
+    const message = { role: 'assistant', content: choice.message?.content || '' };
+    if (Array.isArray(choice.message?.tool_calls)) {
+      message.tool_calls = this._toOllamaToolCalls(choice.message.tool_calls);
+    }
+
+    return {
+      message,
+      final: {
+        done: true,
+        done_reason: choice.finish_reason === 'length' ? 'length' : 'stop',
+        prompt_eval_count: completion.usage?.prompt_tokens || 0,
+        eval_count: completion.usage?.completion_tokens || 0
+      }
+    };
+  }
+
+  /**
+   * Convert an OpenAI completion into a non-streaming /api/chat or /api/generate response
+   */
+  _toResponse(base, completion) {
+    const { message, final } = this._fromCompletion(completion);
+    const response = { model: base.model, created_at: new Date().toISOString() };
+
+    if (base.kind === 'generate') {
+      response.response = message.content;
+    } else {
+      response.message = message;
+    }
+
+    return { ...response, ...final };
+  }
+
+  /**
+   * One streaming line for /api/chat or /api/generate
+   */
+  _chunk(result, content, toolCalls) {
+    const chunk = { model: result.model, created_at: new Date().toISOString() };
+
+    if (result.kind === 'generate') {
+      chunk.response = content;
+    } else {
+      chunk.message = { role: 'assistant', content };
+      if (toolCalls && toolCalls.length > 0) {
+        chunk.message.tool_calls = toolCalls;
+      }
+    }
+
+    chunk.done = false;
+    return chunk;
+  }
+
+  _tagEntry(name, provider) {
+    return {
+      name,
+      model: name,
+      modified_at: new Date().toISOString(),
+      size: 0,
+      digest: '',
+      details: {
+        format: '',
+        family: provider || '',
+        families: null,
+        parameter_size: '',
+        quantization_level: ''
+      }
+    };
+  }
+
+  _notFound(name) {
+    return apiErrors.create('MODEL_NOT_FOUND', `model '${name}' not found`);
+  }
+}
+
+module.exports = new OllamaFacade();
@@ -6,6 +6,7 @@ const https = require('https');
 const { createWriteStream } = require('fs');
 const { promisify } = require('util');
 const execAsync = promisify(exec);
+const serverSettings = require('./serverSettings.js');
 
 class OllamaManager {
   constructor() {
@@ -228,7 +229,9 @@ class OllamaManager {
     const env = {
       ...process.env,
       OLLAMA_MODELS: path.join(this.ollamaDataDir, 'models'),
-      OLLAMA_HOST: '127.0.0.1:11434'
+      OLLAMA_HOST: '127.0.0.1:11434',
+      // Let Ollama run as many requests per model at once as the queue sends it
+      OLLAMA_NUM_PARALLEL: String(serverSettings.getSettings().maxConcurrentPerModel)
     };
     
     // Start Ollama serve
@@ -0,0 +1,168 @@
+/**
+ * OpenAI-compatible Backend Client
+ * Talks to a backend from backendRegistry: /models, /chat/completions (with streaming) and /embeddings
+ */
+
+const axios = require('axios');
+const apiErrors = require('./apiErrors.js');
+
+// Listing models runs on every /v1/models and P2P get_models, so a stopped backend must not hold it up
+const LIST_MODELS_TIMEOUT = 3000;
+
+class OpenAIBackend {
+  /**
+   * List the backend's models
+   * @returns {Promise<Object[]>} OpenAI model objects, ids as the backend knows them
+   */
+  async listModels(backend) {
+    const response = await axios.get(`${backend.baseUrl}/models`, {
+      headers: this._headers(backend),
+      timeout: LIST_MODELS_TIMEOUT
+    });
+    return Array.isArray(response.data?.data) ? response.data.data : [];
+  }
+
+  /**
+   * Run a chat completion on the backend
+   * @param {Object} request - OpenAI request; `model` is the registry's model ID and is reported back unchanged
+   * @param {string} model - The backend's own name for the model
+   * @returns {Promise<Object>} Completion, or { stream: true, handler } like HTTPServerHandler
+   */
+  async createChatCompletion(backend, model, request, signal) {
+    const stream = !!request.stream;
+    const body = { ...request, model, stream };
+    if (stream) {
+      // Usage only arrives in a final chunk when asked for
+      body.stream_options = { include_usage: true };
+    }
+
+    try {
+      const response = await axios.post(`${backend.baseUrl}/chat/completions`, body, {
+        headers: this._headers(backend),
+        responseType: stream ? 'stream' : 'json',
+        signal
+      });
+
+      if (!stream) {
+        return { ...response.data, model: request.model };
+      }
+      return { stream: true, handler: this._streamHandler(response.data, signal) };
+    } catch (error) {
+      await apiErrors.readResponseBody(error);
+      if (!signal?.aborted) console.error(`Backend ${backend.id} chat completion error:`, apiErrors.normalize(error).message);
+      throw error;
+    }
+  }
+
+  /**
+   * Create embeddings on the backend
+   */
+  async createEmbeddings(backend, model, request, signal) {
+    const response = await axios.post(`${backend.baseUrl}/embeddings`, { ...request, model }, {
+      headers: this._headers(backend),
+      signal
+    });
+    return { ...response.data, model: request.model };
+  }
+
+  /**
+   * Turn an SSE stream of chat.completion.chunk objects into the handler
+   * contract used for Ollama streams: onData(content), onToolCalls(toolCalls),
+   * then onEnd(finishReason, usage) or onError(error)
+   */
+  _streamHandler(data, signal) {
+    return (onData, onEnd, onToolCalls = () => {}, onError = () => {}) => {
+      let buffer = '';
+      let finishReason = null;
+      let usage;
+      let finished = false;
+      // Tool calls arrive as fragments keyed by index and are passed on whole
+      const toolCalls = [];
+
+      const finish = () => {
+        if (finished) return;
+        finished = true;
+        if (toolCalls.length > 0) {
+          onToolCalls(toolCalls.filter(Boolean));
+        }
+        onEnd(finishReason || (toolCalls.length > 0 ? 'tool_calls' : 'stop'), usage);
+      };
+      const fail = (error) => {
+        if (finished) return;
+        finished = true;
+        onError(error);
+      };
+
+      const addToolCallDelta = (delta) => {
+        const index = delta.index ?? toolCalls.length;
+        if (!toolCalls[index]) {
+          toolCalls[index] = { id: delta.id, type: 'function', function: { name: '', arguments: '' } };
+        }
+        const call = toolCalls[index];
+        if (delta.id) call.id = delta.id;
+        if (delta.function?.name) call.function.name += delta.function.name;
+        if (delta.function?.arguments) call.function.arguments += delta.function.arguments;
+      };
+
+      const processLine = (line) => {
+        if (!line.startsWith('data:')) return;
+        const payload = line.slice(5).trim();
+        if (payload === '[DONE]') {
+          finish();
+          return;
+        }
+
+        try {
+          const chunk = JSON.parse(payload);
+          if (chunk.error) {
+            fail(apiErrors.create('BACKEND_ERROR', chunk.error.message || chunk.error));
+            return;
+          }
+          if (chunk.usage) {
+            usage = chunk.usage;
+          }
+          const choice = chunk.choices?.[0];
+          if (!choice) return;
+          if (choice.delta?.content) {
+            onData(choice.delta.content);
+          }
+          if (Array.isArray(choice.delta?.tool_calls)) {
+            choice.delta.tool_calls.forEach(addToolCallDelta);
+          }
+          if (choice.finish_reason) {
+            finishReason = choice.finish_reason;
+          }
+        } catch (error) {
+          console.error('Error parsing stream chunk:', error);
+        }
+      };
+
+      data.on('data', (chunk) => {
+        // SSE lines can be split across chunks, so keep the partial tail
+        buffer += chunk.toString();
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+        lines.map(line => line.trim()).filter(Boolean).forEach(processLine);
+      });
+      data.on('end', () => {
+        if (buffer.trim()) processLine(buffer.trim());
+        finish();
+      });
+      data.on('error', (error) => {
+        if (signal?.aborted) return;
+        console.error('Stream error:', error.message);
+        fail(apiErrors.normalize(error));
+      });
+      signal?.addEventListener('abort', () => {
+        data.destroy();
+        fail(apiErrors.fromAbortSignal(signal));
+      }, { once: true });
+    };
+  }
+
+  _headers(backend) {
+    return backend.apiKey ? { Authorization: `Bearer ${backend.apiKey}` } : {};
+  }
+}
+
+module.exports = new OpenAIBackend();
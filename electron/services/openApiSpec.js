@@ -0,0 +1,732 @@
+/**
+ * OpenAPI Spec
+ * Describes every route of the local HTTP server and validates request bodies
+ * against the same schemas, so the published spec and the checks cannot drift apart
+ */
+
+const Ajv = require('ajv');
+
+// Stops at the first problem, which is what gets reported to the client
+const ajv = new Ajv({ allErrors: false, verbose: true, strict: false });
+
+const SAMPLING = {
+  temperature: { type: ['number', 'null'], minimum: 0, maximum: 2 },
+  top_p: { type: ['number', 'null'], minimum: 0, maximum: 1 },
+  top_k: { type: ['integer', 'null'], minimum: 1, description: 'Not part of the OpenAI API; passed to Ollama' },
+  max_tokens: { type: ['integer', 'null'], minimum: 1 },
+  max_completion_tokens: { type: ['integer', 'null'], minimum: 1 },
+  seed: { type: ['integer', 'null'] },
+  presence_penalty: { type: ['number', 'null'], minimum: -2, maximum: 2 },
+  frequency_penalty: { type: ['number', 'null'], minimum: -2, maximum: 2 },
+  stop: {
+    type: ['string', 'array', 'null'],
+    items: { type: 'string' },
+    maxItems: 4
+  }
+};
+
+const SCHEMAS = {
+  Error: {
+    type: 'object',
+    description: 'Streams that fail after they started send this object as their last event instead.',
+    properties: {
+      error: {
+        type: 'object',
+        properties: {
+          message: { type: 'string' },
+          type: { enum: ['invalid_request_error', 'rate_limit_error', 'insufficient_quota', 'timeout_error', 'server_error'] },
+          param: { type: ['string', 'null'] },
+          code: {
+            type: ['string', 'null'],
+            description: 'e.g. model_not_found, rate_limit_exceeded, insufficient_quota, server_overloaded, deadline_unreachable, ' +
+              'request_cancelled, request_timeout, backend_unavailable, backend_error, peer_unavailable, peer_timeout, peer_error'
+          }
+        }
+      }
+    }
+  },
+  ContentPart: {
+    type: 'object',
+    required: ['type'],
+    properties: {
+      type: { enum: ['text', 'image_url'] },
+      text: { type: 'string' },
+      image_url: {
+        type: ['object', 'string'],
+        description: 'Only base64 data URLs (data:image/...;base64,...) are accepted',
+        properties: { url: { type: 'string' } }
+      }
+    }
+  },
+  ToolCall: {
+    type: 'object',
+    required: ['function'],
+    properties: {
+      id: { type: 'string' },
+      type: { enum: ['function'] },
+      function: {
+        type: 'object',
+        required: ['name'],
+        properties: {
+          name: { type: 'string' },
+          arguments: { type: 'string', description: 'JSON-encoded arguments' }
+        }
+      }
+    }
+  },
+  ChatMessage: {
+    type: 'object',
+    required: ['role'],
+    properties: {
+      role: { enum: ['system', 'user', 'assistant', 'tool'] },
+      content: {
+        type: ['string', 'array', 'null'],
+        items: { $ref: '#/components/schemas/ContentPart' }
+      },
+      name: { type: 'string' },
+      tool_calls: { type: 'array', items: { $ref: '#/components/schemas/ToolCall' } },
+      tool_call_id: { type: 'string' }
+    }
+  },
+  Tool: {
+    type: 'object',
+    required: ['type', 'function'],
+    properties: {
+      type: { enum: ['function'] },
+      function: {
+        type: 'object',
+        required: ['name'],
+        properties: {
+          name: { type: 'string', minLength: 1 },
+          description: { type: 'string' },
+          parameters: { type: 'object' }
+        }
+      }
+    }
+  },
+  ChatCompletionRequest: {
+    type: 'object',
+    required: ['model', 'messages'],
+    properties: {
+      model: { type: 'string', minLength: 1 },
+      messages: { type: 'array', minItems: 1, items: { $ref: '#/components/schemas/ChatMessage' } },
+      stream: { type: ['boolean', 'null'] },
+      n: { type: ['integer', 'null'], minimum: 1, maximum: 8 },
+      ...SAMPLING,
+      tools: { type: ['array', 'null'], items: { $ref: '#/components/schemas/Tool' } },
+      tool_choice: {
+        type: ['string', 'object', 'null'],
+        description: "'none', 'auto', 'required' or { type: 'function', function: { name } }"
+      },
+      response_format: {
+        type: ['object', 'null'],
+        required: ['type'],
+        properties: {
+          type: { enum: ['text', 'json_object', 'json_schema'] },
+          json_schema: {
+            type: 'object',
+            required: ['schema'],
+            properties: {
+              name: { type: 'string' },
+              schema: { type: 'object' },
+              strict: { type: ['boolean', 'null'] }
+            }
+          }
+        }
+      }
+    }
+  },
+  ChatCompletion: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      object: { enum: ['chat.completion'] },
+      created: { type: 'integer' },
+      model: { type: 'string' },
+      choices: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            index: { type: 'integer' },
+            message: { $ref: '#/components/schemas/ChatMessage' },
+            finish_reason: { type: 'string' }
+          }
+        }
+      },
+      usage: { $ref: '#/components/schemas/Usage' }
+    }
+  },
+  Usage: {
+    type: 'object',
+    properties: {
+      prompt_tokens: { type: 'integer' },
+      completion_tokens: { type: 'integer' },
+      total_tokens: { type: 'integer' }
+    }
+  },
+  EmbeddingsRequest: {
+    type: 'object',
+    required: ['model', 'input'],
+    properties: {
+      model: { type: 'string', minLength: 1 },
+      input: { type: ['string', 'array'], minItems: 1, items: { type: 'string' } },
+      encoding_format: { enum: ['float', 'base64'] },
+      dimensions: { type: 'integer', minimum: 1 },
+      user: { type: 'string' }
+    }
+  },
+  Embeddings: {
+    type: 'object',
+    properties: {
+      object: { enum: ['list'] },
+      data: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            object: { enum: ['embedding'] },
+            index: { type: 'integer' },
+            embedding: { type: ['array', 'string'], items: { type: 'number' } }
+          }
+        }
+      },
+      model: { type: 'string' },
+      usage: { $ref: '#/components/schemas/Usage' }
+    }
+  },
+  Model: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      object: { enum: ['model'] },
+      owned_by: { type: 'string' },
+      provider: { type: 'string' },
+      peer_id: { type: 'string', description: 'Set on peer models listed in gateway mode' },
+      backend_id: { type: 'string', description: 'Set on models of OpenAI-compatible backends added in Settings' },
+      alias_for: { type: 'string', description: 'Set on aliases: the model requests for this id are run on' },
+      context_length: { type: 'integer', description: 'Context window the model was trained with. Ollama models (and aliases and peer models of them) only' },
+      family: { type: 'string' },
+      parameter_size: { type: 'string', description: 'e.g. 8.0B' },
+      quantization: { type: 'string', description: 'e.g. Q4_K_M' },
+      capabilities: { type: 'array', items: { type: 'string' }, description: 'e.g. completion, tools, vision, embedding' }
+    }
+  },
+  ModelList: {
+    type: 'object',
+    properties: {
+      object: { enum: ['list'] },
+      data: { type: 'array', items: { $ref: '#/components/schemas/Model' } }
+    }
+  },
+  CancelledRequest: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      object: { enum: ['request'] },
+      status: { enum: ['cancelled'] },
+      previous_state: { enum: ['queued', 'active'] }
+    }
+  },
+  File: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      object: { enum: ['file'] },
+      bytes: { type: 'integer' },
+      created_at: { type: 'integer' },
+      filename: { type: 'string' },
+      purpose: { enum: ['batch', 'batch_output'] },
+      status: { enum: ['processed'] }
+    }
+  },
+  FileList: {
+    type: 'object',
+    properties: {
+      object: { enum: ['list'] },
+      data: { type: 'array', items: { $ref: '#/components/schemas/File' } },
+      has_more: { type: 'boolean' }
+    }
+  },
+  FileUploadRequest: {
+    type: 'object',
+    required: ['file', 'purpose'],
+    properties: {
+      file: { type: 'string', format: 'binary', description: 'JSONL, one request per line' },
+      purpose: { enum: ['batch'] }
+    }
+  },
+  BatchCreateRequest: {
+    type: 'object',
+    required: ['input_file_id', 'endpoint', 'completion_window'],
+    properties: {
+      input_file_id: { type: 'string', minLength: 1 },
+      endpoint: { enum: ['/v1/chat/completions', '/v1/embeddings'] },
+      completion_window: { enum: ['24h'] },
+      metadata: {
+        type: ['object', 'null'],
+        additionalProperties: { type: 'string' },
+        maxProperties: 16
+      }
+    }
+  },
+  Batch: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      object: { enum: ['batch'] },
+      endpoint: { type: 'string' },
+      errors: { type: ['object', 'null'] },
+      input_file_id: { type: 'string' },
+      completion_window: { type: 'string' },
+      status: { enum: ['validating', 'failed', 'in_progress', 'finalizing', 'completed', 'expired', 'cancelling', 'cancelled'] },
+      output_file_id: { type: ['string', 'null'] },
+      error_file_id: { type: ['string', 'null'] },
+      created_at: { type: 'integer' },
+      request_counts: {
+        type: 'object',
+        properties: { total: { type: 'integer' }, completed: { type: 'integer' }, failed: { type: 'integer' } }
+      },
+      metadata: { type: ['object', 'null'] }
+    }
+  },
+  BatchList: {
+    type: 'object',
+    properties: {
+      object: { enum: ['list'] },
+      data: { type: 'array', items: { $ref: '#/components/schemas/Batch' } },
+      first_id: { type: ['string', 'null'] },
+      last_id: { type: ['string', 'null'] },
+      has_more: { type: 'boolean' }
+    }
+  },
+  AnthropicMessagesRequest: {
+    type: 'object',
+    required: ['model', 'max_tokens', 'messages'],
+    properties: {
+      model: { type: 'string', minLength: 1 },
+      max_tokens: { type: 'integer', minimum: 1 },
+      messages: {
+        type: 'array',
+        minItems: 1,
+        items: {
+          type: 'object',
+          required: ['role', 'content'],
+          properties: {
+            role: { enum: ['user', 'assistant'] },
+            content: {
+              type: ['string', 'array'],
+              items: {
+                type: 'object',
+                required: ['type'],
+                properties: { type: { enum: ['text', 'image', 'tool_use', 'tool_result'] } }
+              }
+            }
+          }
+        }
+      },
+      system: { type: ['string', 'array'] },
+      stream: { type: 'boolean' },
+      temperature: { type: 'number', minimum: 0, maximum: 1 },
+      top_p: { type: 'number', minimum: 0, maximum: 1 },
+      top_k: { type: 'integer', minimum: 1 },
+      stop_sequences: { type: 'array', items: { type: 'string' } },
+      tools: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['name', 'input_schema'],
+          properties: {
+            name: { type: 'string', minLength: 1 },
+            description: { type: 'string' },
+            input_schema: { type: 'object' }
+          }
+        }
+      },
+      tool_choice: {
+        type: 'object',
+        required: ['type'],
+        properties: {
+          type: { enum: ['auto', 'any', 'tool', 'none'] },
+          name: { type: 'string' }
+        }
+      }
+    }
+  },
+  OllamaChatRequest: {
+    type: 'object',
+    required: ['model', 'messages'],
+    properties: {
+      model: { type: 'string', minLength: 1 },
+      messages: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['role'],
+          properties: {
+            role: { enum: ['system', 'user', 'assistant', 'tool'] },
+            content: { type: 'string' },
+            images: { type: 'array', items: { type: 'string' } },
+            tool_calls: { type: 'array' },
+            tool_name: { type: 'string' }
+          }
+        }
+      },
+      stream: { type: 'boolean' },
+      format: { type: ['string', 'object'] },
+      options: { type: 'object' },
+      tools: { type: 'array' },
+      keep_alive: { type: ['string', 'number'] }
+    }
+  },
+  OllamaGenerateRequest: {
+    type: 'object',
+    required: ['model'],
+    properties: {
+      model: { type: 'string', minLength: 1 },
+      prompt: { type: 'string' },
+      system: { type: 'string' },
+      images: { type: 'array', items: { type: 'string' } },
+      stream: { type: 'boolean' },
+      format: { type: ['string', 'object'] },
+      options: { type: 'object' },
+      keep_alive: { type: ['string', 'number'] }
+    }
+  },
+  OllamaShowRequest: {
+    type: 'object',
+    properties: {
+      model: { type: 'string', minLength: 1 },
+      name: { type: 'string', minLength: 1, description: 'Older clients send name instead of model' }
+    }
+  }
+};
+
+const json = (schema, description = 'Success') => ({
+  description,
+  content: { 'application/json': { schema: { $ref: `#/components/schemas/${schema}` } } }
+});
+const body = (schema) => ({
+  required: true,
+  content: { 'application/json': { schema: { $ref: `#/components/schemas/${schema}` } } }
+});
+const ERRORS = {
+  400: json('Error', 'Invalid request'),
+  401: json('Error', 'Missing or invalid API key'),
+  403: json('Error', 'The API key may not use this route or model'),
+  429: json('Error', 'Rate limited (rate_limit_exceeded) or out of token budget (insufficient_quota); Retry-After gives the seconds to wait'),
+  499: json('Error', 'Cancelled before it finished'),
+  502: json('Error', 'The model backend or peer failed'),
+  503: json('Error', 'The model\'s queue is full (server_overloaded), the request can\'t start before its deadline (deadline_unreachable), ' +
+    'or the model backend or peer is unavailable; Retry-After gives the seconds to wait'),
+  504: json('Error', 'Timed out')
+};
+// Routes that queue for a model take the caller's deadline
+const DEADLINE = [{
+  name: 'x-deadline-seconds',
+  in: 'header',
+  description: 'How long you will wait for the answer, counted from when the request arrives and at most the longest deadline set in Settings (300 by default). ' +
+    'Requests that can\'t start before it get a 503 deadline_unreachable early; requests still running at it time out. ' +
+    'Without it a request waits for its turn and times out after running for the longest deadline.',
+  schema: { type: 'number', exclusiveMinimum: 0 }
+}];
+// Streaming chat routes tell clients waiting for a model where they are
+const QUEUE_UPDATES = 'While a streaming request waits in the queue, the stream sends SSE comments such as ' +
+  ': queue_update {"position":3,"eta_seconds":40} whenever its position changes and every 10 seconds, then position 0 once it starts; ' +
+  'eta_seconds comes from the model\'s recent run times and is null before it has any. Errors after the first update arrive as stream error events.';
+
+const PATHS = {
+  '/health': {
+    get: {
+      summary: 'Health check',
+      description: 'shedding is true while some model\'s queue is full and new requests for it are turned away; see /v1/queue/status for which.',
+      tags: ['Device'],
+      security: [],
+      responses: { 200: { description: 'The server is up' } }
+    }
+  },
+  '/openapi.json': {
+    get: { summary: 'This OpenAPI document', tags: ['Device'], security: [], responses: { 200: { description: 'OpenAPI 3.1 document' } } }
+  },
+  '/docs': {
+    get: { summary: 'Human-readable API reference', tags: ['Device'], security: [], responses: { 200: { description: 'HTML page' } } }
+  },
+  '/metrics': {
+    get: {
+      summary: 'Prometheus metrics',
+      description: 'Only served when metrics are enabled in Settings; returns 404 otherwise.',
+      tags: ['Device'],
+      responses: { 200: { description: 'Prometheus text exposition format' }, 404: json('Error', 'Metrics are disabled') }
+    }
+  },
+  '/models': {
+    get: { summary: 'List models (legacy shape)', tags: ['Models'], responses: { 200: { description: 'Models on this device' } } }
+  },
+  '/v1/models': {
+    get: {
+      summary: 'List models',
+      description: 'Local models keep their bare names; models of backends added in Settings are backend://<backendId>/<model>. In gateway mode this also lists models of connected peers as p2p://<peerId>/<model>.',
+      tags: ['Models'],
+      responses: { 200: json('ModelList') }
+    }
+  },
+  '/v1/models/{id}': {
+    get: {
+      summary: 'Get a model',
+      description: 'Model IDs may contain slashes (backend://<backendId>/<model>); send them as they are or URL-encoded.',
+      tags: ['Models'],
+      parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'string' } }],
+      responses: { 200: json('Model'), 404: json('Error', 'No such model'), ...ERRORS }
+    }
+  },
+  '/v1/queue/status': {
+    get: {
+      summary: 'Queue length and activity per model',
+      description: 'Requests for a model take turns by priority class (owner, devices, trusted, guest, batch) with weighted fair queuing between clients. ' +
+        'Each model lists activePriority and queuedByPriority. An API key\'s class is set when it is created; requests without a key are trusted. ' +
+        'Requests start while the per-model and total concurrency limits allow and their model fits in memory next to the running ones; ' +
+        'waitingFor names the limit holding a model\'s next request back, averageServiceMs is how long its recent requests ran, ' +
+        'and capacity reports the limits and memory use. A model whose queue reaches maxQueueLength is shedding: new requests for it ' +
+        'get a 503 server_overloaded with Retry-After, so routers can send them to another device; shedding lists those models.',
+      tags: ['Queue'],
+      responses: { 200: { description: 'Queue status' } }
+    }
+  },
+  '/v1/requests/{id}': {
+    delete: {
+      summary: 'Cancel a queued or running request',
+      description: 'The id is the x-request-id header of the original response. Keys can only cancel their own requests.',
+      tags: ['Queue'],
+      parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'string' } }],
+      responses: { 200: json('CancelledRequest'), 404: json('Error', 'No such request'), ...ERRORS }
+    }
+  },
+  '/v1/chat/completions': {
+    post: {
+      summary: 'Create a chat completion (OpenAI-compatible)',
+      description: 'Set stream to receive server-sent events of chat.completion.chunk objects. In gateway mode, p2p://<peerId>/<model> models are answered by that peer. ' +
+        'When the response cache is on in Settings, requests with temperature 0 or a seed may be answered from it without queueing. ' +
+        QUEUE_UPDATES,
+      tags: ['OpenAI'],
+      parameters: DEADLINE,
+      requestBody: body('ChatCompletionRequest'),
+      responses: { 200: json('ChatCompletion'), ...ERRORS }
+    }
+  },
+  '/v1/embeddings': {
+    post: {
+      summary: 'Create embeddings (OpenAI-compatible)',
+      tags: ['OpenAI'],
+      parameters: DEADLINE,
+      requestBody: body('EmbeddingsRequest'),
+      responses: { 200: json('Embeddings'), ...ERRORS }
+    }
+  },
+  '/v1/files': {
+    get: {
+      summary: 'List files',
+      tags: ['Batches'],
+      parameters: [{ name: 'purpose', in: 'query', schema: { type: 'string' } }],
+      responses: { 200: json('FileList'), ...ERRORS }
+    },
+    post: {
+      summary: 'Upload a batch input file',
+      description: 'multipart/form-data with a JSONL file (at most 200 MB) and purpose=batch.',
+      tags: ['Batches'],
+      requestBody: {
+        required: true,
+        content: { 'multipart/form-data': { schema: { $ref: '#/components/schemas/FileUploadRequest' } } }
+      },
+      responses: { 200: json('File'), 413: json('Error', 'File too large'), ...ERRORS }
+    }
+  },
+  '/v1/files/{id}': {
+    get: {
+      summary: 'Retrieve a file',
+      tags: ['Batches'],
+      parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'string' } }],
+      responses: { 200: json('File'), 404: json('Error', 'No such file'), ...ERRORS }
+    },
+    delete: {
+      summary: 'Delete a file',
+      tags: ['Batches'],
+      parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'string' } }],
+      responses: { 200: { description: 'The file was deleted' }, 404: json('Error', 'No such file'), ...ERRORS }
+    }
+  },
+  '/v1/files/{id}/content': {
+    get: {
+      summary: 'Download file content',
+      tags: ['Batches'],
+      parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'string' } }],
+      responses: { 200: { description: 'JSONL content' }, 404: json('Error', 'No such file'), ...ERRORS }
+    }
+  },
+  '/v1/batches': {
+    get: {
+      summary: 'List batches, newest first',
+      tags: ['Batches'],
+      parameters: [
+        { name: 'limit', in: 'query', schema: { type: 'integer', minimum: 1, maximum: 100 } },
+        { name: 'after', in: 'query', schema: { type: 'string' }, description: 'Batch id to continue after' }
+      ],
+      responses: { 200: json('BatchList'), ...ERRORS }
+    },
+    post: {
+      summary: 'Create a batch',
+      description: 'Lines run one at a time behind interactive requests, only when nothing else is waiting. ' +
+        'Output and error files are created when the batch finishes.',
+      tags: ['Batches'],
+      requestBody: body('BatchCreateRequest'),
+      responses: { 200: json('Batch'), 404: json('Error', 'No such input file'), ...ERRORS }
+    }
+  },
+  '/v1/batches/{id}': {
+    get: {
+      summary: 'Retrieve a batch',
+      tags: ['Batches'],
+      parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'string' } }],
+      responses: { 200: json('Batch'), 404: json('Error', 'No such batch'), ...ERRORS }
+    }
+  },
+  '/v1/batches/{id}/cancel': {
+    post: {
+      summary: 'Cancel a batch',
+      description: 'Lines already finished are kept in the output file.',
+      tags: ['Batches'],
+      parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'string' } }],
+      responses: { 200: json('Batch'), 404: json('Error', 'No such batch'), ...ERRORS }
+    }
+  },
+  '/v1/messages': {
+    post: {
+      summary: 'Create a message (Anthropic-compatible)',
+      description: 'Errors use the Anthropic shape: { type: "error", error: { type, message } }. ' + QUEUE_UPDATES,
+      tags: ['Anthropic'],
+      parameters: DEADLINE,
+      requestBody: body('AnthropicMessagesRequest'),
+      responses: { 200: { description: 'Anthropic message, or server-sent events when streaming' }, ...ERRORS }
+    }
+  },
+  '/api/tags': {
+    get: { summary: 'List local and peer models (Ollama-compatible)', tags: ['Ollama'], responses: { 200: { description: 'Ollama tags' } } }
+  },
+  '/api/show': {
+    post: {
+      summary: 'Show model details (Ollama-compatible)',
+      tags: ['Ollama'],
+      requestBody: body('OllamaShowRequest'),
+      responses: { 200: { description: 'Ollama model details' }, 404: { description: 'Unknown model' } }
+    }
+  },
+  '/api/chat': {
+    post: {
+      summary: 'Chat (Ollama-compatible)',
+      description: 'Streams newline-delimited JSON unless stream is false. Errors use the Ollama shape: { error }.',
+      tags: ['Ollama'],
+      parameters: DEADLINE,
+      requestBody: body('OllamaChatRequest'),
+      responses: { 200: { description: 'Ollama chat response' } }
+    }
+  },
+  '/api/generate': {
+    post: {
+      summary: 'Generate (Ollama-compatible)',
+      description: 'Streams newline-delimited JSON unless stream is false. Errors use the Ollama shape: { error }.',
+      tags: ['Ollama'],
+      parameters: DEADLINE,
+      requestBody: body('OllamaGenerateRequest'),
+      responses: { 200: { description: 'Ollama generate response' } }
+    }
+  }
+};
+
+class OpenApiSpec {
+  constructor() {
+    this.document = {
+      openapi: '3.1.0',
+      info: {
+        title: 'Pantheon Device API',
+        version: '1.0.0',
+        description: 'OpenAI-, Anthropic- and Ollama-compatible endpoints served by a Pantheon device.'
+      },
+      components: {
+        schemas: SCHEMAS,
+        securitySchemes: {
+          bearerAuth: { type: 'http', scheme: 'bearer', description: 'API key created in Settings' },
+          apiKeyHeader: { type: 'apiKey', in: 'header', name: 'x-api-key' }
+        }
+      },
+      security: [{ bearerAuth: [] }, { apiKeyHeader: [] }],
+      paths: PATHS
+    };
+
+    ajv.addSchema(this.document, 'openapi');
+    this.validators = new Map();
+  }
+
+  /**
+   * The OpenAPI document, with `servers` pointing at the given base URL
+   * @param {string} serverUrl
+   * @returns {Object}
+   */
+  getDocument(serverUrl) {
+    return serverUrl ? { ...this.document, servers: [{ url: serverUrl }] } : this.document;
+  }
+
+  /**
+   * Validate a request body against a schema in components.schemas
+   * @param {string} schemaName
+   * @param {*} value
+   * @returns {{message: string, param: string|null, code: string}|null} null when valid
+   */
+  validate(schemaName, value) {
+    if (!this.validators.has(schemaName)) {
+      this.validators.set(schemaName, ajv.getSchema(`openapi#/components/schemas/${schemaName}`));
+    }
+
+    const validator = this.validators.get(schemaName);
+    return validator(value) ? null : this._describe(validator.errors[0]);
+  }
+
+  /**
+   * Turn an Ajv error into a message and an OpenAI-style param path (e.g. messages[0].role)
+   */
+  _describe(error) {
+    const segments = error.instancePath.split('/').slice(1)
+      .map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'));
+    if (error.keyword === 'required') {
+      segments.push(error.params.missingProperty);
+    }
+    const param = segments.reduce((path, segment) => (
+      /^\d+$/.test(segment) ? `${path}[${segment}]` : (path ? `${path}.${segment}` : segment)
+    ), '') || null;
+    const field = param ? `'${param}'` : 'The request body';
+
+    switch (error.keyword) {
+      case 'required':
+        return { message: `Missing required parameter: ${field}`, param, code: 'missing_required_parameter' };
+      case 'type': {
+        const expected = [].concat(error.params.type).filter(type => type !== 'null').join(' or ');
+        return { message: `${field} must be of type ${expected}, got ${this._typeOf(error.data)}`, param, code: 'invalid_type' };
+      }
+      case 'enum':
+        return {
+          message: `${field} must be one of ${error.params.allowedValues.map(value => `'${value}'`).join(', ')}`,
+          param,
+          code: 'invalid_value'
+        };
+      default:
+        return { message: `${field} ${error.message}`, param, code: 'invalid_value' };
+    }
+  }
+
+  _typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+  }
+}
+
+module.exports = new OpenApiSpec();
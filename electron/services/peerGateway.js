@@ -0,0 +1,193 @@
+/**
+ * Peer Gateway
+ * Lets the local HTTP server serve models announced by P2P peers (gateway mode),
+ * proxying chat completions to the peer over the WebRTC data channel
+ */
+
+const serverSettings = require('./serverSettings.js');
+const apiErrors = require('./apiErrors.js');
+const modelRef = require('./modelRef.js');
+const modelDetails = require('./modelDetails.js');
+
+class PeerGateway {
+  /**
+   * Whether /v1/models and /v1/chat/completions include peer models
+   */
+  isEnabled() {
+    return !!serverSettings.getSettings().gatewayEnabled;
+  }
+
+  /**
+   * Whether an ID addresses a peer, including malformed and legacy `p2p:` IDs
+   */
+  isPeerModel(id) {
+    return typeof id === 'string' && id.startsWith('p2p:');
+  }
+
+  /**
+   * Model reference for a peer's model; peer IDs are account user IDs, so they survive restarts
+   */
+  toModelId(peerId, name) {
+    return modelRef.format({ provider: 'p2p', device: peerId, ...modelRef.splitTag(name) });
+  }
+
+  /**
+   * Split a peer model reference
+   * @returns {{peerId: string, model: string}|null} null when the ID is not a valid peer model reference
+   */
+  parseModelId(id) {
+    const ref = modelRef.parse(id);
+    if (!ref || ref.provider !== 'p2p') return null;
+    return { peerId: ref.device, model: modelRef.modelName(ref) };
+  }
+
+  /**
+   * Models announced by hosting peers, with the details (context_length, capabilities, ...) the peer shared
+   * @returns {Array<{id: string, name: string, peerId: string, provider: string|undefined, details: Object}>}
+   */
+  listPeerModels() {
+    const p2pService = this.getP2PService();
+    const peers = p2pService && p2pService.getAllPeers ? p2pService.getAllPeers() : {};
+
+    const models = [];
+    Object.entries(peers).forEach(([peerId, peer]) => {
+      peer.models.forEach(model => {
+        // The ID is what the peer routes on; names can be display names (Apple) or a backend's own name
+        const name = typeof model === 'string' ? model : (model.id || model.name);
+        if (name) {
+          const details = typeof model === 'string' ? {} : modelDetails.pick(model);
+          models.push({ id: this.toModelId(peerId, name), name, peerId, provider: model.provider, details });
+        }
+      });
+    });
+    return models;
+  }
+
+  /**
+   * Peer models as OpenAI model objects
+   */
+  listModels() {
+    const created = Math.floor(Date.now() / 1000);
+    return this.listPeerModels().map(model => ({
+      id: model.id,
+      name: model.name,
+      object: 'model',
+      created,
+      owned_by: model.peerId,
+      provider: model.provider || 'P2P',
+      peer_id: model.peerId,
+      ...model.details
+    }));
+  }
+
+  /**
+   * Run a chat completion on the peer that announced the model
+   * Streaming requests resolve once the peer sends its first chunk, so failures
+   * before that (peer offline, rate limited there) still get a proper status
+   * @param {Object} request - OpenAI chat completion request with a peer model ID
+   * @param {Object} options - { signal } to cancel the request on the peer, { deadlineMs } for how long the
+   *   caller will wait, which the peer's queue honours too, and { onQueueUpdate } to hear its
+   *   { position, etaSeconds } while it waits in the peer's queue
+   * @returns {Promise<Object>} Completion, or { stream: true, handler } like HTTPServerHandler
+   */
+  async createChatCompletion(request, options = {}) {
+    const target = this.parseModelId(request.model);
+    if (!target) {
+      throw apiErrors.create('MODEL_NOT_FOUND', `The model '${request.model}' does not exist`, { param: 'model' });
+    }
+
+    const p2pService = this.getP2PService();
+    if (!p2pService) {
+      throw apiErrors.create('PEER_UNAVAILABLE', 'P2P service is not available');
+    }
+
+    // stream stays false in the body: peers that can't stream then still answer in one piece
+    const peerRequest = { ...request, model: target.model, stream: false };
+    if (!request.stream) {
+      const completion = await p2pService.requestFromPeer(target.peerId, 'chat', peerRequest, {
+        signal: options.signal,
+        deadlineSeconds: this._deadlineSeconds(options.deadlineMs),
+        onQueueUpdate: options.onQueueUpdate
+      });
+      return { ...completion, model: request.model };
+    }
+
+    return this._stream(p2pService, target.peerId, peerRequest, options);
+  }
+
+  getP2PService() {
+    try {
+      return require('../../src/services/p2pServiceV2.js');
+    } catch (error) {
+      // P2P is unavailable outside the Electron main process
+      return null;
+    }
+  }
+
+  _deadlineSeconds(deadlineMs) {
+    return deadlineMs ? Math.ceil(deadlineMs / 1000) : undefined;
+  }
+
+  _stream(p2pService, peerId, peerRequest, { signal, deadlineMs, onQueueUpdate }) {
+    return new Promise((resolve, reject) => {
+      const events = []; // held until the caller attaches its handler
+      let listener = null;
+      let started = false;
+
+      const response = {
+        stream: true,
+        handler: (onData, onEnd, onToolCalls = () => {}, onError = () => {}) => {
+          listener = ({ kind, value }) => {
+            if (kind === 'chunk') {
+              if (value.content) onData(value.content);
+              if (Array.isArray(value.tool_calls) && value.tool_calls.length > 0) onToolCalls(value.tool_calls);
+            } else if (kind === 'end') {
+              onEnd(value.finish_reason || 'stop', value.usage);
+            } else {
+              onError(value);
+            }
+          };
+          events.splice(0).forEach(listener);
+        }
+      };
+
+      const emit = (event) => {
+        if (listener) {
+          listener(event);
+        } else {
+          events.push(event);
+        }
+        if (!started) {
+          started = true;
+          resolve(response);
+        }
+      };
+
+      p2pService.requestFromPeer(peerId, 'chat', peerRequest, {
+        signal,
+        deadlineSeconds: this._deadlineSeconds(deadlineMs),
+        onQueueUpdate,
+        onChunk: (chunk) => emit({ kind: 'chunk', value: chunk })
+      })
+        .then((result) => {
+          // Peers without streaming support reply with the whole completion
+          if (result?.choices) {
+            const choice = result.choices[0] || {};
+            emit({ kind: 'chunk', value: { content: choice.message?.content, tool_calls: choice.message?.tool_calls } });
+            emit({ kind: 'end', value: { finish_reason: choice.finish_reason, usage: result.usage } });
+          } else {
+            emit({ kind: 'end', value: result || {} });
+          }
+        })
+        .catch((error) => {
+          if (started) {
+            emit({ kind: 'error', value: apiErrors.normalize(error) });
+          } else {
+            reject(error);
+          }
+        });
+    });
+  }
+}
+
+module.exports = new PeerGateway();
@@ -0,0 +1,91 @@
+/**
+ * Priority Classes
+ * Decides which queue priority class a caller's requests get from where they came from:
+ * this device's own UI, an HTTP client with or without an API key, or a P2P peer
+ */
+
+let store = null;
+
+// Trusted peers are persisted in electron-store when available
+try {
+  const Store = require('electron-store');
+  store = new Store();
+} catch (e) {
+  // Outside the main process trusted peers only live in memory
+}
+
+const TRUSTED_PEERS_STORE_KEY = 'trustedPeers';
+// Classes an API key can be given; 'owner' is kept for this device's own UI and 'batch' for batches
+const API_KEY_PRIORITIES = ['devices', 'trusted', 'guest'];
+const DEFAULT_API_KEY_PRIORITY = 'trusted';
+// Loopback callers that needed no key could be any process on this device, not necessarily its owner
+const KEYLESS_PRIORITY = 'trusted';
+
+class PriorityClasses {
+  constructor() {
+    this.memoryTrustedPeers = [];
+  }
+
+  /**
+   * Class of a request from this device's own UI over IPC
+   */
+  forLocalUI() {
+    return 'owner';
+  }
+
+  /**
+   * Class of an HTTP request
+   * The app calling itself is this device's owner, loopback callers without a key are trusted
+   * and other callers get the class of their API key
+   * @param {Object|null} apiKey - The caller's key record, null when none was needed
+   */
+  forApiKey(apiKey) {
+    if (!apiKey) return KEYLESS_PRIORITY;
+    if (apiKey.id === 'internal') return 'owner';
+    return API_KEY_PRIORITIES.includes(apiKey.priority) ? apiKey.priority : DEFAULT_API_KEY_PRIORITY;
+  }
+
+  /**
+   * Class of a P2P peer's request
+   * @param {string} fromUserId - The peer's user ID
+   * @param {string|null} currentUserId - The user signed in on this device
+   */
+  forPeer(fromUserId, currentUserId) {
+    // Other devices of the same account connect as the same user, or as <userId>_<deviceType>
+    if (currentUserId && (fromUserId === currentUserId || fromUserId.startsWith(`${currentUserId}_`))) {
+      return 'devices';
+    }
+    return this.listTrustedPeers().includes(fromUserId) ? 'trusted' : 'guest';
+  }
+
+  /**
+   * Classes an API key can be created with
+   */
+  getApiKeyPriorities() {
+    return API_KEY_PRIORITIES;
+  }
+
+  /**
+   * User IDs of peers whose requests are queued as trusted
+   * @returns {string[]}
+   */
+  listTrustedPeers() {
+    return store ? (store.get(TRUSTED_PEERS_STORE_KEY) || []) : this.memoryTrustedPeers;
+  }
+
+  /**
+   * Replace the trusted peers
+   * @param {string[]} userIds
+   */
+  setTrustedPeers(userIds) {
+    const trustedPeers = [...new Set((userIds || []).map(userId => String(userId).trim()).filter(Boolean))];
+    if (store) {
+      store.set(TRUSTED_PEERS_STORE_KEY, trustedPeers);
+    } else {
+      this.memoryTrustedPeers = trustedPeers;
+    }
+    return trustedPeers;
+  }
+}
+
+module.exports = new PriorityClasses();
@@ -1,116 +1,482 @@
 /**
  * Queue Manager for handling multiple client requests
- * Ensures fair access to model resources when multiple clients connect
+ * Ensures fair access to model resources when multiple clients connect: each model's queue is
+ * ordered by weighted fair queuing across clients, weighted by the caller's priority class.
+ * Requests start while the per-model and total concurrency limits allow and their model fits
+ * in memory next to the models already running. Requests are shed (turned away with a time to
+ * retry) when their model's queue is full or they can't start before their deadline
+ * Emits 'started' when a request leaves the queue and 'rejected' when one is refused. Waiting
+ * requests given an onQueueUpdate callback hear their position and estimated wait as it changes
+ * Failures reach callbacks as { error, code } with code RATE_LIMITED, OVERLOADED, DEADLINE_UNREACHABLE,
+ * TIMEOUT, CANCELLED or QUEUE_CLEARED; aborted signals carry the same object as their reason
  */
 
 const EventEmitter = require('events');
+const os = require('os');
+
+// Share of a model's time each priority class gets while several are waiting: this device's own
+// UI, the owner's other devices, trusted peers and API keys, then everyone else
+const PRIORITY_WEIGHTS = { owner: 8, devices: 4, trusted: 2, guest: 1, batch: 1 };
+// Batch work only runs when nothing else is waiting
+const BACKGROUND_PRIORITY = 'batch';
+const DEFAULT_PRIORITY = 'guest';
+// Classes that are not rate limited: the owner's own UI, and batches, which are paced by their submitter
+const UNLIMITED_PRIORITIES = new Set(['owner', BACKGROUND_PRIORITY]);
+// The owner's own UI always gets a place in the queue
+const UNSHED_PRIORITY = 'owner';
+// Retry-After for shed requests while a model has no run times to estimate from
+const DEFAULT_RETRY_AFTER_MS = 5000;
+// Recent requests per model whose run times make up the average used for wait estimates
+const SERVICE_TIME_SAMPLES = 20;
+// How often waiting requests hear their estimate again when their position hasn't changed
+const QUEUE_UPDATE_INTERVAL = 10000;
 
 class QueueManager extends EventEmitter {
   constructor() {
     super();
     this.queues = new Map(); // modelId -> queue of requests
-    this.activeRequests = new Map(); // modelId -> current active request
-    this.maxConcurrentPerModel = 1; // Only one request per model at a time
-    this.requestTimeout = 300000; // 5 minutes timeout for requests
+    this.activeRequests = new Map(); // modelId -> requests currently running, oldest first
+    this.maxConcurrentPerModel = 1; // Requests one model runs at once, like Ollama's OLLAMA_NUM_PARALLEL
+    this.maxConcurrentTotal = 0; // Requests running at once across all models, 0 for no limit
+    this.memoryReserveBytes = 2 * 1024 * 1024 * 1024; // Left for the system and other apps when admitting models
+    this.requestTimeout = 300000; // 5 minutes timeout for running requests, and the latest deadline a client may ask for
+    this.maxQueueLength = 32; // Requests waiting per model before more are shed, 0 for no limit
     this.clientLimits = new Map(); // clientId -> { lastRequest, requestCount }
     this.rateLimitWindow = 60000; // 1 minute
     this.maxRequestsPerWindow = 10; // Max requests per client per minute
+    this.virtualTimes = new Map(); // modelId -> virtual start time of the request last started
+    this.finishTags = new Map(); // modelId -> Map(clientId -> virtual finish time of its last request)
+    this.serviceTimes = new Map(); // modelId -> run times in ms of its last finished requests, oldest first
+  }
+
+  /**
+   * Priority classes, highest first
+   * @returns {string[]}
+   */
+  getPriorityClasses() {
+    return Object.keys(PRIORITY_WEIGHTS);
+  }
+
+  /**
+   * Set the concurrency limits, the memory reserve, the queue length and the longest deadline;
+   * waiting requests start if they now fit
+   * @param {Object} limits - { maxConcurrentPerModel, maxConcurrentTotal, memoryReserveBytes, maxQueueLength, requestTimeout }
+   */
+  configure({ maxConcurrentPerModel, maxConcurrentTotal, memoryReserveBytes, maxQueueLength, requestTimeout } = {}) {
+    if (maxConcurrentPerModel !== undefined) this.maxConcurrentPerModel = maxConcurrentPerModel;
+    if (maxConcurrentTotal !== undefined) this.maxConcurrentTotal = maxConcurrentTotal;
+    if (memoryReserveBytes !== undefined) this.memoryReserveBytes = memoryReserveBytes;
+    if (maxQueueLength !== undefined) this.maxQueueLength = maxQueueLength;
+    if (requestTimeout !== undefined) this.requestTimeout = requestTimeout;
+    setImmediate(() => this.dispatch());
   }
 
   /**
    * Add a request to the queue
-   * @param {Object} request - { id, clientId, modelId, data, callback }
+   * @param {Object} request - { id, clientId, modelId, data, callback, priority, memoryBytes, deadlineMs, onQueueUpdate }
+   *   priority is one of getPriorityClasses() and defaults to 'guest'; 'batch' waits behind
+   *   every other request, neither 'batch' nor 'owner' is rate limited and 'owner' is never shed for a full queue.
+   *   deadlineMs is how long the caller will wait for the answer from now, capped at requestTimeout; requests
+   *   that can't start before it are shed, and ones still running at it time out. Without one, requests wait
+   *   as long as it takes and time out after running for requestTimeout.
+   *   memoryBytes is what the model needs when loaded, 0 if unknown or not loaded on this device.
+   *   onQueueUpdate({ position, etaSeconds }) is called while the request waits: when its position
+   *   changes and every few seconds; etaSeconds is null until the model has finished a request.
+   *   A request that waited hears position 0 once it starts
    * @returns {Promise<void>}
    */
   async enqueue(request) {
     const { clientId, modelId } = request;
-    
+    // Aborted when the request is cancelled or times out, so upstream work stops too
+    request.abortController = new AbortController();
+    request.priority = request.priority in PRIORITY_WEIGHTS ? request.priority : DEFAULT_PRIORITY;
+    request.memoryBytes = request.memoryBytes || 0;
+    request.enqueuedAt = Date.now();
+    request.deadline = request.deadlineMs ? request.enqueuedAt + Math.min(request.deadlineMs, this.requestTimeout) : null;
+
+    const isRateLimited = !UNLIMITED_PRIORITIES.has(request.priority);
+
     // Check rate limiting
-    if (this.isRateLimited(clientId)) {
-      request.callback({
+    if (isRateLimited && this.isRateLimited(clientId)) {
+      this._reject(request, {
         error: 'Rate limit exceeded. Please wait before making another request.',
-        code: 'RATE_LIMITED'
+        code: 'RATE_LIMITED',
+        retryAfterMs: this.getRetryAfterMs(clientId)
       });
       return;
     }
     
-    // Track client request
-    this.trackClientRequest(clientId);
-    
     // Create queue for model if it doesn't exist
     if (!this.queues.has(modelId)) {
       this.queues.set(modelId, []);
     }
-    
-    // Add request to queue
     const queue = this.queues.get(modelId);
-    queue.push(request);
+
+    // Shed load rather than let the queue grow without bound
+    if (request.priority !== UNSHED_PRIORITY && this._isFull(queue)) {
+      this._reject(request, {
+        error: `Too many requests are waiting for model ${modelId}. Please retry later or use another device.`,
+        code: 'OVERLOADED',
+        retryAfterMs: this._retryAfterMs(modelId)
+      });
+      return;
+    }
+
+    // Track client request
+    if (isRateLimited) {
+      this.trackClientRequest(clientId);
+    }
+    
+    // Add request to queue, which is kept in the order requests will start
+    this._assignVirtualTimes(modelId, request);
+    const before = queue.findIndex(queued => this._startsBefore(request, queued));
+    if (before === -1) {
+      queue.push(request);
+    } else {
+      queue.splice(before, 0, request);
+    }
     
     // Log queue status
-    console.log(`📥 Request ${request.id} added to queue for model ${modelId}. Queue length: ${queue.length}`);
+    console.log(`📥 Request ${request.id} (${request.priority}) added to queue for model ${modelId}. Queue length: ${queue.length}`);
+
+    if (request.onQueueUpdate) {
+      // Refresh the estimate even when nothing moves, e.g. while a long answer is generated
+      request.queueUpdateTimer = setInterval(() => this._sendQueueUpdate(request), QUEUE_UPDATE_INTERVAL);
+    }
+    if (request.deadline) {
+      request.deadlineTimer = setTimeout(() => this._shed(request), request.deadline - Date.now());
+    }
     
-    // Process queue if no active request for this model
-    if (!this.activeRequests.has(modelId)) {
-      this.processQueue(modelId);
+    this.dispatch();
+  }
+
+  /**
+   * Start queued requests while there is room for them
+   * Each model's queue starts in order; across models, higher classes and then older requests go
+   * first. While a request waits for memory or the total limit, only models that are already
+   * running may start, so smaller models can't keep passing it
+   */
+  dispatch() {
+    let next;
+    while ((next = [...this._admission()].find(([, waitingFor]) => !waitingFor))) {
+      this._start(next[0]);
     }
+    this._shedUnreachable();
+    this._notifyQueued();
   }
 
   /**
-   * Process the queue for a specific model
-   * @param {string} modelId 
+   * The next request of each model, in the order models get to start one, with the limit that
+   * keeps it waiting ('model', 'total' or 'memory') or null if it can start now
+   * @returns {Map<Object, string|null>}
    */
-  async processQueue(modelId) {
+  _admission() {
+    const classes = this.getPriorityClasses();
+    const heads = [...this.queues.values()]
+      .filter(queue => queue.length > 0)
+      .map(queue => queue[0])
+      .sort((a, b) => classes.indexOf(a.priority) - classes.indexOf(b.priority) || a.enqueuedAt - b.enqueuedAt);
+
+    const admission = new Map();
+    let blockedBy = null;
+    for (const request of heads) {
+      let waitingFor = this._waitingFor(request);
+      if (!waitingFor && blockedBy && this._activeCount(request.modelId) === 0) {
+        waitingFor = blockedBy;
+      }
+      if (!blockedBy && (waitingFor === 'memory' || waitingFor === 'total')) {
+        blockedBy = waitingFor;
+      }
+      admission.set(request, waitingFor);
+    }
+    return admission;
+  }
+
+  /**
+   * Which limit keeps a request from starting now: 'model', 'total', 'memory', or null if none
+   */
+  _waitingFor(request) {
+    const running = this._activeCount(request.modelId);
+    if (running >= this.maxConcurrentPerModel) return 'model';
+
+    const total = this._activeCount();
+    if (this.maxConcurrentTotal > 0 && total >= this.maxConcurrentTotal) return 'total';
+
+    // A running model is already loaded, and a model on its own always gets to run, even one larger than the budget
+    if (running > 0 || total === 0) return null;
+    return this.getMemoryInUse() + request.memoryBytes > this.getMemoryBudget() ? 'memory' : null;
+  }
+
+  /**
+   * Number of running requests, for one model or all of them
+   */
+  _activeCount(modelId) {
+    if (modelId !== undefined) {
+      return this.activeRequests.get(modelId)?.length || 0;
+    }
+    let count = 0;
+    for (const active of this.activeRequests.values()) {
+      count += active.length;
+    }
+    return count;
+  }
+
+  /**
+   * Memory the running models need, in bytes
+   */
+  getMemoryInUse() {
+    let bytes = 0;
+    for (const active of this.activeRequests.values()) {
+      bytes += Math.max(...active.map(request => request.memoryBytes));
+    }
+    return bytes;
+  }
+
+  /**
+   * Memory models may use together: total memory less the reserve
+   */
+  getMemoryBudget() {
+    return Math.max(os.totalmem() - this.memoryReserveBytes, 0);
+  }
+
+  /**
+   * Move a request from the front of its model's queue to running
+   */
+  _start(request) {
+    const { modelId } = request;
     const queue = this.queues.get(modelId);
-    
-    if (!queue || queue.length === 0) {
-      this.activeRequests.delete(modelId);
-      return;
+    queue.shift();
+    clearInterval(request.queueUpdateTimer);
+    clearTimeout(request.deadlineTimer);
+    request.startedAt = Date.now();
+    if (request.lastPosition) {
+      this._emitQueueUpdate(request, { position: 0, etaSeconds: 0 });
     }
-    
-    // Get next request
-    const request = queue.shift();
-    this.activeRequests.set(modelId, request);
+    if (!this.activeRequests.has(modelId)) {
+      this.activeRequests.set(modelId, []);
+    }
+    this.activeRequests.get(modelId).push(request);
+    this.virtualTimes.set(modelId, request.virtualStart);
     
     console.log(`🔄 Processing request ${request.id} for model ${modelId}. Remaining in queue: ${queue.length}`);
+    this.emit('started', { requestId: request.id, modelId, waitMs: Date.now() - request.enqueuedAt });
+
+    let released = false;
+    // Free the request's slot and start whatever now fits (safe to call more than once)
+    const release = () => {
+      if (released) return;
+      released = true;
+      clearTimeout(timeoutId);
+      // Timed out and cancelled requests say nothing about how long the model takes
+      if (!request.abortController.signal.aborted) {
+        this._recordServiceTime(modelId, Date.now() - request.startedAt);
+      }
+      const active = this.activeRequests.get(modelId) || [];
+      if (active.includes(request)) {
+        active.splice(active.indexOf(request), 1);
+      }
+      if (active.length === 0) {
+        this.activeRequests.delete(modelId);
+        if (!this.queues.get(modelId)?.length) {
+          // Nothing is waiting, so no client has fallen behind; start the next busy period afresh
+          this.virtualTimes.delete(modelId);
+          this.finishTags.delete(modelId);
+        }
+      }
+      setImmediate(() => this.dispatch());
+    };
+    request.release = release;
     
-    // Set timeout for request
+    // Time out at the request's deadline, or requestTimeout after starting without one
     const timeoutId = setTimeout(() => {
       console.error(`⏱️ Request ${request.id} timed out`);
-      request.callback({
-        error: 'Request timed out',
-        code: 'TIMEOUT'
-      });
-      this.activeRequests.delete(modelId);
-      this.processQueue(modelId);
-    }, this.requestTimeout);
+      const result = { error: 'Request timed out', code: 'TIMEOUT' };
+      request.abortController.abort(result);
+      request.callback(result);
+      release();
+    }, request.deadline ? request.deadline - Date.now() : this.requestTimeout);
     
-    try {
-      // Execute the request callback
-      await new Promise((resolve, reject) => {
-        request.callback({
-          success: true,
-          position: 0,
-          execute: async (handler) => {
-            try {
-              const result = await handler();
-              clearTimeout(timeoutId);
-              resolve(result);
-              return result;
-            } catch (error) {
-              clearTimeout(timeoutId);
-              reject(error);
-              throw error;
-            }
-          }
-        });
+    // Execute the request callback. The handler gets the abort signal and a hold() function;
+    // calling hold() keeps the slot after the handler returns (e.g. while a response streams)
+    // and returns the function that releases it
+    request.callback({
+      success: true,
+      position: 0,
+      signal: request.abortController.signal,
+      execute: async (handler) => {
+        let held = false;
+        const hold = () => {
+          held = true;
+          return release;
+        };
+
+        try {
+          const result = await handler(request.abortController.signal, hold);
+          if (!held) release();
+          return result;
+        } catch (error) {
+          console.error(`❌ Error processing request ${request.id}:`, error.message);
+          release();
+          throw error;
+        }
+      }
+    });
+  }
+
+  /**
+   * Remember how long a finished request ran, keeping the last SERVICE_TIME_SAMPLES per model
+   */
+  _recordServiceTime(modelId, durationMs) {
+    const samples = this.serviceTimes.get(modelId) || [];
+    samples.push(durationMs);
+    if (samples.length > SERVICE_TIME_SAMPLES) {
+      samples.shift();
+    }
+    this.serviceTimes.set(modelId, samples);
+  }
+
+  /**
+   * Average run time of a model's recent requests
+   * @param {string} modelId
+   * @returns {number|null} Milliseconds, or null if no request for the model has finished yet
+   */
+  getAverageServiceTime(modelId) {
+    const samples = this.serviceTimes.get(modelId);
+    if (!samples || samples.length === 0) return null;
+    return samples.reduce((sum, duration) => sum + duration, 0) / samples.length;
+  }
+
+  /**
+   * Estimated seconds until the request at a queue position starts
+   * The oldest running request should free a slot first, after about an average run time in all;
+   * each further round of maxConcurrentPerModel requests ahead takes another average run time
+   * @param {string} modelId
+   * @param {number} position - 1 for the next request to start
+   * @returns {number|null} null while the model has no run times to go by
+   */
+  getEstimatedWait(modelId, position) {
+    const average = this.getAverageServiceTime(modelId);
+    if (average === null) return null;
+
+    const active = this.activeRequests.get(modelId) || [];
+    const untilSlotFree = active.length >= this.maxConcurrentPerModel
+      ? Math.max(average - (Date.now() - active[0].startedAt), 0)
+      : 0;
+    const roundsAhead = Math.floor((position - 1) / this.maxConcurrentPerModel);
+    return Math.round((untilSlotFree + roundsAhead * average) / 1000);
+  }
+
+  /**
+   * Shed queued requests that are now expected to start after their deadline, so their callers
+   * can go elsewhere instead of waiting it out
+   */
+  _shedUnreachable() {
+    for (const [modelId, queue] of this.queues.entries()) {
+      [...queue].forEach((request) => {
+        const etaSeconds = this.getEstimatedWait(modelId, queue.indexOf(request) + 1);
+        if (request.deadline && etaSeconds !== null && Date.now() + etaSeconds * 1000 > request.deadline) {
+          this._shed(request);
+        }
       });
+    }
+  }
+
+  /**
+   * Turn a queued request away because it can't start before its deadline
+   */
+  _shed(request) {
+    const queue = this.queues.get(request.modelId);
+    if (!queue || !queue.includes(request)) return;
+
+    queue.splice(queue.indexOf(request), 1);
+    console.log(`🚦 Request ${request.id} shed: it can't start before its deadline`);
+    this._reject(request, {
+      error: `The request can't start on model ${request.modelId} before its deadline. Please retry later or use another device.`,
+      code: 'DEADLINE_UNREACHABLE',
+      retryAfterMs: this._retryAfterMs(request.modelId)
+    });
+    this._notifyQueued();
+  }
+
+  /**
+   * Refuse a request that is not (or no longer) queued
+   */
+  _reject(request, result) {
+    clearInterval(request.queueUpdateTimer);
+    clearTimeout(request.deadlineTimer);
+    request.abortController.abort(result);
+    this.emit('rejected', { clientId: request.clientId, modelId: request.modelId, code: result.code });
+    request.callback(result);
+  }
+
+  /**
+   * When a shed request may try again: once the next request for the model is expected to start
+   */
+  _retryAfterMs(modelId) {
+    const etaSeconds = this.getEstimatedWait(modelId, 1);
+    return etaSeconds === null ? DEFAULT_RETRY_AFTER_MS : Math.max(etaSeconds * 1000, 1000);
+  }
+
+  /**
+   * Tell waiting requests whose position changed where they are now
+   */
+  _notifyQueued() {
+    for (const queue of this.queues.values()) {
+      queue.forEach((request, index) => {
+        if (request.onQueueUpdate && request.lastPosition !== index + 1) {
+          this._sendQueueUpdate(request);
+        }
+      });
+    }
+  }
+
+  /**
+   * Send a waiting request its position and estimated wait
+   */
+  _sendQueueUpdate(request) {
+    const position = this.getQueuePosition(request.id, request.modelId);
+    if (position < 1) return;
+
+    request.lastPosition = position;
+    this._emitQueueUpdate(request, { position, etaSeconds: this.getEstimatedWait(request.modelId, position) });
+  }
+
+  _emitQueueUpdate(request, update) {
+    try {
+      request.onQueueUpdate(update);
     } catch (error) {
-      console.error(`❌ Error processing request ${request.id}:`, error);
-    } finally {
-      // Remove from active requests and process next
-      this.activeRequests.delete(modelId);
-      setImmediate(() => this.processQueue(modelId));
+      // The requester may already be gone; that is for its own cancel path to notice
+      console.error(`❌ Failed to send queue update for ${request.id}:`, error.message);
+    }
+  }
+
+  /**
+   * Weighted fair queuing: each request of a client starts (in virtual time) where the client's
+   * previous one finished, or now if the client was idle, and takes 1/weight of virtual time.
+   * Requests start in order of virtual finish time, so a burst from one client is interleaved
+   * with others' requests instead of holding them up, and higher classes get proportionally more turns
+   */
+  _assignVirtualTimes(modelId, request) {
+    if (!this.finishTags.has(modelId)) {
+      this.finishTags.set(modelId, new Map());
     }
+    const finishTags = this.finishTags.get(modelId);
+    const virtualTime = this.virtualTimes.get(modelId) || 0;
+
+    request.virtualStart = Math.max(virtualTime, finishTags.get(request.clientId) || 0);
+    request.virtualFinish = request.virtualStart + 1 / PRIORITY_WEIGHTS[request.priority];
+    finishTags.set(request.clientId, request.virtualFinish);
+  }
+
+  /**
+   * Whether a new request should start before one already queued; ties keep arrival order
+   */
+  _startsBefore(request, queued) {
+    const isBackground = request.priority === BACKGROUND_PRIORITY;
+    if (isBackground !== (queued.priority === BACKGROUND_PRIORITY)) {
+      return !isBackground;
+    }
+    return request.virtualFinish < queued.virtualFinish;
   }
 
   /**
@@ -131,6 +497,20 @@ class QueueManager extends EventEmitter {
     return recentRequests.length >= this.maxRequestsPerWindow;
   }
 
+  /**
+   * How long until a rate limited client may send again
+   * @param {string} clientId
+   * @returns {number} Milliseconds until the oldest request in the window expires
+   */
+  getRetryAfterMs(clientId) {
+    const clientInfo = this.clientLimits.get(clientId);
+    if (!clientInfo || clientInfo.requests.length === 0) return 0;
+
+    const windowStart = Date.now() - this.rateLimitWindow;
+    const oldest = Math.min(...clientInfo.requests.filter(time => time > windowStart));
+    return Number.isFinite(oldest) ? oldest - windowStart : 0;
+  }
+
   /**
    * Track a client request for rate limiting
    * @param {string} clientId 
@@ -151,31 +531,91 @@ class QueueManager extends EventEmitter {
 
   /**
    * Get queue status for all models
-   * @returns {Object}
+   * @returns {Object} modelId -> { queueLength, hasActiveRequest, activeCount, activePriority, queuedByPriority,
+   *   waitingFor, averageServiceMs, shedding }; activePriority is the class of the longest running request,
+   *   waitingFor the limit ('model', 'total' or 'memory') holding back the next queued one, averageServiceMs
+   *   the average run time of recent requests (null before the first one finishes) and shedding whether
+   *   the queue is full
    */
   getQueueStatus() {
     const status = {};
+    const admission = this._admission();
     
     for (const [modelId, queue] of this.queues.entries()) {
+      const queuedByPriority = {};
+      queue.forEach(request => {
+        queuedByPriority[request.priority] = (queuedByPriority[request.priority] || 0) + 1;
+      });
+
       status[modelId] = {
         queueLength: queue.length,
-        hasActiveRequest: this.activeRequests.has(modelId)
+        hasActiveRequest: this.activeRequests.has(modelId),
+        activeCount: this._activeCount(modelId),
+        activePriority: this.activeRequests.get(modelId)?.[0].priority || null,
+        queuedByPriority,
+        waitingFor: queue.length > 0 ? admission.get(queue[0]) : null,
+        averageServiceMs: this.getAverageServiceTime(modelId),
+        shedding: this._isFull(queue)
       };
     }
     
     return status;
   }
 
+  /**
+   * Models whose queue is full, so new requests for them are shed until one starts; lets routers
+   * send those requests to another device
+   * @returns {{shedding: boolean, models: Array<{model: string, queueLength: number, retryAfter: number}>}}
+   *   retryAfter is the seconds until the next request for the model is expected to start
+   */
+  getSheddingState() {
+    const models = [...this.queues.entries()]
+      .filter(([, queue]) => this._isFull(queue))
+      .map(([modelId, queue]) => ({
+        model: modelId,
+        queueLength: queue.length,
+        retryAfter: Math.ceil(this._retryAfterMs(modelId) / 1000)
+      }));
+    return { shedding: models.length > 0, models };
+  }
+
+  _isFull(queue) {
+    return this.maxQueueLength > 0 && queue.length >= this.maxQueueLength;
+  }
+
+  /**
+   * Concurrency limits, queue limits and memory use across all models
+   * @returns {{maxConcurrentPerModel: number, maxConcurrentTotal: number, maxQueueLength: number, maxDeadlineSeconds: number,
+   *   activeRequests: number, sheddingModels: string[], memoryBudgetBytes: number, memoryInUseBytes: number,
+   *   totalMemoryBytes: number, freeMemoryBytes: number}}
+   */
+  getCapacity() {
+    return {
+      maxConcurrentPerModel: this.maxConcurrentPerModel,
+      maxConcurrentTotal: this.maxConcurrentTotal,
+      maxQueueLength: this.maxQueueLength,
+      maxDeadlineSeconds: this.requestTimeout / 1000,
+      activeRequests: this._activeCount(),
+      sheddingModels: this.getSheddingState().models.map(({ model }) => model),
+      memoryBudgetBytes: this.getMemoryBudget(),
+      memoryInUseBytes: this.getMemoryInUse(),
+      totalMemoryBytes: os.totalmem(),
+      freeMemoryBytes: os.freemem()
+    };
+  }
+
   /**
    * Get position in queue for a request
+   * Queues are kept in the order requests will start, so a request can move back when
+   * requests of a higher class or a less busy client arrive
    * @param {string} requestId 
    * @param {string} modelId 
    * @returns {number} -1 if not found, 0 if active, 1+ if queued
    */
   getQueuePosition(requestId, modelId) {
-    // Check if it's the active request
-    const activeRequest = this.activeRequests.get(modelId);
-    if (activeRequest && activeRequest.id === requestId) {
+    // Check if it's an active request
+    const active = this.activeRequests.get(modelId) || [];
+    if (active.some(req => req.id === requestId)) {
       return 0;
     }
     
@@ -187,26 +627,56 @@ class QueueManager extends EventEmitter {
     return position === -1 ? -1 : position + 1;
   }
 
+  /**
+   * Find a queued or active request by id
+   * @param {string} requestId
+   * @returns {{request: Object, modelId: string, state: 'queued'|'active'}|null}
+   */
+  findRequest(requestId) {
+    for (const [modelId, active] of this.activeRequests.entries()) {
+      const request = active.find(req => req.id === requestId);
+      if (request) {
+        return { request, modelId, state: 'active' };
+      }
+    }
+
+    for (const [modelId, queue] of this.queues.entries()) {
+      const request = queue.find(req => req.id === requestId);
+      if (request) {
+        return { request, modelId, state: 'queued' };
+      }
+    }
+
+    return null;
+  }
+
   /**
    * Cancel a request
+   * Queued requests are removed; active requests are aborted and their slot is released at once
    * @param {string} requestId 
-   * @param {string} modelId 
    * @returns {boolean} true if cancelled, false if not found
    */
-  cancelRequest(requestId, modelId) {
-    const queue = this.queues.get(modelId);
-    if (!queue) return false;
-    
-    const index = queue.findIndex(req => req.id === requestId);
-    if (index === -1) return false;
-    
-    const [request] = queue.splice(index, 1);
-    request.callback({
-      error: 'Request cancelled',
-      code: 'CANCELLED'
-    });
+  cancelRequest(requestId) {
+    const found = this.findRequest(requestId);
+    if (!found) return false;
+
+    const { request, modelId, state } = found;
+    const result = { error: 'Request cancelled', code: 'CANCELLED' };
+    request.abortController.abort(result);
+
+    if (state === 'queued') {
+      const queue = this.queues.get(modelId);
+      queue.splice(queue.indexOf(request), 1);
+      clearInterval(request.queueUpdateTimer);
+      clearTimeout(request.deadlineTimer);
+      request.callback(result);
+      // Everyone behind it moves up
+      this._notifyQueued();
+    } else {
+      request.release();
+    }
     
-    console.log(`🚫 Request ${requestId} cancelled for model ${modelId}`);
+    console.log(`🚫 ${state === 'active' ? 'Active' : 'Queued'} request ${requestId} cancelled for model ${modelId}`);
     return true;
   }
 
@@ -214,17 +684,24 @@ class QueueManager extends EventEmitter {
    * Clear all queues
    */
   clearAllQueues() {
+    const result = { error: 'Queue cleared', code: 'QUEUE_CLEARED' };
+    for (const active of this.activeRequests.values()) {
+      active.forEach(request => request.abortController.abort(result));
+    }
+
     for (const [modelId, queue] of this.queues.entries()) {
       queue.forEach(request => {
-        request.callback({
-          error: 'Queue cleared',
-          code: 'QUEUE_CLEARED'
-        });
+        clearInterval(request.queueUpdateTimer);
+        clearTimeout(request.deadlineTimer);
+        request.abortController.abort(result);
+        request.callback(result);
       });
     }
     
     this.queues.clear();
     this.activeRequests.clear();
+    this.virtualTimes.clear();
+    this.finishTags.clear();
     console.log('🧹 All queues cleared');
   }
 }
@@ -0,0 +1,189 @@
+/**
+ * Response Cache
+ * Opt-in on-disk cache of chat completions for deterministic requests (temperature 0 or a seed),
+ * kept in userData and bounded in size by evicting the least recently used entries
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { getUserDataPath } = require('./userDataPath.js');
+const serverSettings = require('./serverSettings.js');
+
+// Request fields that don't change what the model generates
+const UNKEYED_FIELDS = ['model', 'stream', 'stream_options', 'user', 'metadata'];
+
+class ResponseCache {
+  constructor() {
+    this.entries = null; // key -> { bytes, lastUsedAt }, loaded on first use
+    this.hits = 0;
+    this.misses = 0;
+  }
+
+  isEnabled() {
+    return serverSettings.getSettings().responseCacheEnabled;
+  }
+
+  /**
+   * Only requests that should give the same answer every time are cached
+   */
+  isCacheable(request) {
+    return request.temperature === 0 || (request.seed !== undefined && request.seed !== null);
+  }
+
+  /**
+   * Hash of everything that decides the response
+   * @param {string} digest - The model's digest, or its ID where the server reports none
+   * @param {Object} request - OpenAI chat completion request, after alias defaults were applied
+   * @param {Object} options - Extra Ollama options (an alias' num_ctx)
+   */
+  createKey(digest, request, options = {}) {
+    const keyed = Object.fromEntries(
+      Object.entries(request).filter(([field]) => !UNKEYED_FIELDS.includes(field))
+    );
+    return crypto.createHash('sha256')
+      .update(this._stableStringify({ digest, request: keyed, options }))
+      .digest('hex');
+  }
+
+  /**
+   * Look up a response, counting the hit or miss
+   * @returns {{choices: Object[], usage: Object}|null}
+   */
+  get(key) {
+    const entries = this._load();
+    if (entries.has(key)) {
+      try {
+        const entry = JSON.parse(fs.readFileSync(this._entryPath(key), 'utf8'));
+        const now = new Date();
+        fs.utimesSync(this._entryPath(key), now, now);
+        entries.get(key).lastUsedAt = now.getTime();
+        this.hits++;
+        return entry.response;
+      } catch (error) {
+        console.error(`Failed to read cached response ${key}:`, error.message);
+        this._delete(key);
+      }
+    }
+    this.misses++;
+    return null;
+  }
+
+  /**
+   * Store a response, then evict the least recently used entries above the size limit
+   * @param {Object} response - { choices, usage }
+   */
+  set(key, { choices, usage }) {
+    const content = JSON.stringify({ createdAt: new Date().toISOString(), response: { choices, usage } });
+    const bytes = Buffer.byteLength(content);
+    if (bytes > this._maxBytes()) return;
+
+    try {
+      fs.writeFileSync(this._entryPath(key), content);
+      this._load().set(key, { bytes, lastUsedAt: Date.now() });
+      this.evict();
+    } catch (error) {
+      console.error('Failed to cache response:', error.message);
+    }
+  }
+
+  /**
+   * Remove least recently used entries until the cache fits the configured size
+   */
+  evict() {
+    const entries = this._load();
+    let total = this._totalBytes();
+    const maxBytes = this._maxBytes();
+    if (total <= maxBytes) return;
+
+    const oldestFirst = [...entries.entries()].sort((a, b) => a[1].lastUsedAt - b[1].lastUsedAt);
+    for (const [key, entry] of oldestFirst) {
+      if (total <= maxBytes) break;
+      this._delete(key);
+      total -= entry.bytes;
+    }
+  }
+
+  /**
+   * Delete every entry and reset the hit and miss counts
+   */
+  clear() {
+    for (const key of [...this._load().keys()]) {
+      this._delete(key);
+    }
+    this.hits = 0;
+    this.misses = 0;
+    console.log('🧹 Response cache cleared');
+  }
+
+  /**
+   * Size of the cache and hits and misses since the app started (or the cache was cleared)
+   */
+  getStats() {
+    return {
+      enabled: this.isEnabled(),
+      entries: this._load().size,
+      bytes: this._totalBytes(),
+      maxBytes: this._maxBytes(),
+      hits: this.hits,
+      misses: this.misses
+    };
+  }
+
+  _delete(key) {
+    fs.rmSync(this._entryPath(key), { force: true });
+    this._load().delete(key);
+  }
+
+  _totalBytes() {
+    return [...this._load().values()].reduce((total, entry) => total + entry.bytes, 0);
+  }
+
+  _maxBytes() {
+    return serverSettings.getSettings().responseCacheMaxMB * 1024 * 1024;
+  }
+
+  _load() {
+    if (!this.entries) {
+      // The files' modification times are the last use, so the LRU order survives restarts
+      this.entries = new Map();
+      const dir = this._dir();
+      fs.readdirSync(dir)
+        .filter(name => name.endsWith('.json'))
+        .forEach(name => {
+          const stats = fs.statSync(path.join(dir, name));
+          this.entries.set(path.basename(name, '.json'), { bytes: stats.size, lastUsedAt: stats.mtimeMs });
+        });
+    }
+    return this.entries;
+  }
+
+  _entryPath(key) {
+    return path.join(this._dir(), `${key}.json`);
+  }
+
+  _dir() {
+    const dir = getUserDataPath('response-cache');
+    fs.mkdirSync(dir, { recursive: true });
+    return dir;
+  }
+
+  /**
+   * JSON with object keys sorted, so equal requests hash the same whatever order clients send fields in
+   */
+  _stableStringify(value) {
+    if (Array.isArray(value)) {
+      return `[${value.map(item => this._stableStringify(item)).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+      return `{${Object.keys(value)
+        .filter(key => value[key] !== undefined)
+        .sort()
+        .map(key => `${JSON.stringify(key)}:${this._stableStringify(value[key])}`)
+        .join(',')}}`;
+    }
+    return JSON.stringify(value);
+  }
+}
+
+module.exports = new ResponseCache();
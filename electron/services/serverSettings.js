@@ -0,0 +1,108 @@
+/**
+ * Server Settings
+ * Persisted options for the local HTTP server that are changed from Settings
+ */
+
+const net = require('net');
+
+let store = null;
+
+// Settings are persisted in electron-store when available
+try {
+  const Store = require('electron-store');
+  store = new Store();
+} catch (e) {
+  // Outside the main process settings only live in memory
+}
+
+const SETTINGS_STORE_KEY = 'httpServerSettings';
+
+const DEFAULT_SETTINGS = {
+  metricsEnabled: false,
+  // '0.0.0.0' for all interfaces, '127.0.0.1' for this computer only, or one interface's address
+  bindAddress: '0.0.0.0',
+  tlsEnabled: false,
+  // Both empty means an auto-generated self-signed certificate
+  tlsCertPath: '',
+  tlsKeyPath: '',
+  // Also serve models announced by P2P peers on /v1/models and /v1/chat/completions
+  gatewayEnabled: false,
+  // Reuse responses to deterministic chat requests (temperature 0 or a seed)
+  responseCacheEnabled: false,
+  responseCacheMaxMB: 256,
+  // Requests one model runs at once; also Ollama's OLLAMA_NUM_PARALLEL when the app starts Ollama
+  maxConcurrentPerModel: 1,
+  // Requests running at once across all models, 0 for no limit besides memory
+  maxConcurrentTotal: 0,
+  // Memory left for the system and other apps; a model only starts next to running ones if it fits in the rest
+  memoryReserveMB: 2048,
+  // Requests waiting per model before more are turned away with a 503, 0 for no limit
+  maxQueueLength: 32,
+  // Longest a request may run, and the longest deadline a client may ask for
+  maxDeadlineSeconds: 300
+};
+
+// Queue limits and the whole numbers each must be at least
+const QUEUE_LIMIT_MINIMUMS = { maxConcurrentPerModel: 1, maxConcurrentTotal: 0, memoryReserveMB: 0, maxQueueLength: 0, maxDeadlineSeconds: 1 };
+
+// Settings that only take effect when the server is restarted
+const LISTEN_SETTINGS = ['bindAddress', 'tlsEnabled', 'tlsCertPath', 'tlsKeyPath'];
+
+class ServerSettings {
+  constructor() {
+    this.memorySettings = {};
+  }
+
+  /**
+   * Get server settings
+   * @returns {{metricsEnabled: boolean, bindAddress: string, tlsEnabled: boolean, tlsCertPath: string, tlsKeyPath: string, gatewayEnabled: boolean,
+   *   responseCacheEnabled: boolean, responseCacheMaxMB: number, maxConcurrentPerModel: number, maxConcurrentTotal: number,
+   *   memoryReserveMB: number, maxQueueLength: number, maxDeadlineSeconds: number}}
+   */
+  getSettings() {
+    const saved = store ? store.get(SETTINGS_STORE_KEY) : this.memorySettings;
+    return {
+      ...DEFAULT_SETTINGS,
+      ...(saved || {})
+    };
+  }
+
+  /**
+   * Update server settings
+   * @param {Object} settings - Only keys with a default are kept
+   * @throws {Error} if the bind address is not an IP address, the cache size is not a positive number
+   *   or a queue limit is not a whole number within range
+   */
+  setSettings(settings) {
+    const known = Object.fromEntries(
+      Object.entries(settings || {}).filter(([key]) => key in DEFAULT_SETTINGS)
+    );
+    if (known.bindAddress !== undefined && !net.isIP(known.bindAddress)) {
+      throw new Error(`Invalid bind address: ${known.bindAddress}`);
+    }
+    if (known.responseCacheMaxMB !== undefined && !(Number.isInteger(known.responseCacheMaxMB) && known.responseCacheMaxMB > 0)) {
+      throw new Error('Response cache size must be a positive whole number of MB');
+    }
+    for (const [key, minimum] of Object.entries(QUEUE_LIMIT_MINIMUMS)) {
+      if (known[key] !== undefined && !(Number.isInteger(known[key]) && known[key] >= minimum)) {
+        throw new Error(`${key} must be a whole number of at least ${minimum}`);
+      }
+    }
+    const updated = { ...this.getSettings(), ...known };
+    if (store) {
+      store.set(SETTINGS_STORE_KEY, updated);
+    } else {
+      this.memorySettings = updated;
+    }
+    return updated;
+  }
+
+  /**
+   * Check whether moving between two settings objects requires restarting the server
+   */
+  requiresRestart(previous, next) {
+    return LISTEN_SETTINGS.some(key => previous[key] !== next[key]);
+  }
+}
+
+module.exports = new ServerSettings();
@@ -0,0 +1,108 @@
+/**
+ * TLS Certificate Manager
+ * Loads the HTTPS certificate for the local HTTP server, either from user-supplied
+ * files or a self-signed certificate generated once and kept in userData
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const selfsigned = require('selfsigned');
+const { getUserDataPath } = require('./userDataPath.js');
+
+const CERT_FILE = 'server-cert.pem';
+const KEY_FILE = 'server-key.pem';
+const SELF_SIGNED_VALIDITY_YEARS = 5;
+// Regenerate this long before expiry so pinned clients get time to update
+const RENEW_BEFORE_MS = 30 * 24 * 60 * 60 * 1000;
+
+class TLSCertificateManager {
+  /**
+   * Get the certificate and key to serve
+   * @param {Object} settings - { tlsCertPath, tlsKeyPath }; both empty means self-signed
+   * @returns {Promise<{cert: string, key: string, fingerprint: string, selfSigned: boolean, certPath: string}>}
+   */
+  async getCredentials({ tlsCertPath, tlsKeyPath } = {}) {
+    if (tlsCertPath || tlsKeyPath) {
+      if (!tlsCertPath || !tlsKeyPath) {
+        throw new Error('Both a certificate and a key file are required for HTTPS');
+      }
+      return this._load(tlsCertPath, tlsKeyPath, false);
+    }
+
+    const certPath = getUserDataPath('tls', CERT_FILE);
+    const keyPath = getUserDataPath('tls', KEY_FILE);
+    if (fs.existsSync(certPath) && fs.existsSync(keyPath)) {
+      const credentials = this._load(certPath, keyPath, true);
+      if (!this._expiresSoon(credentials.cert)) {
+        return credentials;
+      }
+      console.log('🔐 Self-signed certificate is about to expire, generating a new one');
+    }
+
+    await this._generate(certPath, keyPath);
+    return this._load(certPath, keyPath, true);
+  }
+
+  /**
+   * SHA-256 fingerprint of a PEM certificate, formatted like browsers show it (AA:BB:...)
+   */
+  getFingerprint(cert) {
+    return new crypto.X509Certificate(cert).fingerprint256;
+  }
+
+  _load(certPath, keyPath, selfSigned) {
+    let cert;
+    let key;
+    try {
+      cert = fs.readFileSync(certPath, 'utf8');
+      key = fs.readFileSync(keyPath, 'utf8');
+    } catch (error) {
+      throw new Error(`Failed to read TLS certificate or key: ${error.message}`);
+    }
+
+    let fingerprint;
+    try {
+      fingerprint = this.getFingerprint(cert);
+    } catch (error) {
+      throw new Error(`${certPath} is not a valid PEM certificate`);
+    }
+
+    return { cert, key, fingerprint, selfSigned, certPath };
+  }
+
+  async _generate(certPath, keyPath) {
+    const notBeforeDate = new Date();
+    const notAfterDate = new Date(notBeforeDate);
+    notAfterDate.setFullYear(notAfterDate.getFullYear() + SELF_SIGNED_VALIDITY_YEARS);
+
+    const pems = await selfsigned.generate([{ name: 'commonName', value: os.hostname() }], {
+      keySize: 2048,
+      algorithm: 'sha256',
+      notBeforeDate,
+      notAfterDate,
+      extensions: [{
+        name: 'subjectAltName',
+        altNames: [
+          { type: 2, value: 'localhost' },
+          { type: 2, value: os.hostname() },
+          { type: 7, ip: '127.0.0.1' },
+          { type: 7, ip: '::1' }
+        ]
+      }]
+    });
+
+    fs.mkdirSync(path.dirname(certPath), { recursive: true });
+    fs.writeFileSync(keyPath, pems.private, { mode: 0o600 });
+    fs.writeFileSync(certPath, pems.cert);
+    console.log(`🔐 Generated self-signed certificate at ${certPath}`);
+  }
+
+  _expiresSoon(cert) {
+    const validTo = new Date(new crypto.X509Certificate(cert).validTo).getTime();
+    return validTo - Date.now() < RENEW_BEFORE_MS;
+  }
+}
+
+module.exports = new TLSCertificateManager();
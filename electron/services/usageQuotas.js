@@ -0,0 +1,241 @@
+/**
+ * Usage Quotas
+ * Token limits per client: a per-minute rate enforced with a token bucket, and daily and monthly
+ * budgets whose usage is persisted so they survive restarts. Prompt and completion tokens both count.
+ * Clients are API keys (key:<id>), P2P peers (their user ID) and other HTTP callers (their IP address)
+ */
+
+const apiErrors = require('./apiErrors.js');
+
+let store = null;
+
+// Limits and usage are persisted in electron-store when available
+try {
+  const Store = require('electron-store');
+  store = new Store();
+} catch (e) {
+  // Outside the main process they only live in memory
+}
+
+const LIMITS_STORE_KEY = 'usageQuotaLimits';
+const USAGE_STORE_KEY = 'usageQuotaUsage';
+// Limits entry used by clients without their own
+const DEFAULT_CLIENT = '*';
+// null means no limit
+const NO_LIMITS = { tokensPerMinute: null, tokensPerDay: null, tokensPerMonth: null };
+
+class UsageQuotas {
+  constructor() {
+    this.memoryLimits = {};
+    this.memoryUsage = {};
+    this.buckets = new Map(); // clientId -> { tokens, updatedAt } for the per-minute limit
+  }
+
+  /**
+   * Limits that apply to a client: its own if set, otherwise the defaults
+   * @param {string} clientId
+   * @returns {{tokensPerMinute: number|null, tokensPerDay: number|null, tokensPerMonth: number|null}}
+   */
+  getLimits(clientId) {
+    const limits = this._loadLimits();
+    return { ...NO_LIMITS, ...(limits[clientId] || limits[DEFAULT_CLIENT]) };
+  }
+
+  /**
+   * The default limits and the clients with their own
+   * @returns {{defaults: Object, clients: Object}} clients maps clientId -> limits
+   */
+  listLimits() {
+    const { [DEFAULT_CLIENT]: defaults, ...clients } = this._loadLimits();
+    return { defaults: { ...NO_LIMITS, ...defaults }, clients };
+  }
+
+  /**
+   * Set the limits of a client, or the defaults when clientId is null
+   * @param {string|null} clientId
+   * @param {Object} limits - tokensPerMinute, tokensPerDay, tokensPerMonth; null or missing for no limit
+   * @throws {Error} if a limit is not a positive whole number
+   */
+  setLimits(clientId, limits = {}) {
+    const validated = { ...NO_LIMITS };
+    for (const field of Object.keys(NO_LIMITS)) {
+      const value = limits[field] ?? null;
+      if (value !== null && !(Number.isInteger(value) && value > 0)) {
+        throw new Error(`${field} must be a positive whole number of tokens, or empty for no limit`);
+      }
+      validated[field] = value;
+    }
+
+    const saved = this._loadLimits();
+    saved[clientId || DEFAULT_CLIENT] = validated;
+    this._saveLimits(saved);
+    // A new per-minute limit starts with a full bucket; new defaults reach every client without its own
+    if (clientId) {
+      this.buckets.delete(clientId);
+    } else {
+      [...this.buckets.keys()]
+        .filter(id => !(id in saved))
+        .forEach(id => this.buckets.delete(id));
+    }
+    return validated;
+  }
+
+  /**
+   * Drop a client's own limits so the defaults apply again
+   * @returns {boolean} true if the client had its own limits
+   */
+  removeLimits(clientId) {
+    const saved = this._loadLimits();
+    if (!clientId || !(clientId in saved)) return false;
+    delete saved[clientId];
+    this._saveLimits(saved);
+    this.buckets.delete(clientId);
+    return true;
+  }
+
+  /**
+   * Refuse a request from a client that has used up a budget or its per-minute rate
+   * Usage is only known once a request finishes, so a large request can take a client past its
+   * limits; the next ones then wait for the bucket to refill or the budget to reset
+   * @param {string} clientId
+   * @throws {Error} QUOTA_EXCEEDED or RATE_LIMITED with retryAfter set to when the client may retry
+   */
+  check(clientId) {
+    const limits = this.getLimits(clientId);
+    const now = new Date();
+    const usage = this._currentUsage(this._loadUsage()[clientId], now);
+
+    if (limits.tokensPerMonth !== null && usage.monthTokens >= limits.tokensPerMonth) {
+      throw this._budgetError('Monthly', limits.tokensPerMonth, new Date(now.getFullYear(), now.getMonth() + 1, 1), now);
+    }
+    if (limits.tokensPerDay !== null && usage.dayTokens >= limits.tokensPerDay) {
+      throw this._budgetError('Daily', limits.tokensPerDay, new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1), now);
+    }
+
+    const bucket = this._refill(clientId, limits, now.getTime());
+    if (bucket && bucket.tokens <= 0) {
+      const tokensPerSecond = limits.tokensPerMinute / 60;
+      const retryAfter = Math.max(Math.ceil((1 - bucket.tokens) / tokensPerSecond), 1);
+      throw apiErrors.create(
+        'RATE_LIMITED',
+        `Token rate limit of ${limits.tokensPerMinute} tokens per minute exceeded. Retry in ${retryAfter} seconds.`,
+        { retryAfter }
+      );
+    }
+  }
+
+  /**
+   * Count a finished request's tokens against its client's limits
+   * @param {string} clientId
+   * @param {Object} usage - { prompt_tokens, completion_tokens }
+   */
+  record(clientId, usage = {}) {
+    const tokens = (usage.prompt_tokens || 0) + (usage.completion_tokens || 0);
+    if (tokens === 0) return;
+
+    const now = new Date();
+    const saved = this._loadUsage();
+    const current = this._currentUsage(saved[clientId], now);
+    // Entries from earlier months no longer count toward any budget, so they're dropped rather than kept forever
+    Object.keys(saved).forEach(id => {
+      if (saved[id].month !== current.month) delete saved[id];
+    });
+    saved[clientId] = {
+      ...current,
+      dayTokens: current.dayTokens + tokens,
+      monthTokens: current.monthTokens + tokens,
+      lastUsedAt: now.toISOString()
+    };
+    this._saveUsage(saved);
+
+    const bucket = this._refill(clientId, this.getLimits(clientId), now.getTime());
+    if (bucket) {
+      // The bucket may go negative; the client then waits until it has refilled past zero
+      bucket.tokens -= tokens;
+    }
+  }
+
+  /**
+   * Tokens each client has used today and this month
+   * @returns {Array<{clientId: string, dayTokens: number, monthTokens: number, lastUsedAt: string}>}
+   */
+  getUsage() {
+    const now = new Date();
+    return Object.entries(this._loadUsage()).map(([clientId, usage]) => ({
+      clientId,
+      ...this._currentUsage(usage, now)
+    }));
+  }
+
+  _budgetError(period, limit, resetsAt, now) {
+    return apiErrors.create(
+      'QUOTA_EXCEEDED',
+      `${period} token budget of ${limit} tokens used up. It resets at ${resetsAt.toISOString()}.`,
+      { retryAfter: Math.ceil((resetsAt.getTime() - now.getTime()) / 1000) }
+    );
+  }
+
+  /**
+   * A client's usage with counts from an earlier day or month reset to zero
+   */
+  _currentUsage(usage, now) {
+    const day = this._dayKey(now);
+    const month = day.slice(0, 7);
+    return {
+      day,
+      dayTokens: usage?.day === day ? usage.dayTokens : 0,
+      month,
+      monthTokens: usage?.month === month ? usage.monthTokens : 0,
+      lastUsedAt: usage?.lastUsedAt || null
+    };
+  }
+
+  // Budgets follow this computer's calendar
+  _dayKey(date) {
+    const pad = (value) => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  }
+
+  /**
+   * Top up a client's per-minute bucket for the time since it was last used
+   * @returns {Object|null} The bucket, or null when the client has no per-minute limit
+   */
+  _refill(clientId, limits, now) {
+    if (limits.tokensPerMinute === null) {
+      this.buckets.delete(clientId);
+      return null;
+    }
+
+    const bucket = this.buckets.get(clientId) || { tokens: limits.tokensPerMinute, updatedAt: now };
+    bucket.tokens = Math.min(limits.tokensPerMinute, bucket.tokens + (now - bucket.updatedAt) * limits.tokensPerMinute / 60000);
+    bucket.updatedAt = now;
+    this.buckets.set(clientId, bucket);
+    return bucket;
+  }
+
+  _loadLimits() {
+    return { ...(store ? (store.get(LIMITS_STORE_KEY) || {}) : this.memoryLimits) };
+  }
+
+  _saveLimits(limits) {
+    if (store) {
+      store.set(LIMITS_STORE_KEY, limits);
+    } else {
+      this.memoryLimits = limits;
+    }
+  }
+
+  _loadUsage() {
+    return { ...(store ? (store.get(USAGE_STORE_KEY) || {}) : this.memoryUsage) };
+  }
+
+  _saveUsage(usage) {
+    if (store) {
+      store.set(USAGE_STORE_KEY, usage);
+    } else {
+      this.memoryUsage = usage;
+    }
+  }
+}
+
+module.exports = new UsageQuotas();
@@ -0,0 +1,26 @@
+/**
+ * User Data Path
+ * Resolves directories under Electron's userData for services that persist files
+ */
+
+const os = require('os');
+const path = require('path');
+
+/**
+ * Path of a directory under userData
+ * Outside the Electron main process there is no userData, so ~/.pantheon is used instead
+ * @param {...string} segments
+ * @returns {string}
+ */
+function getUserDataPath(...segments) {
+  let root;
+  try {
+    const { app } = require('electron');
+    root = app.getPath('userData');
+  } catch (error) {
+    root = path.join(os.homedir(), '.pantheon');
+  }
+  return path.join(root, ...segments);
+}
+
+module.exports = { getUserDataPath };
@@ -0,0 +1,231 @@
+import React, { useState, useEffect } from 'react';
+import { Tag, Plus, Trash2, Pencil } from 'lucide-react';
+import type { ModelAlias } from '../types/electron-api';
+
+interface LocalModel {
+  id: string;
+  alias_for?: string;
+}
+
+const EMPTY_FORM = { name: '', model: '', temperature: '', numCtx: '', system: '' };
+
+export const AliasesSection: React.FC = () => {
+  const [aliases, setAliases] = useState<ModelAlias[]>([]);
+  const [models, setModels] = useState<string[]>([]);
+  const [editing, setEditing] = useState(false);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    loadAliases();
+    window.electronAPI?.llm?.listLocalModels().then((localModels: LocalModel[]) => {
+      setModels((localModels || []).filter(model => !model.alias_for).map(model => model.id));
+    });
+  }, []);
+
+  const loadAliases = async () => {
+    try {
+      const list = await window.electronAPI?.aliases?.list();
+      setAliases(list || []);
+    } catch (error) {
+      console.error('Failed to load aliases:', error);
+    }
+  };
+
+  const editAlias = (alias: ModelAlias) => {
+    setError(null);
+    setForm({
+      name: alias.name,
+      model: alias.model,
+      temperature: alias.defaults.temperature?.toString() ?? '',
+      numCtx: alias.defaults.num_ctx?.toString() ?? '',
+      system: alias.defaults.system ?? ''
+    });
+    setEditing(true);
+  };
+
+  const saveAlias = async () => {
+    setError(null);
+
+    try {
+      const result = await window.electronAPI?.aliases?.set({
+        name: form.name.trim(),
+        model: form.model.trim(),
+        defaults: {
+          temperature: form.temperature ? Number(form.temperature) : undefined,
+          num_ctx: form.numCtx ? Number(form.numCtx) : undefined,
+          system: form.system.trim() ? form.system : undefined
+        }
+      });
+
+      if (result?.success) {
+        setEditing(false);
+        setForm(EMPTY_FORM);
+        await loadAliases();
+      } else {
+        setError(result?.error || 'Failed to save alias');
+      }
+    } catch (error) {
+      setError('Failed to save alias');
+      console.error('Save alias error:', error);
+    }
+  };
+
+  const removeAlias = async (alias: ModelAlias) => {
+    if (!confirm(`Remove the alias "${alias.name}"? Clients calling it will get a model not found error.`)) {
+      return;
+    }
+
+    await window.electronAPI?.aliases?.remove(alias.name);
+    await loadAliases();
+  };
+
+  const describeDefaults = (alias: ModelAlias) => {
+    const parts = [];
+    if (alias.defaults.temperature !== undefined) parts.push(`temperature ${alias.defaults.temperature}`);
+    if (alias.defaults.num_ctx !== undefined) parts.push(`context ${alias.defaults.num_ctx}`);
+    if (alias.defaults.system) parts.push('system prompt');
+    return parts.length > 0 ? parts.join(' • ') : 'No defaults';
+  };
+
+  return (
+    <div className="space-y-4">
+      <p className="text-sm text-gray-400">
+        Give models a stable name like <code className="text-gray-300">fast</code> or <code className="text-gray-300">coder</code> that
+        clients and peers can call without knowing which model this computer has. Defaults only apply when a request doesn't set them.
+      </p>
+
+      {aliases.length === 0 ? (
+        <p className="text-gray-400 text-sm">No aliases yet.</p>
+      ) : (
+        <div className="space-y-2">
+          {aliases.map(alias => (
+            <div key={alias.name} className="bg-gray-700 rounded-lg p-3 flex items-center justify-between">
+              <div>
+                <h4 className="text-white font-medium flex items-center">
+                  <Tag className="w-4 h-4 mr-2 text-gray-400" />
+                  {alias.name}
+                </h4>
+                <p className="text-sm text-gray-400 font-mono">{alias.model}</p>
+                <p className="text-xs text-gray-500">{describeDefaults(alias)}</p>
+              </div>
+
+              <div className="flex items-center space-x-1">
+                <button
+                  onClick={() => editAlias(alias)}
+                  className="p-2 text-gray-400 hover:text-white hover:bg-gray-600 rounded-lg transition-colors"
+                >
+                  <Pencil className="w-4 h-4" />
+                </button>
+                <button
+                  onClick={() => removeAlias(alias)}
+                  className="p-2 text-red-400 hover:text-red-300 hover:bg-red-900 rounded-lg transition-colors"
+                >
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {editing ? (
+        <div className="bg-gray-700/50 rounded-lg p-4 space-y-4">
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-300 mb-2">Alias</label>
+              <input
+                type="text"
+                value={form.name}
+                onChange={(e) => setForm({ ...form, name: e.target.value })}
+                className="w-full px-3 py-2 bg-gray-800 border border-gray-600 rounded-md text-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+                placeholder="e.g. fast"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-300 mb-2">Model</label>
+              <input
+                type="text"
+                list="alias-models"
+                value={form.model}
+                onChange={(e) => setForm({ ...form, model: e.target.value })}
+                className="w-full px-3 py-2 bg-gray-800 border border-gray-600 rounded-md text-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+                placeholder="e.g. llama3.2:3b"
+              />
+              <datalist id="alias-models">
+                {models.map(model => <option key={model} value={model} />)}
+              </datalist>
+            </div>
+          </div>
+
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-300 mb-2">Temperature (optional)</label>
+              <input
+                type="number"
+                min="0"
+                max="2"
+                step="0.1"
+                value={form.temperature}
+                onChange={(e) => setForm({ ...form, temperature: e.target.value })}
+                className="w-full px-3 py-2 bg-gray-800 border border-gray-600 rounded-md text-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-300 mb-2">Context size (optional)</label>
+              <input
+                type="number"
+                min="1"
+                step="1"
+                value={form.numCtx}
+                onChange={(e) => setForm({ ...form, numCtx: e.target.value })}
+                className="w-full px-3 py-2 bg-gray-800 border border-gray-600 rounded-md text-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+                placeholder="Tokens, Ollama models only"
+              />
+            </div>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-300 mb-2">System prompt (optional)</label>
+            <textarea
+              value={form.system}
+              onChange={(e) => setForm({ ...form, system: e.target.value })}
+              rows={3}
+              className="w-full px-3 py-2 bg-gray-800 border border-gray-600 rounded-md text-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+              placeholder="Used when the request has no system message"
+            />
+          </div>
+
+          <div className="flex space-x-3">
+            <button
+              onClick={saveAlias}
+              className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500"
+            >
+              Save Alias
+            </button>
+            <button
+              onClick={() => { setEditing(false); setForm(EMPTY_FORM); }}
+              className="px-4 py-2 bg-gray-600 text-white rounded-md hover:bg-gray-700 focus:outline-none focus:ring-2 focus:ring-gray-500"
+            >
+              Cancel
+            </button>
+          </div>
+        </div>
+      ) : (
+        <button
+          onClick={() => { setError(null); setEditing(true); }}
+          className="flex items-center px-4 py-2 bg-gray-600 text-white rounded-md hover:bg-gray-700 focus:outline-none focus:ring-2 focus:ring-gray-500"
+        >
+          <Plus className="w-4 h-4 mr-2" />
+          New Alias
+        </button>
+      )}
+
+      {error && (
+        <div className="p-3 rounded-md bg-red-900/50 border border-red-700 text-red-200 text-sm">
+          {error}
+        </div>
+      )}
+    </div>
+  );
+};
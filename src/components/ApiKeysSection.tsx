@@ -0,0 +1,264 @@
+import React, { useState, useEffect } from 'react';
+import { Key, Plus, Trash2, Copy, CheckCircle } from 'lucide-react';
+import type { ApiKeyRecord, ApiKeyPriority } from '../types/electron-api';
+
+const PRIORITY_LABELS: Record<ApiKeyPriority, string> = {
+  devices: 'Own devices',
+  trusted: 'Trusted',
+  guest: 'Guest'
+};
+
+export const ApiKeysSection: React.FC = () => {
+  const [keys, setKeys] = useState<ApiKeyRecord[]>([]);
+  const [requireKeyForLocalhost, setRequireKeyForLocalhost] = useState(false);
+  const [creating, setCreating] = useState(false);
+  const [name, setName] = useState('');
+  const [models, setModels] = useState('');
+  const [access, setAccess] = useState<'read' | 'chat'>('chat');
+  const [expiresAt, setExpiresAt] = useState('');
+  const [priority, setPriority] = useState<ApiKeyPriority>('trusted');
+  const [newKey, setNewKey] = useState<string | null>(null);
+  const [copied, setCopied] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    loadKeys();
+    window.electronAPI?.apiKeys?.getSettings().then(settings => {
+      setRequireKeyForLocalhost(settings.requireKeyForLocalhost);
+    });
+  }, []);
+
+  const loadKeys = async () => {
+    try {
+      const savedKeys = await window.electronAPI?.apiKeys?.list();
+      setKeys(savedKeys || []);
+    } catch (error) {
+      console.error('Failed to load API keys:', error);
+    }
+  };
+
+  const createKey = async () => {
+    setError(null);
+
+    try {
+      const result = await window.electronAPI?.apiKeys?.create({
+        name: name.trim() || 'Unnamed key',
+        models: models.split(',').map(model => model.trim()).filter(Boolean),
+        access,
+        expiresAt: expiresAt ? new Date(expiresAt).toISOString() : null,
+        priority
+      });
+
+      if (result?.success && result.key) {
+        setNewKey(result.key);
+        setCopied(false);
+        setCreating(false);
+        setName('');
+        setModels('');
+        setAccess('chat');
+        setExpiresAt('');
+        setPriority('trusted');
+        await loadKeys();
+      } else {
+        setError(result?.error || 'Failed to create API key');
+      }
+    } catch (error) {
+      setError('Failed to create API key');
+      console.error('Create API key error:', error);
+    }
+  };
+
+  const revokeKey = async (key: ApiKeyRecord) => {
+    if (!confirm(`Revoke "${key.name}"? Clients using it will stop working immediately.`)) {
+      return;
+    }
+
+    await window.electronAPI?.apiKeys?.revoke(key.id);
+    await loadKeys();
+  };
+
+  const handleRequireLocalhostToggle = async (e: React.ChangeEvent<HTMLInputElement>) => {
+    const newValue = e.target.checked;
+    setRequireKeyForLocalhost(newValue);
+    try {
+      await window.electronAPI?.apiKeys?.setSettings({ requireKeyForLocalhost: newValue });
+    } catch (error) {
+      console.error('Failed to save API auth settings:', error);
+    }
+  };
+
+  const copyNewKey = async () => {
+    if (!newKey) return;
+    await navigator.clipboard.writeText(newKey);
+    setCopied(true);
+  };
+
+  const isExpired = (key: ApiKeyRecord) =>
+    !!key.expiresAt && new Date(key.expiresAt).getTime() <= Date.now();
+
+  return (
+    <div className="space-y-4">
+      <p className="text-sm text-gray-400">
+        Clients on your network must send one of these keys as <code className="text-gray-300">Authorization: Bearer</code> or <code className="text-gray-300">x-api-key</code> to use this device's HTTP API.
+      </p>
+
+      <label className="flex items-center space-x-2 text-sm text-gray-300">
+        <input
+          type="checkbox"
+          checked={requireKeyForLocalhost}
+          onChange={handleRequireLocalhostToggle}
+          className="rounded"
+        />
+        <span>Also require a key for apps running on this computer</span>
+      </label>
+
+      {newKey && (
+        <div className="bg-green-900/50 border border-green-700 rounded-lg p-4">
+          <p className="text-sm text-green-200 mb-2">
+            Copy this key now. It is stored hashed and will not be shown again.
+          </p>
+          <div className="flex items-center space-x-2">
+            <code className="flex-1 px-3 py-2 bg-gray-900 rounded text-green-300 text-xs break-all">{newKey}</code>
+            <button
+              onClick={copyNewKey}
+              className="p-2 text-gray-300 hover:text-white hover:bg-gray-700 rounded-lg transition-colors"
+            >
+              {copied ? <CheckCircle className="w-4 h-4 text-green-500" /> : <Copy className="w-4 h-4" />}
+            </button>
+          </div>
+        </div>
+      )}
+
+      {keys.length === 0 ? (
+        <p className="text-gray-400 text-sm">No API keys yet.</p>
+      ) : (
+        <div className="space-y-2">
+          {keys.map(key => (
+            <div key={key.id} className="bg-gray-700 rounded-lg p-3 flex items-center justify-between">
+              <div>
+                <h4 className="text-white font-medium flex items-center">
+                  <Key className="w-4 h-4 mr-2 text-gray-400" />
+                  {key.name}
+                  {isExpired(key) && <span className="ml-2 text-xs text-red-400">Expired</span>}
+                </h4>
+                <p className="text-sm text-gray-400 font-mono">{key.hint}</p>
+                <p className="text-xs text-gray-500">
+                  {key.scopes.access === 'chat' ? 'Chat + read' : 'Read-only'}
+                  {' • '}
+                  {PRIORITY_LABELS[key.priority || 'trusted']} priority
+                  {' • '}
+                  {key.scopes.models.length > 0 ? key.scopes.models.join(', ') : 'All models'}
+                  {key.expiresAt && <>{' • '}Expires {new Date(key.expiresAt).toLocaleDateString()}</>}
+                  {key.lastUsedAt && <>{' • '}Last used {new Date(key.lastUsedAt).toLocaleString()}</>}
+                </p>
+              </div>
+
+              <button
+                onClick={() => revokeKey(key)}
+                className="p-2 text-red-400 hover:text-red-300 hover:bg-red-900 rounded-lg transition-colors"
+              >
+                <Trash2 className="w-4 h-4" />
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {creating ? (
+        <div className="bg-gray-700/50 rounded-lg p-4 space-y-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-300 mb-2">Name</label>
+            <input
+              type="text"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              className="w-full px-3 py-2 bg-gray-800 border border-gray-600 rounded-md text-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+              placeholder="e.g. Laptop scripts"
+            />
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-300 mb-2">Allowed models (optional)</label>
+            <input
+              type="text"
+              value={models}
+              onChange={(e) => setModels(e.target.value)}
+              className="w-full px-3 py-2 bg-gray-800 border border-gray-600 rounded-md text-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+              placeholder="Comma separated, e.g. llama3.2:3b, qwen*  (empty = all models)"
+            />
+            <p className="text-xs text-gray-500 mt-1">To use an alias, the key needs both the alias and the model it stands for.</p>
+          </div>
+
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-300 mb-2">Access</label>
+              <select
+                value={access}
+                onChange={(e) => setAccess(e.target.value as 'read' | 'chat')}
+                className="w-full px-3 py-2 bg-gray-800 border border-gray-600 rounded-md text-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+              >
+                <option value="chat">Chat + read</option>
+                <option value="read">Read-only</option>
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-300 mb-2">Expires (optional)</label>
+              <input
+                type="date"
+                value={expiresAt}
+                onChange={(e) => setExpiresAt(e.target.value)}
+                className="w-full px-3 py-2 bg-gray-800 border border-gray-600 rounded-md text-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+            </div>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-300 mb-2">Queue priority</label>
+            <select
+              value={priority}
+              onChange={(e) => setPriority(e.target.value as ApiKeyPriority)}
+              className="w-full px-3 py-2 bg-gray-800 border border-gray-600 rounded-md text-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+            >
+              {Object.entries(PRIORITY_LABELS).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+            <p className="text-xs text-gray-500 mt-1">
+              When requests are waiting for the same model, own devices get twice the turns of trusted clients
+              and four times those of guests. This computer's own chats always come first.
+            </p>
+          </div>
+
+          <div className="flex space-x-3">
+            <button
+              onClick={createKey}
+              className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500"
+            >
+              Generate Key
+            </button>
+            <button
+              onClick={() => setCreating(false)}
+              className="px-4 py-2 bg-gray-600 text-white rounded-md hover:bg-gray-700 focus:outline-none focus:ring-2 focus:ring-gray-500"
+            >
+              Cancel
+            </button>
+          </div>
+        </div>
+      ) : (
+        <button
+          onClick={() => setCreating(true)}
+          className="flex items-center px-4 py-2 bg-gray-600 text-white rounded-md hover:bg-gray-700 focus:outline-none focus:ring-2 focus:ring-gray-500"
+        >
+          <Plus className="w-4 h-4 mr-2" />
+          New API Key
+        </button>
+      )}
+
+      {error && (
+        <div className="p-3 rounded-md bg-red-900/50 border border-red-700 text-red-200 text-sm">
+          {error}
+        </div>
+      )}
+    </div>
+  );
+};
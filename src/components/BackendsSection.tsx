@@ -0,0 +1,202 @@
+import React, { useState, useEffect } from 'react';
+import { Server, Plus, Trash2, RefreshCw } from 'lucide-react';
+import type { ModelBackend } from '../types/electron-api';
+
+export const BackendsSection: React.FC = () => {
+  const [backends, setBackends] = useState<ModelBackend[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [adding, setAdding] = useState(false);
+  const [name, setName] = useState('');
+  const [baseUrl, setBaseUrl] = useState('');
+  const [apiKey, setApiKey] = useState('');
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    loadBackends();
+  }, []);
+
+  const loadBackends = async () => {
+    setLoading(true);
+    try {
+      const list = await window.electronAPI?.backends?.list();
+      setBackends(list || []);
+    } catch (error) {
+      console.error('Failed to load backends:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const addBackend = async () => {
+    setError(null);
+
+    try {
+      const result = await window.electronAPI?.backends?.add({
+        name: name.trim(),
+        baseUrl: baseUrl.trim(),
+        apiKey: apiKey.trim()
+      });
+
+      if (result?.success) {
+        setAdding(false);
+        setName('');
+        setBaseUrl('');
+        setApiKey('');
+        await loadBackends();
+      } else {
+        setError(result?.error || 'Failed to add backend');
+      }
+    } catch (error) {
+      setError('Failed to add backend');
+      console.error('Add backend error:', error);
+    }
+  };
+
+  const toggleBackend = async (backend: ModelBackend) => {
+    setError(null);
+    const result = await window.electronAPI?.backends?.update(backend.id, { enabled: !backend.enabled });
+    if (result && !result.success) {
+      setError(result.error || 'Failed to update backend');
+    }
+    await loadBackends();
+  };
+
+  const removeBackend = async (backend: ModelBackend) => {
+    if (!confirm(`Remove "${backend.name}"? Its models will no longer be served or shared.`)) {
+      return;
+    }
+
+    await window.electronAPI?.backends?.remove(backend.id);
+    await loadBackends();
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-start justify-between">
+        <p className="text-sm text-gray-400">
+          Serve models from any OpenAI-compatible server on this computer, such as llama.cpp, LM Studio, vLLM or LocalAI.
+          Their models are listed as <code className="text-gray-300">backend://&lt;backend&gt;/&lt;model&gt;</code> next to Ollama's and are shared with peers when hosting.
+        </p>
+        <button
+          onClick={loadBackends}
+          className="ml-4 p-2 text-gray-400 hover:text-white hover:bg-gray-700 rounded-lg transition-colors"
+          title="Refresh"
+        >
+          <RefreshCw className={`w-4 h-4 ${loading ? 'animate-spin' : ''}`} />
+        </button>
+      </div>
+
+      {backends.length === 0 ? (
+        <p className="text-gray-400 text-sm">{loading ? 'Loading backends...' : 'No backends yet.'}</p>
+      ) : (
+        <div className="space-y-2">
+          {backends.map(backend => (
+            <div key={backend.id} className="bg-gray-700 rounded-lg p-3 flex items-center justify-between">
+              <div>
+                <h4 className="text-white font-medium flex items-center">
+                  <Server className="w-4 h-4 mr-2 text-gray-400" />
+                  {backend.name}
+                  <code className="ml-2 text-xs text-gray-400">{backend.id}</code>
+                </h4>
+                <p className="text-sm text-gray-400 font-mono">{backend.baseUrl}</p>
+                <p className="text-xs text-gray-500">
+                  {backend.hasApiKey ? 'API key set' : 'No API key'}
+                  {backend.enabled && backend.status && (
+                    backend.status.error
+                      ? <>{' • '}<span className="text-red-400">{backend.status.error}</span></>
+                      : <>{' • '}{backend.status.modelCount} models</>
+                  )}
+                  {!backend.enabled && <>{' • '}Disabled</>}
+                </p>
+              </div>
+
+              <div className="flex items-center space-x-2">
+                <label className="flex items-center space-x-2 text-sm text-gray-300">
+                  <input
+                    type="checkbox"
+                    checked={backend.enabled}
+                    onChange={() => toggleBackend(backend)}
+                    className="rounded"
+                  />
+                  <span>Enabled</span>
+                </label>
+                <button
+                  onClick={() => removeBackend(backend)}
+                  className="p-2 text-red-400 hover:text-red-300 hover:bg-red-900 rounded-lg transition-colors"
+                >
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {adding ? (
+        <div className="bg-gray-700/50 rounded-lg p-4 space-y-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-300 mb-2">Name</label>
+            <input
+              type="text"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              className="w-full px-3 py-2 bg-gray-800 border border-gray-600 rounded-md text-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+              placeholder="e.g. LM Studio"
+            />
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-300 mb-2">Base URL</label>
+            <input
+              type="text"
+              value={baseUrl}
+              onChange={(e) => setBaseUrl(e.target.value)}
+              className="w-full px-3 py-2 bg-gray-800 border border-gray-600 rounded-md text-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+              placeholder="e.g. http://127.0.0.1:1234/v1"
+            />
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-300 mb-2">API key (optional)</label>
+            <input
+              type="password"
+              value={apiKey}
+              onChange={(e) => setApiKey(e.target.value)}
+              className="w-full px-3 py-2 bg-gray-800 border border-gray-600 rounded-md text-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+              placeholder="Sent as Authorization: Bearer"
+            />
+          </div>
+
+          <div className="flex space-x-3">
+            <button
+              onClick={addBackend}
+              className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500"
+            >
+              Add Backend
+            </button>
+            <button
+              onClick={() => setAdding(false)}
+              className="px-4 py-2 bg-gray-600 text-white rounded-md hover:bg-gray-700 focus:outline-none focus:ring-2 focus:ring-gray-500"
+            >
+              Cancel
+            </button>
+          </div>
+        </div>
+      ) : (
+        <button
+          onClick={() => setAdding(true)}
+          className="flex items-center px-4 py-2 bg-gray-600 text-white rounded-md hover:bg-gray-700 focus:outline-none focus:ring-2 focus:ring-gray-500"
+        >
+          <Plus className="w-4 h-4 mr-2" />
+          New Backend
+        </button>
+      )}
+
+      {error && (
+        <div className="p-3 rounded-md bg-red-900/50 border border-red-700 text-red-200 text-sm">
+          {error}
+        </div>
+      )}
+    </div>
+  );
+};
@@ -0,0 +1,118 @@
+import React, { useState, useEffect } from 'react';
+import { XCircle } from 'lucide-react';
+import type { BatchRecord } from '../types/electron-api';
+
+const POLL_INTERVAL_MS = 3000;
+
+const STATUS_COLORS: Record<BatchRecord['status'], string> = {
+  validating: 'text-gray-300',
+  in_progress: 'text-blue-400',
+  finalizing: 'text-blue-400',
+  completed: 'text-green-400',
+  failed: 'text-red-400',
+  expired: 'text-yellow-400',
+  cancelling: 'text-yellow-400',
+  cancelled: 'text-gray-400'
+};
+
+export const BatchesSection: React.FC = () => {
+  const [batches, setBatches] = useState<BatchRecord[]>([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    loadBatches();
+    const interval = setInterval(loadBatches, POLL_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, []);
+
+  const loadBatches = async () => {
+    try {
+      const list = await window.electronAPI?.batches?.list();
+      setBatches(list || []);
+    } catch (error) {
+      console.error('Failed to load batches:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const cancelBatch = async (id: string) => {
+    try {
+      await window.electronAPI?.batches?.cancel(id);
+      await loadBatches();
+    } catch (error) {
+      console.error('Failed to cancel batch:', error);
+    }
+  };
+
+  if (loading) {
+    return <p className="text-sm text-gray-400">Loading batches...</p>;
+  }
+
+  if (batches.length === 0) {
+    return (
+      <p className="text-sm text-gray-400">
+        No batches yet. Clients can upload a JSONL file to <code className="text-gray-300">/v1/files</code> and
+        start it with <code className="text-gray-300">/v1/batches</code>; lines run behind interactive requests.
+      </p>
+    );
+  }
+
+  return (
+    <div className="space-y-3">
+      {batches.map(batch => {
+        const { total, completed, failed } = batch.request_counts;
+        const done = completed + failed;
+        const percent = total > 0 ? Math.round((done / total) * 100) : 0;
+        const cancellable = batch.status === 'validating' || batch.status === 'in_progress';
+
+        return (
+          <div key={batch.id} className="bg-gray-700/50 rounded-lg p-4 space-y-2">
+            <div className="flex items-center justify-between">
+              <div>
+                <code className="text-sm text-gray-200">{batch.id}</code>
+                <p className="text-xs text-gray-400">
+                  {batch.endpoint} · created {new Date(batch.created_at * 1000).toLocaleString()}
+                </p>
+              </div>
+              <div className="flex items-center space-x-3">
+                <span className={`text-sm font-medium ${STATUS_COLORS[batch.status]}`}>
+                  {batch.status.replace('_', ' ')}
+                </span>
+                {cancellable && (
+                  <button
+                    onClick={() => cancelBatch(batch.id)}
+                    className="p-1 text-gray-400 hover:text-red-400 rounded transition-colors"
+                    title="Cancel batch"
+                  >
+                    <XCircle className="w-4 h-4" />
+                  </button>
+                )}
+              </div>
+            </div>
+
+            {total > 0 && (
+              <>
+                <div className="w-full h-2 bg-gray-800 rounded-full overflow-hidden">
+                  <div className="h-full bg-blue-500 transition-all" style={{ width: `${percent}%` }} />
+                </div>
+                <p className="text-xs text-gray-400">
+                  {done} of {total} requests done
+                  {failed > 0 && <span className="text-red-400"> · {failed} failed</span>}
+                </p>
+              </>
+            )}
+
+            {batch.errors && batch.errors.data.length > 0 && (
+              <p className="text-xs text-red-300">
+                {batch.errors.data[0].line ? `Line ${batch.errors.data[0].line}: ` : ''}
+                {batch.errors.data[0].message}
+                {batch.errors.data.length > 1 && ` (and ${batch.errors.data.length - 1} more)`}
+              </p>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+};
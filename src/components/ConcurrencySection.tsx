@@ -0,0 +1,177 @@
+import React, { useState, useEffect } from 'react';
+import { RefreshCw } from 'lucide-react';
+import type { HttpServerSettings, QueueCapacity } from '../types/electron-api';
+
+type QueueLimits = Pick<
+  HttpServerSettings,
+  'maxConcurrentPerModel' | 'maxConcurrentTotal' | 'memoryReserveMB' | 'maxQueueLength' | 'maxDeadlineSeconds'
+>;
+
+const FIELDS: { key: keyof QueueLimits; label: string; min: number; help: string }[] = [
+  {
+    key: 'maxConcurrentPerModel',
+    label: 'Requests per model',
+    min: 1,
+    help: 'How many requests one model answers at once. Ollama started by Pantheon uses the same value for OLLAMA_NUM_PARALLEL the next time it starts; set it there yourself if you run Ollama separately.'
+  },
+  {
+    key: 'maxConcurrentTotal',
+    label: 'Requests across all models',
+    min: 0,
+    help: '0 for no limit besides memory.'
+  },
+  {
+    key: 'memoryReserveMB',
+    label: 'Memory reserve (MB)',
+    min: 0,
+    help: 'Kept free for the system and other apps. A model only starts next to running ones if its size fits in the rest; a model on its own always runs.'
+  },
+  {
+    key: 'maxQueueLength',
+    label: 'Waiting requests per model',
+    min: 0,
+    help: 'Once this many wait for a model, new requests get a server_overloaded error so other devices can take them. This computer\'s own chats always get in. 0 for no limit.'
+  },
+  {
+    key: 'maxDeadlineSeconds',
+    label: 'Longest deadline (seconds)',
+    min: 1,
+    help: 'How long a request may run. Clients can also set a deadline of up to this long, counted from when their request arrives, with the X-Deadline-Seconds header; requests that cannot start before it are turned away early.'
+  }
+];
+
+const formatGB = (bytes: number) => `${(bytes / 1024 / 1024 / 1024).toFixed(1)} GB`;
+
+export const ConcurrencySection: React.FC = () => {
+  const [values, setValues] = useState<Record<keyof QueueLimits, string>>({
+    maxConcurrentPerModel: '',
+    maxConcurrentTotal: '',
+    memoryReserveMB: '',
+    maxQueueLength: '',
+    maxDeadlineSeconds: ''
+  });
+  const [saved, setSaved] = useState<QueueLimits | null>(null);
+  const [capacity, setCapacity] = useState<QueueCapacity | null>(null);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    window.electronAPI?.serverSettings?.get().then(settings => {
+      if (settings) showLimits(settings);
+    });
+    loadCapacity();
+  }, []);
+
+  const showLimits = (settings: HttpServerSettings) => {
+    setSaved(settings);
+    setValues({
+      maxConcurrentPerModel: String(settings.maxConcurrentPerModel),
+      maxConcurrentTotal: String(settings.maxConcurrentTotal),
+      memoryReserveMB: String(settings.memoryReserveMB),
+      maxQueueLength: String(settings.maxQueueLength),
+      maxDeadlineSeconds: String(settings.maxDeadlineSeconds)
+    });
+  };
+
+  const loadCapacity = async () => {
+    try {
+      const queueCapacity = await window.electronAPI?.queue?.getCapacity();
+      setCapacity(queueCapacity || null);
+    } catch (error) {
+      console.error('Failed to load queue capacity:', error);
+    }
+  };
+
+  const applyLimits = async () => {
+    setError(null);
+    setSaving(true);
+    try {
+      const result = await window.electronAPI?.serverSettings?.set({
+        maxConcurrentPerModel: Number(values.maxConcurrentPerModel),
+        maxConcurrentTotal: Number(values.maxConcurrentTotal),
+        memoryReserveMB: Number(values.memoryReserveMB),
+        maxQueueLength: Number(values.maxQueueLength),
+        maxDeadlineSeconds: Number(values.maxDeadlineSeconds)
+      });
+      if (result) {
+        showLimits(result.settings);
+        if (!result.success) {
+          setError(result.error || 'Failed to save queue limits');
+        }
+      }
+    } catch (error) {
+      setError('Failed to save queue limits');
+      console.error('Failed to save queue limits:', error);
+    } finally {
+      setSaving(false);
+      await loadCapacity();
+    }
+  };
+
+  const changed = !!saved && FIELDS.some(({ key }) => Number(values[key]) !== saved[key]);
+
+  return (
+    <div className="space-y-4">
+      <div className="grid grid-cols-3 gap-4">
+        {FIELDS.map(({ key, label, min }) => (
+          <div key={key}>
+            <label className="block text-sm font-medium text-gray-300 mb-2">{label}</label>
+            <input
+              type="number"
+              min={min}
+              step="1"
+              value={values[key]}
+              onChange={(e) => setValues({ ...values, [key]: e.target.value })}
+              className="w-full px-3 py-2 bg-gray-800 border border-gray-600 rounded-md text-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+          </div>
+        ))}
+      </div>
+
+      <ul className="list-disc ml-5 text-xs text-gray-500 space-y-1">
+        {FIELDS.map(({ key, label, help }) => (
+          <li key={key}><span className="text-gray-400">{label}:</span> {help}</li>
+        ))}
+      </ul>
+
+      <button
+        onClick={applyLimits}
+        disabled={saving || !changed}
+        className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50 focus:outline-none focus:ring-2 focus:ring-blue-500"
+      >
+        Apply
+      </button>
+
+      {capacity && (
+        <div className="bg-gray-700 rounded-lg p-3 flex items-center justify-between">
+          <div className="text-sm text-gray-300 space-y-1">
+            <p>{capacity.activeRequests} request{capacity.activeRequests !== 1 ? 's' : ''} running</p>
+            <p className="text-xs text-gray-400">
+              Running models need {formatGB(capacity.memoryInUseBytes)} of {formatGB(capacity.memoryBudgetBytes)} available to models
+              {' • '}{formatGB(capacity.freeMemoryBytes)} of {formatGB(capacity.totalMemoryBytes)} free
+            </p>
+            {capacity.sheddingModels.length > 0 && (
+              <p className="text-xs text-yellow-400">
+                Queue full, turning away new requests for {capacity.sheddingModels.join(', ')}
+              </p>
+            )}
+          </div>
+
+          <button
+            onClick={loadCapacity}
+            className="p-2 text-gray-400 hover:text-white hover:bg-gray-600 rounded-lg transition-colors"
+            title="Refresh"
+          >
+            <RefreshCw className="w-4 h-4" />
+          </button>
+        </div>
+      )}
+
+      {error && (
+        <div className="p-3 rounded-md bg-red-900/50 border border-red-700 text-red-200 text-sm">
+          {error}
+        </div>
+      )}
+    </div>
+  );
+};
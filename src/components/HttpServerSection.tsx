@@ -0,0 +1,233 @@
+import React, { useState, useEffect } from 'react';
+import { Copy, CheckCircle, ShieldCheck } from 'lucide-react';
+import type { HttpServerSettings, HttpServerStatus } from '../types/electron-api';
+
+const ALL_INTERFACES = '0.0.0.0';
+const LOCALHOST_ONLY = '127.0.0.1';
+
+interface InterfaceAddress {
+  name: string;
+  address: string;
+}
+
+export const HttpServerSection: React.FC = () => {
+  const [settings, setSettings] = useState<HttpServerSettings>({
+    metricsEnabled: false,
+    bindAddress: ALL_INTERFACES,
+    tlsEnabled: false,
+    tlsCertPath: '',
+    tlsKeyPath: '',
+    gatewayEnabled: false,
+    responseCacheEnabled: false,
+    responseCacheMaxMB: 256,
+    maxConcurrentPerModel: 1,
+    maxConcurrentTotal: 0,
+    memoryReserveMB: 2048,
+    maxQueueLength: 32,
+    maxDeadlineSeconds: 300
+  });
+  const [status, setStatus] = useState<HttpServerStatus | null>(null);
+  const [interfaces, setInterfaces] = useState<InterfaceAddress[]>([]);
+  const [certPath, setCertPath] = useState('');
+  const [keyPath, setKeyPath] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [copied, setCopied] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    window.electronAPI?.serverSettings?.get().then(saved => {
+      if (saved) {
+        setSettings(saved);
+        setCertPath(saved.tlsCertPath);
+        setKeyPath(saved.tlsKeyPath);
+      }
+    });
+    loadStatus();
+
+    window.electronAPI?.getNetworkInterfaces().then(networkInterfaces => {
+      const addresses: InterfaceAddress[] = [];
+      Object.entries(networkInterfaces || {}).forEach(([name, entries]) => {
+        (entries || [])
+          .filter(entry => !entry.internal)
+          .forEach(entry => addresses.push({ name, address: entry.address }));
+      });
+      setInterfaces(addresses);
+    });
+  }, []);
+
+  const loadStatus = async () => {
+    try {
+      const serverStatus = await window.electronAPI?.serverSettings?.getStatus();
+      setStatus(serverStatus || null);
+    } catch (error) {
+      console.error('Failed to load HTTP server status:', error);
+    }
+  };
+
+  const updateSettings = async (changes: Partial<HttpServerSettings>) => {
+    setError(null);
+    setSaving(true);
+    setSettings(current => ({ ...current, ...changes }));
+    try {
+      const result = await window.electronAPI?.serverSettings?.set(changes);
+      if (result) {
+        setSettings(result.settings);
+        if (!result.success) {
+          setError(result.error || 'Failed to save HTTP server settings');
+        }
+      }
+    } catch (error) {
+      setError('Failed to save HTTP server settings');
+      console.error('Failed to save HTTP server settings:', error);
+    } finally {
+      setSaving(false);
+      await loadStatus();
+    }
+  };
+
+  const copyFingerprint = async () => {
+    if (!status?.tls) return;
+    await navigator.clipboard.writeText(status.tls.fingerprint);
+    setCopied(true);
+  };
+
+  const knownAddresses = [ALL_INTERFACES, LOCALHOST_ONLY, ...interfaces.map(entry => entry.address)];
+
+  return (
+    <div className="space-y-4">
+      <div>
+        <label className="block text-sm font-medium text-gray-300 mb-2">Listen on</label>
+        <select
+          value={settings.bindAddress}
+          disabled={saving}
+          onChange={(e) => updateSettings({ bindAddress: e.target.value })}
+          className="w-full px-3 py-2 bg-gray-800 border border-gray-600 rounded-md text-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+        >
+          <option value={ALL_INTERFACES}>All interfaces</option>
+          <option value={LOCALHOST_ONLY}>This computer only</option>
+          {interfaces.map(entry => (
+            <option key={`${entry.name}-${entry.address}`} value={entry.address}>
+              {entry.name} ({entry.address})
+            </option>
+          ))}
+          {!knownAddresses.includes(settings.bindAddress) && (
+            <option value={settings.bindAddress}>{settings.bindAddress} (not available)</option>
+          )}
+        </select>
+      </div>
+
+      <div className="space-y-3">
+        <label className="flex items-center space-x-2 text-sm text-gray-300">
+          <input
+            type="checkbox"
+            checked={settings.tlsEnabled}
+            disabled={saving}
+            onChange={(e) => updateSettings({ tlsEnabled: e.target.checked })}
+            className="rounded"
+          />
+          <span>Serve HTTPS</span>
+        </label>
+
+        {settings.tlsEnabled && (
+          <div className="bg-gray-700/50 rounded-lg p-4 space-y-3">
+            <p className="text-xs text-gray-400">
+              Leave both paths empty to use a self-signed certificate generated on this device.
+            </p>
+            <input
+              type="text"
+              value={certPath}
+              onChange={(e) => setCertPath(e.target.value)}
+              className="w-full px-3 py-2 bg-gray-800 border border-gray-600 rounded-md text-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+              placeholder="Certificate file (PEM), e.g. /etc/ssl/pantheon.crt"
+            />
+            <input
+              type="text"
+              value={keyPath}
+              onChange={(e) => setKeyPath(e.target.value)}
+              className="w-full px-3 py-2 bg-gray-800 border border-gray-600 rounded-md text-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+              placeholder="Private key file (PEM)"
+            />
+            <button
+              onClick={() => updateSettings({ tlsCertPath: certPath.trim(), tlsKeyPath: keyPath.trim() })}
+              disabled={saving || (certPath.trim() === settings.tlsCertPath && keyPath.trim() === settings.tlsKeyPath)}
+              className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50 focus:outline-none focus:ring-2 focus:ring-blue-500"
+            >
+              Apply Certificate
+            </button>
+          </div>
+        )}
+      </div>
+
+      {status?.running && (
+        <div className="text-sm text-gray-400 space-y-1">
+          <p>
+            Serving at <code className="text-gray-300">{status.url}</code>
+          </p>
+          {status.tls && (
+            <div>
+              <p className="flex items-center text-gray-300">
+                <ShieldCheck className="w-4 h-4 mr-1 text-green-500" />
+                {status.tls.selfSigned ? 'Self-signed certificate' : 'Certificate'} SHA-256 fingerprint
+              </p>
+              <div className="flex items-center space-x-2 mt-1">
+                <code className="flex-1 px-3 py-2 bg-gray-900 rounded text-green-300 text-xs break-all">{status.tls.fingerprint}</code>
+                <button
+                  onClick={copyFingerprint}
+                  className="p-2 text-gray-300 hover:text-white hover:bg-gray-700 rounded-lg transition-colors"
+                >
+                  {copied ? <CheckCircle className="w-4 h-4 text-green-500" /> : <Copy className="w-4 h-4" />}
+                </button>
+              </div>
+              <p className="text-xs text-gray-500 mt-1">
+                Clients on your network can pin this fingerprint instead of trusting a certificate authority.
+              </p>
+            </div>
+          )}
+        </div>
+      )}
+
+      {status?.error && (
+        <div className="p-3 rounded-md bg-yellow-900/50 border border-yellow-700 text-yellow-200 text-sm">
+          The saved settings could not be applied at startup ({status.error}), so the server is only listening on this computer over HTTP.
+        </div>
+      )}
+
+      <div className="space-y-2">
+        <label className="flex items-center space-x-2 text-sm text-gray-300">
+          <input
+            type="checkbox"
+            checked={settings.metricsEnabled}
+            onChange={(e) => updateSettings({ metricsEnabled: e.target.checked })}
+            className="rounded"
+          />
+          <span>Expose Prometheus metrics at <code className="text-gray-300">/metrics</code></span>
+        </label>
+        <p className="text-xs text-gray-500 ml-6">
+          Scrapers authenticate like any other client, so remote scrapers need an API key.
+        </p>
+      </div>
+
+      <div className="space-y-2">
+        <label className="flex items-center space-x-2 text-sm text-gray-300">
+          <input
+            type="checkbox"
+            checked={settings.gatewayEnabled}
+            onChange={(e) => updateSettings({ gatewayEnabled: e.target.checked })}
+            className="rounded"
+          />
+          <span>Gateway mode: serve connected peers' models on this endpoint</span>
+        </label>
+        <p className="text-xs text-gray-500 ml-6">
+          Peer models appear in <code className="text-gray-300">/v1/models</code> as <code className="text-gray-300">p2p://&lt;peer&gt;/&lt;model&gt;</code> and
+          chat requests for them are answered by that peer.
+        </p>
+      </div>
+
+      {error && (
+        <div className="p-3 rounded-md bg-red-900/50 border border-red-700 text-red-200 text-sm">
+          {error}
+        </div>
+      )}
+    </div>
+  );
+};
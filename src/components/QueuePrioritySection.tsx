@@ -0,0 +1,79 @@
+import React, { useState, useEffect } from 'react';
+import { Monitor, Trash2 } from 'lucide-react';
+
+interface QueuePrioritySectionProps {
+  // Peer IDs currently connected over P2P, offered as candidates to trust
+  connectedPeerIds: string[];
+}
+
+export const QueuePrioritySection: React.FC<QueuePrioritySectionProps> = ({ connectedPeerIds }) => {
+  const [trustedPeers, setTrustedPeers] = useState<string[]>([]);
+
+  useEffect(() => {
+    window.electronAPI?.priority?.getTrustedPeers().then(peers => setTrustedPeers(peers || []));
+  }, []);
+
+  const saveTrustedPeers = async (peers: string[]) => {
+    try {
+      const saved = await window.electronAPI?.priority?.setTrustedPeers(peers);
+      setTrustedPeers(saved || []);
+    } catch (error) {
+      console.error('Failed to save trusted peers:', error);
+    }
+  };
+
+  const toggleTrusted = (peerId: string, trusted: boolean) => {
+    saveTrustedPeers(trusted ? [...trustedPeers, peerId] : trustedPeers.filter(id => id !== peerId));
+  };
+
+  const disconnectedTrustedPeers = trustedPeers.filter(peerId => !connectedPeerIds.includes(peerId));
+
+  return (
+    <div className="space-y-4">
+      <div className="text-sm text-gray-400 space-y-1">
+        <p>When several requests wait for the same model, they take turns by priority class:</p>
+        <ul className="list-disc ml-5 text-xs text-gray-500">
+          <li>This computer's own chats come first</li>
+          <li>Your other devices get four turns for every turn a guest gets</li>
+          <li>Trusted peers and API keys get two turns for every turn a guest gets</li>
+          <li>Batches only run when nothing else is waiting</li>
+        </ul>
+        <p className="text-xs text-gray-500">Each API key's class is chosen when it is created.</p>
+      </div>
+
+      <div>
+        <p className="text-sm font-medium text-gray-300 mb-2">Trusted peers</p>
+        {connectedPeerIds.length === 0 && disconnectedTrustedPeers.length === 0 ? (
+          <p className="text-gray-400 text-sm">No peers connected.</p>
+        ) : (
+          <div className="space-y-2">
+            {connectedPeerIds.map(peerId => (
+              <label key={peerId} className="flex items-center space-x-2 text-sm text-gray-300">
+                <input
+                  type="checkbox"
+                  checked={trustedPeers.includes(peerId)}
+                  onChange={(e) => toggleTrusted(peerId, e.target.checked)}
+                  className="rounded"
+                />
+                <Monitor className="w-4 h-4 text-gray-500" />
+                <span className="font-mono">{peerId}</span>
+              </label>
+            ))}
+            {disconnectedTrustedPeers.map(peerId => (
+              <div key={peerId} className="flex items-center justify-between text-sm">
+                <span className="text-gray-400 font-mono">{peerId} <span className="text-xs text-gray-500">(not connected)</span></span>
+                <button
+                  onClick={() => toggleTrusted(peerId, false)}
+                  className="p-1 text-red-400 hover:text-red-300 hover:bg-red-900 rounded-lg transition-colors"
+                  title="Stop trusting"
+                >
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
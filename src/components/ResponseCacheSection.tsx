@@ -0,0 +1,152 @@
+import React, { useState, useEffect } from 'react';
+import { RefreshCw, Trash2 } from 'lucide-react';
+import type { ResponseCacheStats } from '../types/electron-api';
+
+const formatBytes = (bytes: number) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+};
+
+export const ResponseCacheSection: React.FC = () => {
+  const [enabled, setEnabled] = useState(false);
+  const [maxMB, setMaxMB] = useState('');
+  const [savedMaxMB, setSavedMaxMB] = useState(0);
+  const [stats, setStats] = useState<ResponseCacheStats | null>(null);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    window.electronAPI?.serverSettings?.get().then(saved => {
+      if (saved) {
+        setEnabled(saved.responseCacheEnabled);
+        setMaxMB(String(saved.responseCacheMaxMB));
+        setSavedMaxMB(saved.responseCacheMaxMB);
+      }
+    });
+    loadStats();
+  }, []);
+
+  const loadStats = async () => {
+    try {
+      const cacheStats = await window.electronAPI?.responseCache?.getStats();
+      setStats(cacheStats || null);
+    } catch (error) {
+      console.error('Failed to load response cache stats:', error);
+    }
+  };
+
+  const updateSettings = async (changes: { responseCacheEnabled?: boolean; responseCacheMaxMB?: number }) => {
+    setError(null);
+    setSaving(true);
+    try {
+      const result = await window.electronAPI?.serverSettings?.set(changes);
+      if (result) {
+        setEnabled(result.settings.responseCacheEnabled);
+        setMaxMB(String(result.settings.responseCacheMaxMB));
+        setSavedMaxMB(result.settings.responseCacheMaxMB);
+        if (!result.success) {
+          setError(result.error || 'Failed to save response cache settings');
+        }
+      }
+    } catch (error) {
+      setError('Failed to save response cache settings');
+      console.error('Failed to save response cache settings:', error);
+    } finally {
+      setSaving(false);
+      await loadStats();
+    }
+  };
+
+  const clearCache = async () => {
+    if (!confirm('Delete every cached response?')) {
+      return;
+    }
+
+    const cacheStats = await window.electronAPI?.responseCache?.clear();
+    setStats(cacheStats || null);
+  };
+
+  const lookups = stats ? stats.hits + stats.misses : 0;
+
+  return (
+    <div className="space-y-4">
+      <div className="space-y-2">
+        <label className="flex items-center space-x-2 text-sm text-gray-300">
+          <input
+            type="checkbox"
+            checked={enabled}
+            disabled={saving}
+            onChange={(e) => updateSettings({ responseCacheEnabled: e.target.checked })}
+            className="rounded"
+          />
+          <span>Cache responses to deterministic chat requests</span>
+        </label>
+        <p className="text-xs text-gray-500 ml-6">
+          Requests with <code className="text-gray-300">temperature: 0</code> or a <code className="text-gray-300">seed</code> are
+          answered from the cache when the same model (by digest) was already asked the same thing with the same parameters.
+          Cached answers don't wait in the queue.
+        </p>
+      </div>
+
+      <div>
+        <label className="block text-sm font-medium text-gray-300 mb-2">Maximum size (MB)</label>
+        <div className="flex space-x-3">
+          <input
+            type="number"
+            min="1"
+            step="1"
+            value={maxMB}
+            onChange={(e) => setMaxMB(e.target.value)}
+            className="w-40 px-3 py-2 bg-gray-800 border border-gray-600 rounded-md text-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+          <button
+            onClick={() => updateSettings({ responseCacheMaxMB: Number(maxMB) })}
+            disabled={saving || Number(maxMB) === savedMaxMB}
+            className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50 focus:outline-none focus:ring-2 focus:ring-blue-500"
+          >
+            Apply
+          </button>
+        </div>
+        <p className="text-xs text-gray-500 mt-1">The least recently used responses are removed to stay under this size.</p>
+      </div>
+
+      {stats && (
+        <div className="bg-gray-700 rounded-lg p-3 flex items-center justify-between">
+          <div className="text-sm text-gray-300 space-y-1">
+            <p>{stats.entries} responses, {formatBytes(stats.bytes)} of {formatBytes(stats.maxBytes)}</p>
+            <p className="text-xs text-gray-400">
+              {stats.hits} hits, {stats.misses} misses
+              {lookups > 0 && <> ({Math.round((stats.hits / lookups) * 100)}% hit rate)</>}
+              {' '}since the app started
+            </p>
+          </div>
+
+          <div className="flex items-center space-x-1">
+            <button
+              onClick={loadStats}
+              className="p-2 text-gray-400 hover:text-white hover:bg-gray-600 rounded-lg transition-colors"
+              title="Refresh"
+            >
+              <RefreshCw className="w-4 h-4" />
+            </button>
+            <button
+              onClick={clearCache}
+              disabled={stats.entries === 0}
+              className="flex items-center px-3 py-2 text-red-400 hover:text-red-300 hover:bg-red-900 disabled:opacity-50 rounded-lg transition-colors text-sm"
+            >
+              <Trash2 className="w-4 h-4 mr-1" />
+              Clear Cache
+            </button>
+          </div>
+        </div>
+      )}
+
+      {error && (
+        <div className="p-3 rounded-md bg-red-900/50 border border-red-700 text-red-200 text-sm">
+          {error}
+        </div>
+      )}
+    </div>
+  );
+};
@@ -4,7 +4,16 @@ import { ModelHostingToggle } from './ModelHostingToggle';
 import { AppleModelsSection } from './AppleModelsSection';
 import { OllamaManager } from './OllamaManager';
 import { MacOSModels } from './MacOSModels';
-import { Monitor, Wifi, Globe, Server, Users, AlertCircle, CheckCircle, Clock, XCircle, ChevronDown, ChevronRight, Info, Key } from 'lucide-react';
+import { ApiKeysSection } from './ApiKeysSection';
+import { HttpServerSection } from './HttpServerSection';
+import { BatchesSection } from './BatchesSection';
+import { BackendsSection } from './BackendsSection';
+import { AliasesSection } from './AliasesSection';
+import { ResponseCacheSection } from './ResponseCacheSection';
+import { QueuePrioritySection } from './QueuePrioritySection';
+import { ConcurrencySection } from './ConcurrencySection';
+import { UsageQuotasSection } from './UsageQuotasSection';
+import { Monitor, Wifi, Globe, Server, Users, AlertCircle, CheckCircle, Clock, XCircle, ChevronDown, ChevronRight, Info, Key, Lock, Layers, Database, Tag, HardDrive, ListOrdered, Gauge } from 'lucide-react';
 
 interface P2PStatus {
   status: 'disconnected' | 'connecting' | 'connected' | 'error';
@@ -42,6 +51,13 @@ const Settings: React.FC = () => {
   const [showAdvanced, setShowAdvanced] = useState(false);
   const [showMacModels, setShowMacModels] = useState(false);
   const [showServerConfig, setShowServerConfig] = useState(false);
+  const [showApiAccess, setShowApiAccess] = useState(false);
+  const [showBatches, setShowBatches] = useState(false);
+  const [showBackends, setShowBackends] = useState(false);
+  const [showAliases, setShowAliases] = useState(false);
+  const [showResponseCache, setShowResponseCache] = useState(false);
+  const [showQueue, setShowQueue] = useState(false);
+  const [showQuotas, setShowQuotas] = useState(false);
   
   // Server configuration
   const [signalingServerUrl, setSignalingServerUrl] = useState('');
@@ -328,6 +344,152 @@ const Settings: React.FC = () => {
         )}
       </div>
 
+      {/* Local API Access */}
+      <div className="bg-gray-800 rounded-lg p-6">
+        <button
+          onClick={() => setShowApiAccess(!showApiAccess)}
+          className="w-full flex items-center justify-between text-left"
+        >
+          <h2 className="text-xl font-semibold text-white flex items-center">
+            <Lock className="w-5 h-5 mr-2" />
+            API Access
+          </h2>
+          <ChevronDown className={`w-5 h-5 text-gray-400 transition-transform ${showApiAccess ? 'rotate-180' : ''}`} />
+        </button>
+        
+        {showApiAccess && (
+          <div className="mt-6 space-y-6">
+            <ApiKeysSection />
+            <div className="border-t border-gray-700 pt-6">
+              <HttpServerSection />
+            </div>
+          </div>
+        )}
+      </div>
+
+      {/* OpenAI-compatible model backends */}
+      <div className="bg-gray-800 rounded-lg p-6">
+        <button
+          onClick={() => setShowBackends(!showBackends)}
+          className="w-full flex items-center justify-between text-left"
+        >
+          <h2 className="text-xl font-semibold text-white flex items-center">
+            <Database className="w-5 h-5 mr-2" />
+            Model Backends
+          </h2>
+          <ChevronDown className={`w-5 h-5 text-gray-400 transition-transform ${showBackends ? 'rotate-180' : ''}`} />
+        </button>
+        
+        {showBackends && (
+          <div className="mt-6">
+            <BackendsSection />
+          </div>
+        )}
+      </div>
+
+      {/* Model aliases */}
+      <div className="bg-gray-800 rounded-lg p-6">
+        <button
+          onClick={() => setShowAliases(!showAliases)}
+          className="w-full flex items-center justify-between text-left"
+        >
+          <h2 className="text-xl font-semibold text-white flex items-center">
+            <Tag className="w-5 h-5 mr-2" />
+            Model Aliases
+          </h2>
+          <ChevronDown className={`w-5 h-5 text-gray-400 transition-transform ${showAliases ? 'rotate-180' : ''}`} />
+        </button>
+        
+        {showAliases && (
+          <div className="mt-6">
+            <AliasesSection />
+          </div>
+        )}
+      </div>
+
+      {/* Response cache for deterministic requests */}
+      <div className="bg-gray-800 rounded-lg p-6">
+        <button
+          onClick={() => setShowResponseCache(!showResponseCache)}
+          className="w-full flex items-center justify-between text-left"
+        >
+          <h2 className="text-xl font-semibold text-white flex items-center">
+            <HardDrive className="w-5 h-5 mr-2" />
+            Response Cache
+          </h2>
+          <ChevronDown className={`w-5 h-5 text-gray-400 transition-transform ${showResponseCache ? 'rotate-180' : ''}`} />
+        </button>
+        
+        {showResponseCache && (
+          <div className="mt-6">
+            <ResponseCacheSection />
+          </div>
+        )}
+      </div>
+
+      {/* Queue limits, priority classes and trusted peers */}
+      <div className="bg-gray-800 rounded-lg p-6">
+        <button
+          onClick={() => setShowQueue(!showQueue)}
+          className="w-full flex items-center justify-between text-left"
+        >
+          <h2 className="text-xl font-semibold text-white flex items-center">
+            <ListOrdered className="w-5 h-5 mr-2" />
+            Queue
+          </h2>
+          <ChevronDown className={`w-5 h-5 text-gray-400 transition-transform ${showQueue ? 'rotate-180' : ''}`} />
+        </button>
+        
+        {showQueue && (
+          <div className="mt-6 space-y-6">
+            <ConcurrencySection />
+            <div className="border-t border-gray-700 pt-6">
+              <QueuePrioritySection connectedPeerIds={connectedPeers.map(peer => peer.id)} />
+            </div>
+          </div>
+        )}
+      </div>
+
+      {/* Token limits and budgets per client */}
+      <div className="bg-gray-800 rounded-lg p-6">
+        <button
+          onClick={() => setShowQuotas(!showQuotas)}
+          className="w-full flex items-center justify-between text-left"
+        >
+          <h2 className="text-xl font-semibold text-white flex items-center">
+            <Gauge className="w-5 h-5 mr-2" />
+            Usage Quotas
+          </h2>
+          <ChevronDown className={`w-5 h-5 text-gray-400 transition-transform ${showQuotas ? 'rotate-180' : ''}`} />
+        </button>
+        
+        {showQuotas && (
+          <div className="mt-6">
+            <UsageQuotasSection />
+          </div>
+        )}
+      </div>
+
+      {/* Batch API jobs */}
+      <div className="bg-gray-800 rounded-lg p-6">
+        <button
+          onClick={() => setShowBatches(!showBatches)}
+          className="w-full flex items-center justify-between text-left"
+        >
+          <h2 className="text-xl font-semibold text-white flex items-center">
+            <Layers className="w-5 h-5 mr-2" />
+            Batches
+          </h2>
+          <ChevronDown className={`w-5 h-5 text-gray-400 transition-transform ${showBatches ? 'rotate-180' : ''}`} />
+        </button>
+        
+        {showBatches && (
+          <div className="mt-6">
+            <BatchesSection />
+          </div>
+        )}
+      </div>
+
       {/* Connection Status - Simplified View */}
       <div className="bg-gray-800 rounded-lg p-6">
         <h2 className="text-xl font-semibold text-white mb-4 flex items-center">
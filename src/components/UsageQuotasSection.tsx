@@ -0,0 +1,212 @@
+import React, { useState, useEffect } from 'react';
+import { Pencil, RefreshCw } from 'lucide-react';
+import type { QuotaLimits, QuotaOverview } from '../types/electron-api';
+
+const FIELDS: { key: keyof QuotaLimits; label: string }[] = [
+  { key: 'tokensPerMinute', label: 'Tokens per minute' },
+  { key: 'tokensPerDay', label: 'Tokens per day' },
+  { key: 'tokensPerMonth', label: 'Tokens per month' }
+];
+
+const formatLimits = (limits: QuotaLimits) => {
+  const set = FIELDS.filter(({ key }) => limits[key] !== null);
+  return set.length === 0
+    ? 'No limits'
+    : set.map(({ key, label }) => `${limits[key]!.toLocaleString()} ${label.replace('Tokens ', '')}`).join(' • ');
+};
+
+interface LimitsFormProps {
+  limits: QuotaLimits;
+  onSave: (limits: QuotaLimits) => Promise<void>;
+  onCancel?: () => void;
+}
+
+const LimitsForm: React.FC<LimitsFormProps> = ({ limits, onSave, onCancel }) => {
+  const [values, setValues] = useState<Record<keyof QuotaLimits, string>>({
+    tokensPerMinute: limits.tokensPerMinute?.toString() ?? '',
+    tokensPerDay: limits.tokensPerDay?.toString() ?? '',
+    tokensPerMonth: limits.tokensPerMonth?.toString() ?? ''
+  });
+
+  const save = () => onSave({
+    tokensPerMinute: values.tokensPerMinute ? Number(values.tokensPerMinute) : null,
+    tokensPerDay: values.tokensPerDay ? Number(values.tokensPerDay) : null,
+    tokensPerMonth: values.tokensPerMonth ? Number(values.tokensPerMonth) : null
+  });
+
+  return (
+    <div className="space-y-3">
+      <div className="grid grid-cols-3 gap-4">
+        {FIELDS.map(({ key, label }) => (
+          <div key={key}>
+            <label className="block text-sm font-medium text-gray-300 mb-2">{label}</label>
+            <input
+              type="number"
+              min="1"
+              step="1"
+              value={values[key]}
+              onChange={(e) => setValues({ ...values, [key]: e.target.value })}
+              className="w-full px-3 py-2 bg-gray-800 border border-gray-600 rounded-md text-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+              placeholder="No limit"
+            />
+          </div>
+        ))}
+      </div>
+      <div className="flex space-x-3">
+        <button
+          onClick={save}
+          className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500"
+        >
+          Save
+        </button>
+        {onCancel && (
+          <button
+            onClick={onCancel}
+            className="px-4 py-2 bg-gray-600 text-white rounded-md hover:bg-gray-700 focus:outline-none focus:ring-2 focus:ring-gray-500"
+          >
+            Cancel
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export const UsageQuotasSection: React.FC = () => {
+  const [overview, setOverview] = useState<QuotaOverview | null>(null);
+  const [keyNames, setKeyNames] = useState<Record<string, string>>({});
+  const [editing, setEditing] = useState<string | null>(null);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    loadQuotas();
+  }, []);
+
+  const loadQuotas = async () => {
+    try {
+      const [quotas, keys] = await Promise.all([
+        window.electronAPI?.quotas?.get(),
+        window.electronAPI?.apiKeys?.list()
+      ]);
+      setOverview(quotas || null);
+      setKeyNames(Object.fromEntries((keys || []).map(key => [`key:${key.id}`, key.name])));
+    } catch (error) {
+      console.error('Failed to load usage quotas:', error);
+    }
+  };
+
+  const saveLimits = async (clientId: string | null, limits: QuotaLimits) => {
+    setError(null);
+    const result = await window.electronAPI?.quotas?.set(clientId, limits);
+    if (result && !result.success) {
+      setError(result.error || 'Failed to save limits');
+      return;
+    }
+    setEditing(null);
+    await loadQuotas();
+  };
+
+  const useDefaults = async (clientId: string) => {
+    await window.electronAPI?.quotas?.remove(clientId);
+    setEditing(null);
+    await loadQuotas();
+  };
+
+  if (!overview) {
+    return <p className="text-gray-400 text-sm">Loading...</p>;
+  }
+
+  // API keys, clients with their own limits and clients that have used tokens
+  const clientIds = [...new Set([
+    ...Object.keys(keyNames),
+    ...Object.keys(overview.clients),
+    ...overview.usage.map(usage => usage.clientId)
+  ])];
+  const usageOf = (clientId: string) => overview.usage.find(usage => usage.clientId === clientId);
+
+  return (
+    <div className="space-y-4">
+      <p className="text-sm text-gray-400">
+        Prompt and completion tokens both count. Clients over their per-minute rate get a rate_limit_exceeded error until
+        it refills; clients out of their daily or monthly budget get insufficient_quota until it resets at midnight or the
+        start of the month. This computer's own chats are never limited.
+      </p>
+
+      <div className="bg-gray-700/50 rounded-lg p-4 space-y-3">
+        <h3 className="text-white font-medium">Default limits</h3>
+        <p className="text-xs text-gray-500">For API keys, peers and other clients without limits of their own.</p>
+        <LimitsForm key={JSON.stringify(overview.defaults)} limits={overview.defaults} onSave={(limits) => saveLimits(null, limits)} />
+      </div>
+
+      <div className="flex items-center justify-between">
+        <h3 className="text-white font-medium">Clients</h3>
+        <button
+          onClick={loadQuotas}
+          className="p-2 text-gray-400 hover:text-white hover:bg-gray-600 rounded-lg transition-colors"
+          title="Refresh"
+        >
+          <RefreshCw className="w-4 h-4" />
+        </button>
+      </div>
+
+      {clientIds.length === 0 ? (
+        <p className="text-gray-400 text-sm">No clients yet.</p>
+      ) : (
+        <div className="space-y-2">
+          {clientIds.map(clientId => {
+            const usage = usageOf(clientId);
+            const ownLimits = overview.clients[clientId];
+            return (
+              <div key={clientId} className="bg-gray-700 rounded-lg p-3 space-y-3">
+                <div className="flex items-center justify-between">
+                  <div>
+                    <h4 className="text-white font-medium">{keyNames[clientId] || clientId}</h4>
+                    <p className="text-xs text-gray-400">
+                      {(usage?.dayTokens || 0).toLocaleString()} tokens today
+                      {' • '}{(usage?.monthTokens || 0).toLocaleString()} this month
+                    </p>
+                    <p className="text-xs text-gray-500">
+                      {ownLimits ? formatLimits(ownLimits) : `Default limits (${formatLimits(overview.defaults)})`}
+                    </p>
+                  </div>
+
+                  <div className="flex items-center space-x-1">
+                    {ownLimits && (
+                      <button
+                        onClick={() => useDefaults(clientId)}
+                        className="px-3 py-2 text-gray-300 hover:text-white hover:bg-gray-600 rounded-lg transition-colors text-sm"
+                      >
+                        Use Defaults
+                      </button>
+                    )}
+                    <button
+                      onClick={() => setEditing(editing === clientId ? null : clientId)}
+                      className="p-2 text-gray-400 hover:text-white hover:bg-gray-600 rounded-lg transition-colors"
+                      title="Edit limits"
+                    >
+                      <Pencil className="w-4 h-4" />
+                    </button>
+                  </div>
+                </div>
+
+                {editing === clientId && (
+                  <LimitsForm
+                    limits={ownLimits || overview.defaults}
+                    onSave={(limits) => saveLimits(clientId, limits)}
+                    onCancel={() => setEditing(null)}
+                  />
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      {error && (
+        <div className="p-3 rounded-md bg-red-900/50 border border-red-700 text-red-200 text-sm">
+          {error}
+        </div>
+      )}
+    </div>
+  );
+};
@@ -20,16 +20,20 @@ export const Chat: React.FC<ChatProps> = () => {
   const {
     messages,
     inputMessage,
+    attachments,
     selectedModel,
     models,
     devices,
     loading,
     isTyping,
+    queueStatus,
     refreshing,
     currentChatId,
     conversations,
     setInputMessage,
+    setAttachments,
     handleSendMessage,
+    handleStopMessage,
     handleModelSelect,
     handleRefresh,
     handleDebugOllama,
@@ -96,6 +100,7 @@ export const Chat: React.FC<ChatProps> = () => {
           models={models}
           devices={devices}
           isTyping={isTyping}
+          queueStatus={queueStatus}
         />
         
         <MessageInput
@@ -104,8 +109,11 @@ export const Chat: React.FC<ChatProps> = () => {
           models={models}
           devices={devices}
           loading={loading}
+          attachments={attachments}
           onInputChange={setInputMessage}
+          onAttachmentsChange={setAttachments}
           onSendMessage={() => handleSendMessage(inputMessage)}
+          onStopMessage={handleStopMessage}
           onKeyPress={handleKeyPress}
         />
       </div>
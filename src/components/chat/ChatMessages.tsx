@@ -2,6 +2,7 @@ import React, { useRef, useEffect, useState } from 'react';
 import { Bot, User, Globe, Brain, Copy, Check } from 'lucide-react';
 import { ChatMessage } from '../../types/api/chat';
 import { LLMModel } from '../../types/api/models';
+import type { QueueUpdate } from '../../types/electron-api';
 import { Device } from '../../services/deviceService';
 import { parseMessageContent } from '../../utils/messageParser';
 
@@ -10,13 +11,15 @@ interface ChatMessagesProps {
   models: LLMModel[];
   devices: Device[];
   isTyping: boolean;
+  queueStatus?: QueueUpdate | null;
 }
 
 export const ChatMessages: React.FC<ChatMessagesProps> = ({
   messages,
   models,
   devices,
-  isTyping
+  isTyping,
+  queueStatus
 }) => {
   const messagesEndRef = useRef<HTMLDivElement>(null);
   const [copiedMessageId, setCopiedMessageId] = useState<string | null>(null);
@@ -93,7 +96,7 @@ export const ChatMessages: React.FC<ChatMessagesProps> = ({
               )}
               
               {/* Main message bubble */}
-              {parsedContent.mainContent && (
+              {(parsedContent.mainContent || (message.images && message.images.length > 0)) && (
                 <div className={`flex ${message.role === 'user' ? 'justify-end' : 'justify-start'} group`}>
                   <div className="flex items-start space-x-2">
                     <div
@@ -111,7 +114,16 @@ export const ChatMessages: React.FC<ChatMessagesProps> = ({
                           <User className="w-4 h-4 mt-1 flex-shrink-0" />
                         )}
                         <div className="flex-1">
-                          <p className="text-sm whitespace-pre-wrap select-text">{parsedContent.mainContent}</p>
+                          {message.images && message.images.length > 0 && (
+                            <div className="flex flex-wrap gap-2 mb-2">
+                              {message.images.map((image, index) => (
+                                <img key={index} src={image} alt="Attachment" className="max-h-40 rounded-md" />
+                              ))}
+                            </div>
+                          )}
+                          {parsedContent.mainContent && (
+                            <p className="text-sm whitespace-pre-wrap select-text">{parsedContent.mainContent}</p>
+                          )}
                           
                           <p className="text-xs opacity-70 mt-1">
                             {message.timestamp.toLocaleTimeString()}
@@ -152,6 +164,12 @@ export const ChatMessages: React.FC<ChatMessagesProps> = ({
                 <div className="w-2 h-2 bg-gray-400 rounded-full animate-bounce" style={{ animationDelay: '0.1s' }}></div>
                 <div className="w-2 h-2 bg-gray-400 rounded-full animate-bounce" style={{ animationDelay: '0.2s' }}></div>
               </div>
+              {queueStatus && (
+                <span className="text-sm text-gray-400">
+                  Waiting in queue (position {queueStatus.position}
+                  {queueStatus.etaSeconds !== null && `, ~${queueStatus.etaSeconds}s`})
+                </span>
+              )}
             </div>
           </div>
         </div>
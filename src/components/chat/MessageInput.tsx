@@ -1,7 +1,8 @@
-import React from 'react';
-import { Send, Wifi, WifiOff } from 'lucide-react';
+import React, { useRef } from 'react';
+import { Send, Square, Wifi, WifiOff, ImagePlus, X } from 'lucide-react';
 import { LLMModel } from '../../types/api/models';
 import { Device } from '../../services/deviceService';
+import { readImageAttachment } from '../../utils/imageAttachments';
 
 interface MessageInputProps {
   inputMessage: string;
@@ -9,8 +10,12 @@ interface MessageInputProps {
   models: LLMModel[];
   devices: Device[];
   loading: boolean;
+  attachments: string[];
   onInputChange: (value: string) => void;
+  onAttachmentsChange: (images: string[]) => void;
   onSendMessage: () => void;
+  // Stops the pending answer
+  onStopMessage?: () => void;
   onKeyPress: (e: React.KeyboardEvent) => void;
 }
 
@@ -20,10 +25,15 @@ export const MessageInput: React.FC<MessageInputProps> = ({
   models,
   devices,
   loading,
+  attachments,
   onInputChange,
+  onAttachmentsChange,
   onSendMessage,
+  onStopMessage,
   onKeyPress
 }) => {
+  const fileInputRef = useRef<HTMLInputElement>(null);
+
   const isModelDisabled = (model: LLMModel | undefined) => {
     if (!model) return true;
     if (model.isRemote) {
@@ -47,13 +57,61 @@ export const MessageInput: React.FC<MessageInputProps> = ({
     return null;
   };
 
+  const handleFilesSelected = async (e: React.ChangeEvent<HTMLInputElement>) => {
+    const files = Array.from(e.target.files || []);
+    e.target.value = '';
+
+    try {
+      const images = await Promise.all(files.map(readImageAttachment));
+      onAttachmentsChange([...attachments, ...images]);
+    } catch (error) {
+      console.error('Failed to attach image:', error);
+    }
+  };
+
+  const removeAttachment = (index: number) => {
+    onAttachmentsChange(attachments.filter((_, i) => i !== index));
+  };
+
   const selectedModelObj = models.find(m => m.id === selectedModel);
   const isDisabled = !selectedModel || loading || isModelDisabled(selectedModelObj);
 
   return (
     <div className="border-t border-gray-700">
       <div className="p-2 sm:p-4">
+        {attachments.length > 0 && (
+          <div className="flex flex-wrap gap-2 mb-2">
+            {attachments.map((image, index) => (
+              <div key={index} className="relative">
+                <img src={image} alt="Attachment" className="h-16 w-16 object-cover rounded-md border border-gray-600" />
+                <button
+                  onClick={() => removeAttachment(index)}
+                  className="absolute -top-1 -right-1 p-0.5 bg-gray-900 border border-gray-600 rounded-full text-gray-300 hover:text-white"
+                  title="Remove image"
+                >
+                  <X className="w-3 h-3" />
+                </button>
+              </div>
+            ))}
+          </div>
+        )}
         <div className="flex space-x-2 sm:space-x-4">
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept="image/*"
+            multiple
+            onChange={handleFilesSelected}
+            className="hidden"
+          />
+          <button
+            onClick={() => fileInputRef.current?.click()}
+            disabled={isDisabled}
+            className="px-2 sm:px-3 py-2 bg-gray-700 text-gray-300 rounded-md hover:bg-gray-600 hover:text-white focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:opacity-50 disabled:cursor-not-allowed"
+            title="Attach images (for vision models such as llava)"
+          >
+            <ImagePlus className="w-4 h-4" />
+          </button>
           <div className="flex-1">
           <textarea
             value={inputMessage}
@@ -66,13 +124,23 @@ export const MessageInput: React.FC<MessageInputProps> = ({
             style={{ minHeight: '40px', maxHeight: '120px' }}
           />
           </div>
-          <button
-            onClick={onSendMessage}
-            disabled={!inputMessage.trim() || isDisabled}
-            className="px-3 sm:px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:opacity-50 disabled:cursor-not-allowed"
-          >
-            <Send className="w-4 h-4" />
-          </button>
+          {loading && onStopMessage ? (
+            <button
+              onClick={onStopMessage}
+              className="px-3 sm:px-4 py-2 bg-gray-600 text-white rounded-md hover:bg-gray-700 focus:outline-none focus:ring-2 focus:ring-gray-500"
+              title="Stop"
+            >
+              <Square className="w-4 h-4" />
+            </button>
+          ) : (
+            <button
+              onClick={onSendMessage}
+              disabled={(!inputMessage.trim() && attachments.length === 0) || isDisabled}
+              className="px-3 sm:px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              <Send className="w-4 h-4" />
+            </button>
+          )}
         </div>
       
         {selectedModel && selectedModelObj && (
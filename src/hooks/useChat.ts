@@ -3,6 +3,7 @@ import { ChatMessage } from '../types/api/chat';
 import { LLMModel } from '../types/api/models';
 import { Device, deviceService } from '../services/deviceService';
 import { llmService } from '../services/llmService';
+import { parseModelRef, normalizeModelRef, modelName } from '../utils/modelRef';
 
 export const useChat = (userId: string | null) => {
   const [messages, setMessages] = useState<ChatMessage[]>([]);
@@ -25,7 +26,12 @@ export const useChat = (userId: string | null) => {
       }
       
       if (persistedModel) {
-        setSelectedModel(persistedModel);
+        // Selections saved before model references existed are rewritten once
+        const migratedModel = normalizeModelRef(persistedModel, userId ? [userId] : []);
+        setSelectedModel(migratedModel);
+        if (migratedModel !== persistedModel) {
+          await saveSelectedModel(migratedModel);
+        }
       }
     } catch (error) {
       console.warn('Failed to load persisted selected model:', error);
@@ -64,17 +70,13 @@ export const useChat = (userId: string | null) => {
           console.log('[useChat] Available models:', availableModels.map(m => m.id));
           
           // Model doesn't exist, but let's check if a similar one exists
-          // (e.g., if the peer ID changed but the base model is the same)
-          const baseModelName = selectedModel.split('_').slice(-1)[0];
-          const similarModel = availableModels.find(model => {
-            // For P2P models, check if they end with the exact same base model
-            if (model.id.includes('_') && selectedModel.includes('_')) {
-              // Both are P2P models, check if same base model
-              const modelBase = model.id.split('_').slice(-1)[0];
-              return modelBase === baseModelName;
-            }
-            // For local models, must be exact match
-            return model.id === baseModelName;
+          // (e.g., if the peer ID changed but the model is the same)
+          const selectedRef = parseModelRef(selectedModel);
+          const similarModel = selectedRef && availableModels.find(model => {
+            const ref = parseModelRef(model.id);
+            // The same model on another peer or device of the same kind, or on this device
+            return !!ref && (ref.provider === selectedRef.provider || ref.provider === 'local')
+              && modelName(ref) === modelName(selectedRef);
           });
           
           if (similarModel) {
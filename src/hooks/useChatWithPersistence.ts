@@ -1,24 +1,31 @@
 import { useState, useEffect, useRef } from 'react';
 import { ChatMessage } from '../types/api/chat';
 import { LLMModel } from '../types/api/models';
+import type { QueueUpdate } from '../types/electron-api';
 import { Device, deviceService } from '../services/deviceService';
 import { llmService } from '../services/llmService';
+import { normalizeModelRef } from '../utils/modelRef';
 import { chatStorageService, ChatConversation } from '../services/chatStorageService';
 
 export const useChatWithPersistence = (userId: string | null) => {
   const [messages, setMessages] = useState<ChatMessage[]>([]);
   const [inputMessage, setInputMessage] = useState('');
+  const [attachments, setAttachments] = useState<string[]>([]);
   const [selectedModel, setSelectedModel] = useState<string>('');
   const [models, setModels] = useState<LLMModel[]>([]);
   const [devices, setDevices] = useState<Device[]>([]);
   const [loading, setLoading] = useState(false);
   const [isTyping, setIsTyping] = useState(false);
+  // Where the pending answer waits in a queue, locally or on a peer; null once it has started
+  const [queueStatus, setQueueStatus] = useState<QueueUpdate | null>(null);
   const [refreshing, setRefreshing] = useState(false);
   const [currentChatId, setCurrentChatId] = useState<string | null>(null);
   const [conversations, setConversations] = useState<ChatConversation[]>([]);
   
   // Track if we're in the middle of saving to prevent loops
   const savingRef = useRef(false);
+  // Stops the pending answer
+  const abortRef = useRef<AbortController | null>(null);
 
   const loadPersistedSelectedModel = async () => {
     try {
@@ -31,7 +38,12 @@ export const useChatWithPersistence = (userId: string | null) => {
       }
       
       if (persistedModel) {
-        setSelectedModel(persistedModel);
+        // Selections saved before model references existed are rewritten once
+        const migratedModel = normalizeModelRef(persistedModel, userId ? [userId] : []);
+        setSelectedModel(migratedModel);
+        if (migratedModel !== persistedModel) {
+          await saveSelectedModel(migratedModel);
+        }
       }
     } catch (error) {
       console.warn('Failed to load persisted selected model:', error);
@@ -93,7 +105,7 @@ export const useChatWithPersistence = (userId: string | null) => {
         setCurrentChatId(chat.id);
         setMessages(chat.messages);
         if (chat.modelId) {
-          setSelectedModel(chat.modelId);
+          setSelectedModel(normalizeModelRef(chat.modelId, userId ? [userId] : []));
         }
         return;
       }
@@ -116,8 +128,9 @@ export const useChatWithPersistence = (userId: string | null) => {
       setCurrentChatId(chat.id);
       setMessages(chat.messages);
       if (chat.modelId) {
-        setSelectedModel(chat.modelId);
-        await saveSelectedModel(chat.modelId);
+        const chatModel = normalizeModelRef(chat.modelId, userId ? [userId] : []);
+        setSelectedModel(chatModel);
+        await saveSelectedModel(chatModel);
       }
       await chatStorageService.setCurrentChatId(chat.id);
     }
@@ -145,7 +158,7 @@ export const useChatWithPersistence = (userId: string | null) => {
 
   const handleSendMessage = async (messageOverride?: string) => {
     const messageContent = messageOverride || inputMessage;
-    if (!messageContent.trim() || !selectedModel || loading) return;
+    if ((!messageContent.trim() && attachments.length === 0) || !selectedModel || loading) return;
 
     // Ensure we have a current chat
     if (!currentChatId) {
@@ -157,16 +170,23 @@ export const useChatWithPersistence = (userId: string | null) => {
       role: 'user',
       content: messageContent,
       timestamp: new Date(),
-      modelId: selectedModel
+      modelId: selectedModel,
+      ...(attachments.length > 0 ? { images: attachments } : {})
     };
 
     setMessages(prev => [...prev, userMessage]);
     setInputMessage('');
+    setAttachments([]);
     setLoading(true);
     setIsTyping(true);
+    const controller = new AbortController();
+    abortRef.current = controller;
 
     try {
-      const response = await llmService.chat(selectedModel, [...messages, userMessage]);
+      const response = await llmService.chat(selectedModel, [...messages, userMessage], {
+        onQueueUpdate: (update) => setQueueStatus(update.position > 0 ? update : null),
+        signal: controller.signal
+      });
       
       const assistantMessage: ChatMessage = {
         id: (Date.now() + 1).toString(),
@@ -186,6 +206,16 @@ export const useChatWithPersistence = (userId: string | null) => {
         savingRef.current = false;
       }
     } catch (error: any) {
+      if (controller.signal.aborted) {
+        // Stopped by the user; keep the question without an answer
+        if (currentChatId && !savingRef.current) {
+          savingRef.current = true;
+          await chatStorageService.addMessages(currentChatId, [userMessage]);
+          await loadConversations();
+          savingRef.current = false;
+        }
+        return;
+      }
       console.error('Failed to send message:', error);
       
       const errorMessage: ChatMessage = {
@@ -206,11 +236,17 @@ export const useChatWithPersistence = (userId: string | null) => {
         savingRef.current = false;
       }
     } finally {
+      abortRef.current = null;
       setLoading(false);
       setIsTyping(false);
+      setQueueStatus(null);
     }
   };
 
+  const handleStopMessage = () => {
+    abortRef.current?.abort();
+  };
+
   const handleDebugOllama = async () => {
     try {
       const isDev = window.location.port === '3000' || window.location.hostname === 'localhost';
@@ -270,16 +306,20 @@ export const useChatWithPersistence = (userId: string | null) => {
   return {
     messages,
     inputMessage,
+    attachments,
     selectedModel,
     models,
     devices,
     loading,
     isTyping,
+    queueStatus,
     refreshing,
     currentChatId,
     conversations,
     setInputMessage,
+    setAttachments,
     handleSendMessage,
+    handleStopMessage,
     handleModelSelect,
     handleRefresh,
     handleDebugOllama,
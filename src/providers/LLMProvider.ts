@@ -1,5 +1,5 @@
 import { LLMModel } from '../types/api/models';
-import { ChatMessage, ChatResponse } from '../types/api/chat';
+import { ChatMessage, ChatOptions, ChatResponse } from '../types/api/chat';
 
 export type StreamCallback = (token: string) => void;
 export type CompleteCallback = () => void;
@@ -7,7 +7,7 @@ export type CompleteCallback = () => void;
 export abstract class LLMProvider {
   abstract name: string;
   abstract getModels(): Promise<LLMModel[]>;
-  abstract chat(modelId: string, messages: ChatMessage[]): Promise<ChatResponse>;
+  abstract chat(modelId: string, messages: ChatMessage[], options?: ChatOptions): Promise<ChatResponse>;
   abstract chatStream?(
     modelId: string, 
     messages: ChatMessage[], 
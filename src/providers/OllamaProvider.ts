@@ -1,7 +1,9 @@
 import axios from 'axios';
 import { LLMProvider, StreamCallback, CompleteCallback } from './LLMProvider';
 import { LLMModel } from '../types/api/models';
-import { ChatMessage, ChatResponse } from '../types/api/chat';
+import { ChatMessage, ChatOptions, ChatResponse } from '../types/api/chat';
+import { toBase64Image } from '../utils/imageAttachments';
+import { cancellableChatId } from '../utils/chatCancellation';
 
 export class OllamaProvider extends LLMProvider {
   name = 'Ollama';
@@ -95,16 +97,27 @@ export class OllamaProvider extends LLMProvider {
     }
   }
 
-  async chat(modelId: string, messages: ChatMessage[]): Promise<ChatResponse> {
+  async chat(modelId: string, messages: ChatMessage[], options: ChatOptions = {}): Promise<ChatResponse> {
     try {
-      const response = await axios.post(`${this.baseUrl}/api/chat`, {
+      const body = {
         model: modelId,
-        messages: messages.map(msg => ({
-          role: msg.role,
-          content: msg.content
-        })),
+        messages: messages.map(msg => this.toOllamaMessage(msg)),
         stream: false
-      });
+      };
+
+      // In Electron chats go through the app's queue, where this device's own UI comes first
+      if (window.electronAPI?.llm?.ollamaChat) {
+        const result = await window.electronAPI.llm.ollamaChat(body, options.onQueueUpdate, cancellableChatId(options.signal));
+        if (!result.success) {
+          throw new Error(result.error);
+        }
+        return {
+          message: result.response.message.content,
+          model: modelId
+        };
+      }
+
+      const response = await axios.post(`${this.baseUrl}/api/chat`, body, { signal: options.signal });
 
       return {
         message: response.data.message.content,
@@ -116,6 +129,14 @@ export class OllamaProvider extends LLMProvider {
     }
   }
 
+  private toOllamaMessage(msg: ChatMessage) {
+    return {
+      role: msg.role,
+      content: msg.content,
+      ...(msg.images?.length ? { images: msg.images.map(toBase64Image) } : {})
+    };
+  }
+
   async chatStream(
     modelId: string, 
     messages: ChatMessage[], 
@@ -123,19 +144,50 @@ export class OllamaProvider extends LLMProvider {
     onComplete: CompleteCallback
   ): Promise<void> {
     try {
+      const body = {
+        model: modelId,
+        messages: messages.map(msg => this.toOllamaMessage(msg)),
+        stream: true
+      };
+      let buffer = '';
+      // Ollama streams NDJSON; a chunk can end partway through a line
+      const readChunk = (chunk: string) => {
+        buffer += chunk;
+        const lines = buffer.split('\n');
+        buffer = lines.pop() || '';
+
+        for (const line of lines) {
+          if (line.trim()) {
+            try {
+              const data = JSON.parse(line);
+              if (data.message?.content) {
+                onToken(data.message.content);
+              }
+              if (data.done) {
+                onComplete();
+              }
+            } catch (e) {
+              console.error('Failed to parse streaming response:', e);
+            }
+          }
+        }
+      };
+
+      // In Electron chats go through the app's queue, where this device's own UI comes first
+      if (window.electronAPI?.llm?.ollamaChatStream) {
+        const result = await window.electronAPI.llm.ollamaChatStream(body, readChunk);
+        if (!result.success) {
+          throw new Error(result.error);
+        }
+        return;
+      }
+
       const response = await fetch(`${this.baseUrl}/api/chat`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
         },
-        body: JSON.stringify({
-          model: modelId,
-          messages: messages.map(msg => ({
-            role: msg.role,
-            content: msg.content
-          })),
-          stream: true
-        })
+        body: JSON.stringify(body)
       });
 
       if (!response.ok) {
@@ -148,31 +200,12 @@ export class OllamaProvider extends LLMProvider {
       }
 
       const decoder = new TextDecoder();
-      let buffer = '';
 
       while (true) {
         const { done, value } = await reader.read();
         if (done) break;
 
-        buffer += decoder.decode(value, { stream: true });
-        const lines = buffer.split('\n');
-        buffer = lines.pop() || '';
-
-        for (const line of lines) {
-          if (line.trim()) {
-            try {
-              const data = JSON.parse(line);
-              if (data.message?.content) {
-                onToken(data.message.content);
-              }
-              if (data.done) {
-                onComplete();
-              }
-            } catch (e) {
-              console.error('Failed to parse streaming response:', e);
-            }
-          }
-        }
+        readChunk(decoder.decode(value, { stream: true }));
       }
     } catch (error) {
       console.error('Failed to stream chat with Ollama:', error);
@@ -129,9 +129,11 @@ class ChatStorageService {
       // Auto-generate title from first user message if it's still "New Chat"
       if (conversation.title === 'New Chat' && conversation.messages.length > 0) {
         const firstUserMessage = conversation.messages.find(msg => msg.role === 'user');
-        if (firstUserMessage) {
+        if (firstUserMessage && firstUserMessage.content) {
           conversation.title = firstUserMessage.content.slice(0, 50) + 
             (firstUserMessage.content.length > 50 ? '...' : '');
+        } else if (firstUserMessage?.images?.length) {
+          conversation.title = 'Image';
         }
       }
       
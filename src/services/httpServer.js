@@ -3,13 +3,40 @@
  * Handles incoming chat requests from the router
  */
 
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const tls = require('tls');
+const axios = require('axios');
 const express = require('express');
 const cors = require('cors');
+const multer = require('multer');
+const apiKeyManager = require('../../electron/services/apiKeyManager.js');
+const anthropicAdapter = require('../../electron/services/anthropicAdapter.js');
+const metricsCollector = require('../../electron/services/metricsCollector.js');
+const serverSettings = require('../../electron/services/serverSettings.js');
+const tlsCertificateManager = require('../../electron/services/tlsCertificateManager.js');
+const openApiSpec = require('../../electron/services/openApiSpec.js');
+const apiDocsPage = require('../../electron/services/apiDocsPage.js');
+const fileStore = require('../../electron/services/fileStore.js');
+const apiErrors = require('../../electron/services/apiErrors.js');
+const peerGateway = require('../../electron/services/peerGateway.js');
+const priorityClasses = require('../../electron/services/priorityClasses.js');
+
+const LOOPBACK_ADDRESSES = new Set(['127.0.0.1', '::1', '::ffff:127.0.0.1']);
+// Reachable without an API key so clients can discover what a device supports
+const PUBLIC_PATHS = new Set(['/health', '/openapi.json', '/docs']);
+// Same limit as OpenAI's batch input files
+const MAX_UPLOAD_BYTES = 200 * 1024 * 1024;
+const DEFAULT_LIST_LIMIT = 20;
+const MAX_LIST_LIMIT = 100;
 
 class HTTPServer {
   constructor() {
     this.app = express();
     this.server = null;
+    this.bindAddress = null;
+    this.tls = null; // { cert, key, fingerprint, selfSigned, certPath } while serving HTTPS
     // Load config to get HTTP port
     const config = require('../../config.js');
     this.port = process.env.PORT || config.device?.httpPort || 3001;
@@ -18,10 +45,9 @@ class HTTPServer {
   }
 
   setupMiddleware() {
-    // CORS configuration
+    // CORS configuration - API keys travel in headers, so no credentials are needed
     this.app.use(cors({
-      origin: true, // Allow all origins for now
-      credentials: true,
+      origin: true,
       methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
       allowedHeaders: ['Content-Type', 'Authorization', 'x-api-key', 'x-user-id', 'x-pantheon-router'],
     }));
@@ -36,39 +62,367 @@ class HTTPServer {
       next();
     });
 
-    // P2P mode - no API secret authentication needed
-    // Requests are routed through P2P coordination server
+    // Request metrics, recorded before authentication so rejected requests are counted too
+    this.app.use((req, res, next) => this.measureRequest(req, res, next));
+
+    // API key authentication (P2P requests don't go through HTTP and are unaffected)
+    this.app.use((req, res, next) => this.authenticate(req, res, next));
+  }
+
+  /**
+   * Record count and latency of a request once its response closes, unless metrics are off in Settings
+   * Responses that close before finishing are counted with status 499
+   */
+  measureRequest(req, res, next) {
+    if (!serverSettings.getSettings().metricsEnabled) {
+      return next();
+    }
+    const startedAt = process.hrtime.bigint();
+
+    res.on('close', () => {
+      metricsCollector.recordRequest({
+        // Route patterns rather than URLs keep label cardinality bounded
+        route: req.route ? req.route.path : 'unmatched',
+        model: this.modelLabel(req.body?.model),
+        status: res.writableFinished ? res.statusCode : 499,
+        client: this.getClientId(req),
+        durationSeconds: Number(process.hrtime.bigint() - startedAt) / 1e9
+      });
+    });
+    next();
+  }
+
+  /**
+   * Metrics label for a requested model: its name if this device or a peer serves it, otherwise `other`
+   * Names are checked because callers could otherwise grow the label set without limit
+   */
+  modelLabel(model) {
+    if (typeof model !== 'string' || !model) return '';
+
+    const httpServerHandler = require('../../electron/services/httpServerHandler.js');
+    const known = httpServerHandler.isKnownModel(model) ||
+      (peerGateway.isEnabled() && peerGateway.listPeerModels().some(candidate => candidate.id === model));
+    return known ? model : 'other';
+  }
+
+  /**
+   * Resolve the caller's API key from `Authorization: Bearer` or `x-api-key`
+   * Loopback callers without a browser Origin may skip the key unless disabled in Settings
+   */
+  authenticate(req, res, next) {
+    if (req.method === 'OPTIONS' || PUBLIC_PATHS.has(req.path)) {
+      return next();
+    }
+
+    const authorization = req.headers['authorization'] || '';
+    const token = authorization.startsWith('Bearer ')
+      ? authorization.slice('Bearer '.length).trim()
+      : req.headers['x-api-key'];
+
+    if (!token) {
+      const isLoopback = LOOPBACK_ADDRESSES.has(req.socket.remoteAddress);
+      if (isLoopback && !req.headers.origin && !apiKeyManager.getSettings().requireKeyForLocalhost) {
+        req.apiKey = null;
+        return next();
+      }
+      return this.sendError(res, 401, {
+        message: 'You didn\'t provide an API key. Provide it as "Authorization: Bearer YOUR_KEY" or "x-api-key: YOUR_KEY". Keys can be created in Settings.',
+        type: 'invalid_request_error'
+      });
+    }
+
+    const result = apiKeyManager.verify(token);
+    if (!result.valid) {
+      console.warn(`🔒 Rejected ${result.reason} API key from ${req.ip}`);
+      return this.sendError(res, 401, {
+        message: result.reason === 'expired' ? 'The API key provided has expired.' : 'Incorrect API key provided.',
+        type: 'invalid_request_error',
+        code: result.reason === 'expired' ? 'expired_api_key' : 'invalid_api_key'
+      });
+    }
+
+    req.apiKey = result.record;
+    next();
+  }
+
+  /**
+   * Middleware requiring an access level ('read' or 'chat') on the caller's key
+   */
+  requireAccess(access) {
+    return (req, res, next) => {
+      if (req.apiKey && !apiKeyManager.allowsAccess(req.apiKey, access)) {
+        return this.sendError(res, 403, {
+          message: `This API key is read-only and cannot access ${req.path}.`,
+          type: 'invalid_request_error',
+          code: 'insufficient_permissions'
+        });
+      }
+      next();
+    };
+  }
+
+  /**
+   * Middleware validating the request body against a schema from the OpenAPI spec
+   * @param {string} schemaName - Schema in components.schemas
+   * @param {'openai'|'anthropic'|'ollama'} errorFormat - Error body shape of the route's API family
+   */
+  validateBody(schemaName, errorFormat = 'openai') {
+    return (req, res, next) => {
+      // Requests without a JSON content type have no parsed body
+      if (req.body === undefined) {
+        req.body = {};
+      }
+
+      const error = openApiSpec.validate(schemaName, req.body);
+      if (!error) {
+        return next();
+      }
+
+      if (errorFormat === 'anthropic') {
+        return res.status(400).json(anthropicAdapter.toErrorResponse('invalid_request_error', error.message));
+      }
+      if (errorFormat === 'ollama') {
+        return res.status(400).json({ error: error.message });
+      }
+      this.sendError(res, 400, {
+        message: error.message,
+        type: 'invalid_request_error',
+        param: error.param,
+        code: error.code
+      });
+    };
+  }
+
+  /**
+   * Check the caller's key may use a model, sending a 403 if not
+   * @returns {boolean} true if the request may continue
+   */
+  checkModelAccess(req, res, model) {
+    if (req.apiKey && !apiKeyManager.allowsModel(req.apiKey, model)) {
+      this.sendError(res, 403, {
+        message: `This API key does not have access to model '${model}'.`,
+        type: 'invalid_request_error',
+        param: 'model',
+        code: 'model_not_allowed'
+      });
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Check whether the caller owns a request, file or batch
+   * Without a key (local callers) or with the app's internal key everything is visible
+   */
+  ownsResource(req, owner) {
+    return !req.apiKey || req.apiKey.id === 'internal' || owner === this.getClientId(req);
+  }
+
+  /**
+   * Identify the caller for queueing and rate limiting
+   * Callers without a key are told apart by their address only: an ID header they send could be
+   * changed per request to get around quotas
+   */
+  getClientId(req) {
+    if (req.apiKey) {
+      return `key:${req.apiKey.id}`;
+    }
+    return req.ip;
+  }
+
+  /**
+   * Give a request an id (sent back as x-request-id, usable with DELETE /v1/requests/:id),
+   * a signal that aborts if the client disconnects before the response is finished,
+   * the queue priority class of the caller's key and the deadline from x-deadline-seconds
+   * @throws {Error} INVALID_REQUEST if x-deadline-seconds is not a positive number
+   */
+  trackRequest(res, prefix) {
+    const deadlineMs = this.getDeadlineMs(res.req);
+    const httpServerHandler = require('../../electron/services/httpServerHandler.js');
+    const requestId = httpServerHandler.createRequestId(prefix);
+    const controller = new AbortController();
+
+    res.setHeader('x-request-id', requestId);
+    // req 'close' fires as soon as the body has been read on current Node versions, so watch the response
+    res.on('close', () => {
+      if (!res.writableFinished) {
+        console.log(`🔌 Client disconnected, cancelling ${requestId}`);
+        controller.abort();
+      }
+    });
+
+    return { requestId, signal: controller.signal, priority: priorityClasses.forApiKey(res.req.apiKey), deadlineMs };
+  }
+
+  /**
+   * How long the client will wait for its answer, from the x-deadline-seconds header
+   * The queue caps it at the longest deadline set in Settings
+   * @returns {number|undefined} Milliseconds, undefined when the header is absent
+   */
+  getDeadlineMs(req) {
+    const header = req.headers['x-deadline-seconds'];
+    if (header === undefined) return undefined;
+
+    const seconds = Number(header);
+    if (!Number.isFinite(seconds) || seconds <= 0) {
+      throw apiErrors.create('INVALID_REQUEST', 'x-deadline-seconds must be a positive number of seconds', {
+        param: 'x-deadline-seconds'
+      });
+    }
+    return seconds * 1000;
+  }
+
+  /**
+   * Run a chat completion locally, or on a peer when gateway mode is on and the model is a peer model
+   * Streaming clients hear their place in the queue while they wait (see writeQueueUpdate)
+   * @param {Object} request - OpenAI chat completion request
+   * @param {string} prefix - Request id prefix for trackRequest
+   */
+  async createChatCompletion(req, res, request, prefix) {
+    const tracking = this.trackRequest(res, prefix);
+    if (request.stream) {
+      tracking.onQueueUpdate = (update) => this.writeQueueUpdate(res, update);
+    }
+
+    if (peerGateway.isPeerModel(request.model)) {
+      if (!peerGateway.isEnabled()) {
+        throw apiErrors.create(
+          'MODEL_NOT_FOUND',
+          `The model '${request.model}' is served by a peer; turn on gateway mode in Settings to use it`,
+          { param: 'model' }
+        );
+      }
+      console.log(`🌐 Forwarding ${request.model} to peer`);
+      return peerGateway.createChatCompletion(request, tracking);
+    }
+
+    const httpServerHandler = require('../../electron/services/httpServerHandler.js');
+    return httpServerHandler.createChatCompletion(request, this.getClientId(req), tracking);
+  }
+
+  /**
+   * Send an OpenAI-style error body
+   */
+  sendError(res, status, { message, type, param = null, code = null }) {
+    return res.status(status).json({
+      error: { message, type, param, code }
+    });
+  }
+
+  /**
+   * Send an error thrown while handling a request, in the route's API shape
+   * 429 and 503 responses tell the client when to retry
+   * @param {string} format - 'openai' or 'anthropic'
+   */
+  sendFailure(res, error, format = 'openai') {
+    const apiError = apiErrors.normalize(error);
+    if (apiError.status >= 500) {
+      console.error(`❌ ${res.req.method} ${res.req.originalUrl} failed:`, apiError.message);
+    }
+    if (res.headersSent) {
+      // An event stream started by queue updates still gets the error as an event;
+      // there is nothing sensible to add to other responses that have already started
+      if (String(res.getHeader('Content-Type')).startsWith('text/event-stream')) {
+        if (format === 'anthropic') {
+          anthropicAdapter.writeStreamError(res, apiError);
+        } else {
+          this.writeStreamError(res, apiError);
+        }
+        return;
+      }
+      res.end();
+      return;
+    }
+
+    if (apiError.retryAfter) {
+      res.setHeader('Retry-After', String(apiError.retryAfter));
+    }
+    if (format === 'anthropic') {
+      return res.status(apiError.status).json(anthropicAdapter.toErrorResponse(
+        anthropicAdapter.toErrorType(apiError.status),
+        apiError.message
+      ));
+    }
+    return this.sendError(res, apiError.status, apiError);
+  }
+
+  /**
+   * Send an Ollama-shaped error from ollamaFacade.toErrorResponse()
+   */
+  sendOllamaFailure(res, { status, body, retryAfter }) {
+    if (retryAfter) {
+      res.setHeader('Retry-After', String(retryAfter));
+    }
+    res.status(status).json(body);
+  }
+
+  /**
+   * Send the SSE headers now, before the first event
+   */
+  startEventStream(res) {
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('Connection', 'keep-alive');
+    res.flushHeaders();
+  }
+
+  /**
+   * Tell a streaming client where its request waits in the queue, as an SSE comment that SSE
+   * parsers skip unless they look for it: `: queue_update {"position":3,"eta_seconds":40}`, and
+   * position 0 once it starts. The first update starts the event stream, so errors after it
+   * arrive as stream errors
+   */
+  writeQueueUpdate(res, { position, etaSeconds }) {
+    if (res.writableEnded || res.destroyed) return;
+    if (!res.headersSent) {
+      this.startEventStream(res);
+    }
+    res.write(`: queue_update ${JSON.stringify({ position, eta_seconds: etaSeconds })}\n\n`);
+  }
+
+  /**
+   * Write an error event to an OpenAI-style SSE stream that has already started, then end it
+   */
+  writeStreamError(res, error) {
+    if (res.writableEnded || res.destroyed) return;
+    res.write(`data: ${JSON.stringify(apiErrors.toOpenAIBody(error))}\n\n`);
+    res.end();
   }
 
   setupRoutes() {
-    // Health check endpoint
+    // Health check endpoint; shedding tells routers to send new requests to another device for now
     this.app.get('/health', (req, res) => {
+      const httpServerHandler = require('../../electron/services/httpServerHandler.js');
       res.json({
         status: 'healthy',
         service: 'Pantheon Electron Device',
         timestamp: new Date(),
-        version: '1.0.0'
+        version: '1.0.0',
+        shedding: httpServerHandler.getSheddingState().shedding
       });
     });
     
+    // OpenAPI document and a browsable version of it
+    this.app.get('/openapi.json', (req, res) => {
+      res.json(openApiSpec.getDocument(`${req.protocol}://${req.get('host')}`));
+    });
+
+    this.app.get('/docs', (req, res) => {
+      res.type('html').send(apiDocsPage.render(openApiSpec.getDocument()));
+    });
+    
     // Models endpoint
     this.app.get('/models', async (req, res) => {
       try {
         console.log('📋 Models request received from:', req.ip);
         const httpServerHandler = require('../../electron/services/httpServerHandler.js');
-        const models = await httpServerHandler.getModels();
+        const models = this.filterModelsForKey(req, await httpServerHandler.getModels());
         res.json({
           models: models,
           timestamp: new Date()
         });
       } catch (error) {
-        console.error('Failed to get models:', error);
-        res.status(500).json({
-          error: {
-            message: 'Failed to get models',
-            type: 'internal_error'
-          }
-        });
+        this.sendFailure(res, apiErrors.create('INTERNAL', `Failed to get models: ${error.message}`));
       }
     });
 
@@ -77,18 +431,54 @@ class HTTPServer {
       try {
         console.log('📋 OpenAI models request received from:', req.ip);
         const httpServerHandler = require('../../electron/services/httpServerHandler.js');
-        const models = await httpServerHandler.getModels();
+        const localModels = await httpServerHandler.getModels();
+        const peerModels = peerGateway.isEnabled() ? peerGateway.listModels() : [];
+        const models = this.filterModelsForKey(req, [...localModels, ...peerModels]);
         res.json({
           object: 'list',
           data: models
         });
       } catch (error) {
-        console.error('Failed to get models:', error);
-        res.status(500).json({
-          error: {
-            message: 'Failed to get models',
-            type: 'internal_error'
-          }
+        this.sendFailure(res, apiErrors.create('INTERNAL', `Failed to get models: ${error.message}`));
+      }
+    });
+
+    // A single model; IDs such as backend://<backend>/<model> contain slashes, so take the rest of the path
+    this.app.get('/v1/models/*id', async (req, res) => {
+      const id = req.params.id.join('/');
+      try {
+        const httpServerHandler = require('../../electron/services/httpServerHandler.js');
+        const model = peerGateway.isPeerModel(id)
+          ? (peerGateway.isEnabled() ? peerGateway.listModels().find(candidate => candidate.id === id) : null)
+          : await httpServerHandler.getModel(id);
+        // Models outside the key's scope are hidden, as in /v1/models
+        if (!model || this.filterModelsForKey(req, [model]).length === 0) {
+          throw apiErrors.create('MODEL_NOT_FOUND', `The model '${id}' does not exist on this device`, { param: 'model' });
+        }
+        res.json(model);
+      } catch (error) {
+        this.sendFailure(res, error);
+      }
+    });
+
+    // Prometheus metrics, only served when enabled in Settings
+    this.app.get('/metrics', this.requireAccess('read'), async (req, res) => {
+      if (!serverSettings.getSettings().metricsEnabled) {
+        return this.sendError(res, 404, {
+          message: 'Metrics are disabled. Enable them in Settings > API Access.',
+          type: 'invalid_request_error',
+          code: 'metrics_disabled'
+        });
+      }
+
+      try {
+        res.setHeader('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+        res.send(await metricsCollector.render());
+      } catch (error) {
+        console.error('Failed to render metrics:', error);
+        this.sendError(res, 500, {
+          message: 'Failed to render metrics',
+          type: 'server_error'
         });
       }
     });
@@ -101,206 +491,545 @@ class HTTPServer {
         res.json({
           status: 'success',
           queues: status,
+          capacity: httpServerHandler.getQueueCapacity(),
+          shedding: httpServerHandler.getSheddingState(),
           timestamp: new Date()
         });
       } catch (error) {
-        res.status(500).json({
-          error: {
-            message: 'Failed to get queue status',
-            type: 'internal_error'
-          }
+        this.sendFailure(res, apiErrors.create('INTERNAL', 'Failed to get queue status'));
+      }
+    });
+
+    // Cancel a queued or running request by its x-request-id
+    this.app.delete('/v1/requests/:id', this.requireAccess('chat'), (req, res) => {
+      const httpServerHandler = require('../../electron/services/httpServerHandler.js');
+      const found = httpServerHandler.findRequest(req.params.id);
+
+      // Keys may only cancel their own requests; other keys' requests are reported as missing
+      if (!found || !this.ownsResource(req, found.request.clientId)) {
+        return this.sendError(res, 404, {
+          message: `No queued or running request with id '${req.params.id}'.`,
+          type: 'invalid_request_error',
+          param: 'id',
+          code: 'request_not_found'
         });
       }
+
+      httpServerHandler.cancelRequest(req.params.id);
+      res.json({
+        id: req.params.id,
+        object: 'request',
+        status: 'cancelled',
+        previous_state: found.state
+      });
     });
 
-    // Chat completions endpoint (OpenAI-compatible)
-    this.app.post('/v1/chat/completions', async (req, res) => {
+    // Files endpoints (OpenAI-compatible), used for batch input and output files
+    const upload = multer({
+      storage: multer.diskStorage({
+        destination: (req, file, callback) => callback(null, fileStore.getUploadDir())
+      }),
+      limits: { fileSize: MAX_UPLOAD_BYTES, files: 1 }
+    });
+
+    const findFile = (req, res) => {
+      const file = fileStore.getFile(req.params.id);
+      if (!file || !this.ownsResource(req, file.owner)) {
+        this.sendError(res, 404, {
+          message: `No such File object: ${req.params.id}`,
+          type: 'invalid_request_error',
+          param: 'id',
+          code: 'file_not_found'
+        });
+        return null;
+      }
+      return file;
+    };
+
+    this.app.post('/v1/files', this.requireAccess('chat'), upload.single('file'), (req, res) => {
+      if (!req.file) {
+        return this.sendError(res, 400, {
+          message: "Missing required parameter: 'file'",
+          type: 'invalid_request_error',
+          param: 'file',
+          code: 'missing_required_parameter'
+        });
+      }
+
       try {
-        console.log('🤖 Chat request received:', {
-          model: req.body.model,
-          messages: req.body.messages?.length + ' messages',
-          stream: req.body.stream
+        fileStore.validateUploadPurpose(req.body?.purpose);
+      } catch (error) {
+        fs.rmSync(req.file.path, { force: true });
+        return this.sendError(res, 400, {
+          message: error.message,
+          type: 'invalid_request_error',
+          param: error.param,
+          code: 'invalid_value'
         });
+      }
 
-        const { model, messages, stream = false } = req.body;
+      const file = fileStore.addFile({
+        sourcePath: req.file.path,
+        filename: req.file.originalname,
+        purpose: req.body.purpose,
+        owner: this.getClientId(req)
+      });
+      res.json(fileStore.toPublic(file));
+    });
 
-        if (!model || !messages) {
-          return res.status(400).json({
-            error: {
-              message: 'Missing required fields: model and messages',
-              type: 'invalid_request_error'
-            }
-          });
-        }
+    this.app.get('/v1/files', (req, res) => {
+      const files = fileStore.listFiles(file => (
+        this.ownsResource(req, file.owner) && (!req.query.purpose || file.purpose === req.query.purpose)
+      ));
+      res.json({
+        object: 'list',
+        data: files.map(file => fileStore.toPublic(file)),
+        has_more: false
+      });
+    });
 
-        // Try to use the HTTP server handler directly if in Electron main process
-        try {
-          const httpServerHandler = require('../../electron/services/httpServerHandler.js');
-          // Extract client ID from headers or use IP as fallback
-          const clientId = req.headers['x-client-id'] || req.headers['x-user-id'] || req.ip;
-          const response = await httpServerHandler.createChatCompletion(req.body, clientId);
-          
-          // Handle streaming response if needed
-          if (stream && response.stream) {
-            res.setHeader('Content-Type', 'text/event-stream');
-            res.setHeader('Cache-Control', 'no-cache');
-            res.setHeader('Connection', 'keep-alive');
-            
-            response.handler(
-              (content) => {
-                res.write(`data: ${JSON.stringify({
-                  id: 'chatcmpl-' + Date.now(),
-                  object: 'chat.completion.chunk',
-                  created: Math.floor(Date.now() / 1000),
-                  model: model,
-                  choices: [{
-                    index: 0,
-                    delta: { content },
-                    finish_reason: null
-                  }]
-                })}\n\n`);
-              },
-              () => {
-                res.write(`data: ${JSON.stringify({
-                  id: 'chatcmpl-' + Date.now(),
-                  object: 'chat.completion.chunk',
-                  created: Math.floor(Date.now() / 1000),
-                  model: model,
-                  choices: [{
-                    index: 0,
-                    delta: {},
-                    finish_reason: 'stop'
-                  }]
-                })}\n\n`);
-                res.write('data: [DONE]\n\n');
-                res.end();
-              }
-            );
-            return;
-          }
-          
-          // Non-streaming response
+    this.app.get('/v1/files/:id', (req, res) => {
+      const file = findFile(req, res);
+      if (file) {
+        res.json(fileStore.toPublic(file));
+      }
+    });
+
+    this.app.get('/v1/files/:id/content', (req, res) => {
+      const file = findFile(req, res);
+      if (file) {
+        res.type('application/jsonl');
+        // userData usually sits in a dot-directory (~/.config), which sendFile refuses by default
+        res.sendFile(fileStore.getContentPath(file.id), { dotfiles: 'allow' });
+      }
+    });
+
+    this.app.delete('/v1/files/:id', this.requireAccess('chat'), (req, res) => {
+      const file = findFile(req, res);
+      if (file) {
+        fileStore.deleteFile(file.id);
+        res.json({ id: file.id, object: 'file', deleted: true });
+      }
+    });
+
+    // Batch endpoints (OpenAI-compatible); lines run through the queue behind interactive requests
+    const findBatch = (req, res) => {
+      const batchManager = require('../../electron/services/batchManager.js');
+      const batch = batchManager.getBatch(req.params.id);
+      if (!batch || !this.ownsResource(req, batch.owner)) {
+        this.sendError(res, 404, {
+          message: `No such Batch object: ${req.params.id}`,
+          type: 'invalid_request_error',
+          param: 'id',
+          code: 'batch_not_found'
+        });
+        return null;
+      }
+      return batch;
+    };
+
+    this.app.post('/v1/batches', this.requireAccess('chat'), this.validateBody('BatchCreateRequest'), (req, res) => {
+      const { input_file_id: inputFileId, endpoint, completion_window: completionWindow, metadata } = req.body;
+      const file = fileStore.getFile(inputFileId);
+      if (!file || !this.ownsResource(req, file.owner)) {
+        return this.sendError(res, 404, {
+          message: `No such File object: ${inputFileId}`,
+          type: 'invalid_request_error',
+          param: 'input_file_id',
+          code: 'file_not_found'
+        });
+      }
+      if (file.purpose !== 'batch') {
+        return this.sendError(res, 400, {
+          message: `File ${inputFileId} was uploaded with purpose '${file.purpose}', not 'batch'`,
+          type: 'invalid_request_error',
+          param: 'input_file_id',
+          code: 'invalid_value'
+        });
+      }
+
+      const batchManager = require('../../electron/services/batchManager.js');
+      const batch = batchManager.createBatch({
+        inputFileId,
+        endpoint,
+        completionWindow,
+        metadata,
+        owner: this.getClientId(req),
+        allowedModels: req.apiKey ? req.apiKey.scopes.models : []
+      });
+      res.json(batchManager.toPublic(batch));
+    });
+
+    this.app.get('/v1/batches', (req, res) => {
+      const batchManager = require('../../electron/services/batchManager.js');
+      const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_LIST_LIMIT, 1), MAX_LIST_LIMIT);
+      let batches = batchManager.listBatches(batch => this.ownsResource(req, batch.owner));
+      if (req.query.after) {
+        batches = batches.slice(batches.findIndex(batch => batch.id === req.query.after) + 1);
+      }
+
+      const page = batches.slice(0, limit).map(batch => batchManager.toPublic(batch));
+      res.json({
+        object: 'list',
+        data: page,
+        first_id: page.length > 0 ? page[0].id : null,
+        last_id: page.length > 0 ? page[page.length - 1].id : null,
+        has_more: batches.length > limit
+      });
+    });
+
+    this.app.get('/v1/batches/:id', (req, res) => {
+      const batch = findBatch(req, res);
+      if (batch) {
+        const batchManager = require('../../electron/services/batchManager.js');
+        res.json(batchManager.toPublic(batch));
+      }
+    });
+
+    this.app.post('/v1/batches/:id/cancel', this.requireAccess('chat'), (req, res) => {
+      const batch = findBatch(req, res);
+      if (!batch) return;
+
+      const batchManager = require('../../electron/services/batchManager.js');
+      if (!batchManager.cancelBatch(batch.id)) {
+        return this.sendError(res, 400, {
+          message: `Cannot cancel a batch with status '${batch.status}'.`,
+          type: 'invalid_request_error',
+          code: 'invalid_batch_status'
+        });
+      }
+      res.json(batchManager.toPublic(batch));
+    });
+
+    // Embeddings endpoint (OpenAI-compatible)
+    this.app.post('/v1/embeddings', this.requireAccess('chat'), this.validateBody('EmbeddingsRequest'), async (req, res) => {
+      const { model, input } = req.body;
+
+      if (!this.checkModelAccess(req, res, model)) {
+        return;
+      }
+
+      try {
+        console.log('🧮 Embeddings request received:', {
+          model,
+          inputs: Array.isArray(input) ? input.length : 1
+        });
+
+        const httpServerHandler = require('../../electron/services/httpServerHandler.js');
+        const response = await httpServerHandler.createEmbeddings(req.body, this.getClientId(req), this.trackRequest(res, 'emb'));
+        res.json(response);
+      } catch (error) {
+        this.sendFailure(res, error);
+      }
+    });
+
+    // Chat completions endpoint (OpenAI-compatible)
+    this.app.post('/v1/chat/completions', this.requireAccess('chat'), this.validateBody('ChatCompletionRequest'), async (req, res) => {
+      console.log('🤖 Chat request received:', {
+        model: req.body.model,
+        messages: req.body.messages?.length + ' messages',
+        stream: req.body.stream
+      });
+
+      const { model, stream = false } = req.body;
+
+      if (!this.checkModelAccess(req, res, model)) {
+        return;
+      }
+
+      try {
+        const response = await this.createChatCompletion(req, res, req.body, 'req');
+
+        if (!(stream && response.stream)) {
           return res.json(response);
-        } catch (error) {
-          console.error('Failed to process chat request:', error);
-          // Continue to fallback
         }
 
-        // Fallback response if not in Electron
-        const responseContent = `Hello! I received your message to model "${model}". This is a test response from the Pantheon device. Your message was: "${messages[messages.length - 1]?.content || 'No message'}"`;
-
-        if (stream) {
-          // Streaming response
-          res.setHeader('Content-Type', 'text/plain');
-          res.setHeader('Transfer-Encoding', 'chunked');
-          res.setHeader('Cache-Control', 'no-cache');
-          
-          // Send response in chunks
-          const words = responseContent.split(' ');
-          for (let i = 0; i < words.length; i++) {
-            const word = words[i] + (i < words.length - 1 ? ' ' : '');
-            res.write(`data: ${JSON.stringify({
-              id: 'chatcmpl-' + Date.now(),
-              object: 'chat.completion.chunk',
-              created: Math.floor(Date.now() / 1000),
-              model: model,
-              choices: [{
-                index: 0,
-                delta: { content: word },
-                finish_reason: null
-              }]
-            })}\\n\\n`);
-            
-            // Small delay for streaming effect
-            await new Promise(resolve => setTimeout(resolve, 50));
-          }
+        if (!res.headersSent) {
+          this.startEventStream(res);
+        }
 
-          // Send final chunk
+        const completionId = 'chatcmpl-' + Date.now();
+        const writeChunk = (delta, finishReason = null) => {
           res.write(`data: ${JSON.stringify({
-            id: 'chatcmpl-' + Date.now(),
+            id: completionId,
             object: 'chat.completion.chunk',
             created: Math.floor(Date.now() / 1000),
             model: model,
             choices: [{
               index: 0,
-              delta: {},
-              finish_reason: 'stop'
+              delta,
+              finish_reason: finishReason
             }]
-          })}\\n\\n`);
-          
-          res.write('data: [DONE]\\n\\n');
-          res.end();
-        } else {
-          // Non-streaming response
-          res.json({
-            id: 'chatcmpl-' + Date.now(),
-            object: 'chat.completion',
-            created: Math.floor(Date.now() / 1000),
-            model: model,
-            choices: [{
-              index: 0,
-              message: {
-                role: 'assistant',
-                content: responseContent
-              },
-              finish_reason: 'stop'
-            }],
-            usage: {
-              prompt_tokens: messages.reduce((sum, msg) => sum + (msg.content?.length || 0), 0),
-              completion_tokens: responseContent.length,
-              total_tokens: messages.reduce((sum, msg) => sum + (msg.content?.length || 0), 0) + responseContent.length
-            }
-          });
+          })}\n\n`);
+        };
+        let toolCallIndex = 0;
+
+        response.handler(
+          (content) => writeChunk({ content }),
+          (finishReason = 'stop') => {
+            writeChunk({}, finishReason);
+            res.write('data: [DONE]\n\n');
+            res.end();
+          },
+          (toolCalls) => {
+            writeChunk({
+              role: 'assistant',
+              tool_calls: toolCalls.map(call => ({ index: toolCallIndex++, ...call }))
+            });
+          },
+          (error) => this.writeStreamError(res, error)
+        );
+      } catch (error) {
+        this.sendFailure(res, error);
+      }
+    });
+
+    // Messages endpoint (Anthropic-compatible)
+    this.app.post('/v1/messages', this.requireAccess('chat'), this.validateBody('AnthropicMessagesRequest', 'anthropic'), async (req, res) => {
+      let request;
+      try {
+        request = anthropicAdapter.toChatCompletionRequest(req.body);
+      } catch (error) {
+        return res.status(400).json(anthropicAdapter.toErrorResponse('invalid_request_error', error.message));
+      }
+
+      if (req.apiKey && !apiKeyManager.allowsModel(req.apiKey, request.model)) {
+        return res.status(403).json(anthropicAdapter.toErrorResponse(
+          'permission_error',
+          `This API key does not have access to model '${request.model}'.`
+        ));
+      }
+
+      try {
+        console.log('🤖 Messages request received:', {
+          model: request.model,
+          messages: req.body.messages.length + ' messages',
+          stream: request.stream
+        });
+
+        const response = await this.createChatCompletion(req, res, request, 'msg');
+
+        if (request.stream && response.stream) {
+          anthropicAdapter.streamMessage(res, response, request.model);
+          return;
         }
 
+        res.json(anthropicAdapter.toMessageResponse(response, request.model));
       } catch (error) {
-        console.error('❌ Chat completion error:', error);
-        res.status(500).json({
-          error: {
-            message: 'Internal server error',
-            type: 'server_error',
-            details: error.message
-          }
+        this.sendFailure(res, error, 'anthropic');
+      }
+    });
+
+
+    // Ollama-native endpoints, so Ollama clients see local and peer models as one instance
+    this.app.get('/api/tags', async (req, res) => {
+      try {
+        const ollamaFacade = require('../../electron/services/ollamaFacade.js');
+        const { models } = await ollamaFacade.listModels();
+        res.json({
+          models: req.apiKey ? models.filter(model => apiKeyManager.allowsModel(req.apiKey, model.name)) : models
         });
+      } catch (error) {
+        console.error('Failed to get Ollama tags:', error);
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    this.app.post('/api/show', this.validateBody('OllamaShowRequest', 'ollama'), async (req, res) => {
+      const name = req.body.model || req.body.name;
+      if (!name) {
+        return res.status(400).json({ error: 'model is required' });
+      }
+      if (req.apiKey && !apiKeyManager.allowsModel(req.apiKey, name)) {
+        return res.status(403).json({ error: `This API key does not have access to model '${name}'.` });
+      }
+
+      const ollamaFacade = require('../../electron/services/ollamaFacade.js');
+      try {
+        res.json(await ollamaFacade.showModel(name));
+      } catch (error) {
+        this.sendOllamaFailure(res, await ollamaFacade.toErrorResponse(error));
       }
     });
 
+    const ollamaSchemas = { chat: 'OllamaChatRequest', generate: 'OllamaGenerateRequest' };
+    ['chat', 'generate'].forEach(endpoint => {
+      this.app.post(`/api/${endpoint}`, this.requireAccess('chat'), this.validateBody(ollamaSchemas[endpoint], 'ollama'), async (req, res) => {
+        const { model } = req.body;
+        if (model && req.apiKey && !apiKeyManager.allowsModel(req.apiKey, model)) {
+          return res.status(403).json({ error: `This API key does not have access to model '${model}'.` });
+        }
+
+        const ollamaFacade = require('../../electron/services/ollamaFacade.js');
+        try {
+          console.log(`🦙 Ollama ${endpoint} request received:`, { model, stream: req.body.stream !== false });
+          const result = await ollamaFacade[endpoint](req.body, this.getClientId(req), this.trackRequest(res, 'ollama'));
+          ollamaFacade.respond(res, result);
+        } catch (error) {
+          const failure = await ollamaFacade.toErrorResponse(error);
+          if (failure.status >= 500) {
+            console.error(`❌ Ollama ${endpoint} error:`, failure.body.error);
+          }
+          this.sendOllamaFailure(res, failure);
+        }
+      });
+    });
+
 
     // Catch-all route
     this.app.use((req, res) => {
       console.log(`⚠️ Unknown endpoint: ${req.method} ${req.originalUrl}`);
-      res.status(404).json({
-        error: {
-          message: 'Endpoint not found',
-          type: 'not_found'
-        }
+      this.sendError(res, 404, {
+        message: `Endpoint not found: ${req.method} ${req.path}`,
+        type: 'invalid_request_error',
+        code: 'unknown_url'
       });
     });
+
+    // Malformed JSON bodies are rejected by the body parser before any route runs
+    this.app.use((error, req, res, next) => {
+      if (error.type === 'entity.parse.failed') {
+        return this.sendError(res, 400, {
+          message: `We could not parse the JSON body of your request: ${error.message}`,
+          type: 'invalid_request_error'
+        });
+      }
+      if (error instanceof multer.MulterError) {
+        return this.sendError(res, error.code === 'LIMIT_FILE_SIZE' ? 413 : 400, {
+          message: error.code === 'LIMIT_FILE_SIZE'
+            ? `Files can be at most ${MAX_UPLOAD_BYTES} bytes`
+            : `Invalid upload: ${error.message}`,
+          type: 'invalid_request_error',
+          param: error.field || null
+        });
+      }
+      if (error.type === 'entity.too.large') {
+        return this.sendError(res, 413, {
+          message: `Request body is larger than the ${error.limit} byte limit`,
+          type: 'invalid_request_error'
+        });
+      }
+      next(error);
+    });
+  }
+
+  /**
+   * Hide models the caller's API key is not scoped for
+   */
+  filterModelsForKey(req, models) {
+    if (!req.apiKey) return models;
+    return models.filter(model => apiKeyManager.allowsModel(req.apiKey, model.id));
   }
 
-  async start() {
+  /**
+   * Start listening with the saved bind address and TLS settings
+   * @param {Object} overrides - Settings to use instead of the saved ones (e.g. a safe fallback)
+   */
+  async start(overrides = {}) {
+    const settings = { ...serverSettings.getSettings(), ...overrides };
+
+    this.tls = settings.tlsEnabled ? await tlsCertificateManager.getCredentials(settings) : null;
+    const server = this.tls
+      ? https.createServer({ cert: this.tls.cert, key: this.tls.key }, this.app)
+      : http.createServer(this.app);
+
     return new Promise((resolve, reject) => {
-      this.server = this.app.listen(this.port, '0.0.0.0', (error) => {
-        if (error) {
-          console.error('❌ Failed to start HTTP server:', error);
-          reject(error);
-        } else {
-          console.log(`🚀 Pantheon HTTP server running on port ${this.port}`);
-          resolve();
+      server.once('error', (error) => {
+        console.error('❌ Failed to start HTTP server:', error);
+        this.tls = null;
+        reject(error);
+      });
+      server.listen(this.port, settings.bindAddress, () => {
+        this.server = server;
+        this.bindAddress = settings.bindAddress;
+        console.log(`🚀 Pantheon ${this.tls ? 'HTTPS' : 'HTTP'} server running on ${settings.bindAddress}:${this.port}`);
+        if (this.tls) {
+          console.log(`🔐 Certificate SHA-256 fingerprint: ${this.tls.fingerprint}`);
         }
+        resolve();
       });
     });
   }
 
   async stop() {
     if (this.server) {
+      const server = this.server;
+      this.server = null;
       return new Promise((resolve) => {
-        this.server.close(() => {
+        server.close(() => {
           console.log('🛑 HTTP server stopped');
           resolve();
         });
+        // Streaming and keep-alive connections would otherwise hold close() open
+        server.closeAllConnections();
+      });
+    }
+  }
+
+  /**
+   * Restart to apply new bind address or TLS settings
+   */
+  async restart(overrides = {}) {
+    await this.stop();
+    await this.start(overrides);
+  }
+
+  /**
+   * URL the main process can reach this server on, whatever interface it is bound to
+   */
+  getLocalUrl() {
+    let host = this.bindAddress;
+    if (!host || host === '0.0.0.0') {
+      host = '127.0.0.1';
+    } else if (host === '::') {
+      host = '::1';
+    }
+    if (host.includes(':')) {
+      host = `[${host}]`;
+    }
+    return `${this.tls ? 'https' : 'http'}://${host}:${this.port}`;
+  }
+
+  /**
+   * GET one of this server's endpoints as the app itself (internal API key)
+   * Over HTTPS only the server's own certificate is accepted, so the call works
+   * with self-signed certificates and certificates issued for other host names
+   * @returns {Promise<Object>} axios response
+   */
+  async requestSelf(path) {
+    const options = {
+      headers: { Authorization: `Bearer ${apiKeyManager.getInternalToken()}` }
+    };
+
+    if (this.tls) {
+      const { cert, fingerprint } = this.tls;
+      options.httpsAgent = new https.Agent({
+        // Trust the served certificate itself, plus the usual roots for CA-issued certificates
+        ca: [...tls.rootCertificates, cert],
+        checkServerIdentity: (host, peerCertificate) => (
+          peerCertificate.fingerprint256 === fingerprint
+            ? undefined
+            : new Error(`Unexpected certificate ${peerCertificate.fingerprint256} from ${host}`)
+        )
       });
     }
+
+    return axios.get(`${this.getLocalUrl()}${path}`, options);
+  }
+
+  /**
+   * Listening state for Settings
+   */
+  getStatus() {
+    return {
+      running: !!this.isRunning(),
+      bindAddress: this.bindAddress,
+      port: this.port,
+      url: this.getLocalUrl(),
+      tls: this.tls
+        ? { fingerprint: this.tls.fingerprint, selfSigned: this.tls.selfSigned, certPath: this.tls.certPath }
+        : null
+    };
   }
 
   getPort() {
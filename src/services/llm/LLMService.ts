@@ -3,9 +3,11 @@ import { OllamaProvider } from '../../providers/OllamaProvider';
 import { RemoteLLMProvider } from '../../providers/RemoteProvider';
 import { AppleFoundationProvider } from '../../providers/AppleFoundationProvider';
 import { ModelRegistry } from './ModelRegistry';
+import { parseModelRef, modelName } from '../../utils/modelRef';
+import { cancellableChatId } from '../../utils/chatCancellation';
 import { PantheonRouter } from './PantheonRouter';
 import { LLMModel } from '../../types/api/models';
-import { ChatMessage, ChatResponse } from '../../types/api/chat';
+import { ChatMessage, ChatOptions, ChatResponse } from '../../types/api/chat';
 
 export class LLMService {
   private modelRegistry: ModelRegistry;
@@ -33,9 +35,9 @@ export class LLMService {
     return await this.modelRegistry.getAllModels();
   }
 
-  async chat(modelId: string, messages: ChatMessage[]): Promise<ChatResponse> {
+  async chat(modelId: string, messages: ChatMessage[], options: ChatOptions = {}): Promise<ChatResponse> {
     // Try direct local access first
-    const directResponse = await this.tryDirectLocalModel(modelId, messages);
+    const directResponse = await this.tryDirectLocalModel(modelId, messages, options);
     if (directResponse) {
       return directResponse;
     }
@@ -48,19 +50,26 @@ export class LLMService {
     }
     
     // Route based on model type
+    if (targetModel.isP2P) {
+      return await this.chatWithPeerModel(targetModel, messages, options);
+    }
+
     if (targetModel.isRemote) {
-      const [deviceId, actualModelId] = targetModel.id.split('|');
-      return await this.pantheonRouter.routeToRemoteDevice(deviceId, actualModelId, messages);
+      const ref = parseModelRef(targetModel.id);
+      if (!ref || !ref.device) {
+        throw new Error(`Model ${targetModel.id} is not a remote model reference`);
+      }
+      return await this.pantheonRouter.routeToRemoteDevice(ref.device, modelName(ref), messages);
     }
     
-    return await this.chatWithLocalModel(targetModel, messages);
+    return await this.chatWithLocalModel(targetModel, messages, options);
   }
 
-  private async tryDirectLocalModel(modelId: string, messages: ChatMessage[]): Promise<ChatResponse | null> {
+  private async tryDirectLocalModel(modelId: string, messages: ChatMessage[], options: ChatOptions): Promise<ChatResponse | null> {
     const result = await this.modelRegistry.findLocalModel(modelId);
     
     if (result) {
-      const response = await result.provider.chat(result.model.id, messages);
+      const response = await result.provider.chat(result.model.id, messages, options);
       
       return {
         ...response,
@@ -74,14 +83,14 @@ export class LLMService {
     return null;
   }
 
-  private async chatWithLocalModel(targetModel: LLMModel, messages: ChatMessage[]): Promise<ChatResponse> {
+  private async chatWithLocalModel(targetModel: LLMModel, messages: ChatMessage[], options: ChatOptions): Promise<ChatResponse> {
     const result = await this.modelRegistry.findLocalModel(targetModel.id);
     
     if (!result) {
       throw new Error(`Model ${targetModel.id} not found in any available local provider`);
     }
 
-    const response = await result.provider.chat(result.model.id, messages);
+    const response = await result.provider.chat(result.model.id, messages, options);
     
     return {
       ...response,
@@ -92,6 +101,35 @@ export class LLMService {
     };
   }
 
+  // Peer models are answered by the peer over P2P, through the main process
+  private async chatWithPeerModel(targetModel: LLMModel, messages: ChatMessage[], options: ChatOptions): Promise<ChatResponse> {
+    if (!window.electronAPI?.llm?.peerChat) {
+      throw new Error(`Model ${targetModel.name} is on a peer, which is only reachable from the desktop app`);
+    }
+
+    const result = await window.electronAPI.llm.peerChat({
+      model: targetModel.id,
+      messages: messages.map(msg => ({
+        role: msg.role,
+        content: msg.images?.length
+          ? [{ type: 'text', text: msg.content }, ...msg.images.map(url => ({ type: 'image_url', image_url: { url } }))]
+          : msg.content
+      }))
+    }, options.onQueueUpdate, cancellableChatId(options.signal));
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+
+    return {
+      message: result.response.choices[0].message.content,
+      model: `${targetModel.deviceName}:${targetModel.name}`,
+      usage: result.response.usage,
+      pantheonRouted: true,
+      deviceId: targetModel.deviceId,
+      deviceName: targetModel.deviceName
+    };
+  }
+
   async chatStream(
     modelId: string, 
     messages: ChatMessage[],
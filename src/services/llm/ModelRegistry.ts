@@ -1,5 +1,6 @@
 import { LLMModel } from '../../types/api/models';
 import { LLMProvider } from '../../providers/LLMProvider';
+import { formatModelRef, splitModelTag } from '../../utils/modelRef';
 
 export class ModelRegistry {
   private providers: Map<string, LLMProvider> = new Map();
@@ -65,7 +66,7 @@ export class ModelRegistry {
         if (device.models && device.models.length > 0) {
           for (const modelName of device.models) {
             remoteModels.push({
-              id: `${device.id}|${modelName}`,
+              id: formatModelRef({ provider: 'device', device: device.id, ...splitModelTag(modelName) }),
               name: modelName,
               provider: 'Remote Device',
               deviceId: device.id,
@@ -112,7 +113,7 @@ export class ModelRegistry {
         if (peer.models && peer.models.length > 0) {
           for (const modelInfo of peer.models) {
             p2pModels.push({
-              id: `p2p:${peer.peer_id}:${modelInfo.name}`,
+              id: formatModelRef({ provider: 'p2p', device: peer.peer_id, ...splitModelTag(modelInfo.id || modelInfo.name) }),
               name: modelInfo.name,
               provider: 'P2P Ollama',
               deviceId: peer.peer_id,
@@ -120,7 +121,12 @@ export class ModelRegistry {
               endpoint: `p2p://${peer.peer_id}`,
               isRemote: true,
               isP2P: true,
-              peerId: peer.peer_id
+              peerId: peer.peer_id,
+              contextLength: modelInfo.context_length,
+              family: modelInfo.family,
+              parameterSize: modelInfo.parameter_size,
+              quantization: modelInfo.quantization,
+              capabilities: modelInfo.capabilities
             });
           }
         }
@@ -6,6 +6,8 @@
 const io = require('socket.io-client');
 const SimplePeer = require('simple-peer');
 const webrtcMultiImpl = require('./webrtc-multi-impl');
+const apiErrors = require('../../electron/services/apiErrors.js');
+const modelDetails = require('../../electron/services/modelDetails.js');
 
 // Architecture detection
 const isX86Architecture = () => {
@@ -183,6 +185,8 @@ class P2PServiceV2 {
     this.modelCacheTime = 0;
     this.availableModels = []; // Store models for hosting
     this.connectionStats = new Map(); // Track connection statistics
+    this.pendingRequests = new Map(); // requestId -> { resolve, reject, timeout, onChunk, onQueueUpdate } for requestFromPeer
+    this.peerList = []; // Last peer list from the signaling server
     this._statusDebounceTimer = null; // For debouncing status notifications
     this.p2pAvailable = false; // Will be updated async after WebRTC detection
     this.listeners = {
@@ -243,7 +247,9 @@ class P2PServiceV2 {
       models: this.availableModels.map(m => ({
         name: typeof m === 'string' ? m : (m.name || m.id),
         displayName: typeof m === 'string' ? m : (m.name || m.id),
-        provider: typeof m === 'string' ? 'Ollama' : (m.provider || 'Unknown')
+        provider: typeof m === 'string' ? 'Ollama' : (m.provider || 'Unknown'),
+        // Context length, capabilities etc. so peers can filter before asking
+        ...(typeof m === 'string' ? {} : modelDetails.pick(m))
       })),
       batteryState: null,
       deviceInfo: {
@@ -510,7 +516,8 @@ class P2PServiceV2 {
           this.socket.emit('announce-models', {
             models: this.availableModels.map(m => ({
               name: typeof m === 'string' ? m : m.name,
-              provider: typeof m === 'string' ? 'Ollama' : (m.provider || 'Unknown')
+              provider: typeof m === 'string' ? 'Ollama' : (m.provider || 'Unknown'),
+              ...(typeof m === 'string' ? {} : modelDetails.pick(m))
             })),
             batteryState: null, // TODO: Implement battery state if needed
             deviceInfo: {
@@ -749,6 +756,9 @@ class P2PServiceV2 {
         } else if (message.type === 'pong') {
           // Pong received, connection is alive
           // Could track latency here if needed
+        } else if (['response', 'error', 'chunk', 'queue_update'].includes(message.type) && this.pendingRequests.has(message.requestId)) {
+          // Reply to one of our own requestFromPeer calls
+          this._resolvePendingRequest(message);
         } else {
           // Handle request/response messages
           console.log(`📥 Received ${message.type} from ${userId}`);
@@ -774,10 +784,12 @@ class P2PServiceV2 {
             console.error(`❌ Error handling ${message.type} from ${userId}:`, error);
             if (message.requestId) {
               try {
+                // details lets the requester rebuild the error; older peers only read `error`
                 await this.sendToPeer(userId, {
                   type: 'error',
                   requestId: message.requestId,
-                  error: error.message || error.toString()
+                  error: error.message || error.toString(),
+                  details: apiErrors.toPeerDetails(error)
                 });
                 console.log(`📤 Sent error response to ${userId} for ${message.type}`);
               } catch (sendError) {
@@ -871,6 +883,7 @@ class P2PServiceV2 {
       }
       
       // Store peers list
+      this.peerList = peers;
       this._notifyListeners('peer', { action: 'list', peers });
     });
     
@@ -959,30 +972,130 @@ class P2PServiceV2 {
 
   /**
    * Request data from peer with x86-optimized timeout
+   * If we give up (timeout or options.signal aborts) the peer is sent a `cancel` message
+   * With options.onChunk the peer may stream `chunk` messages before its response;
+   * each chunk restarts the timeout, so long generations only time out when they stall.
+   * With options.onQueueUpdate the peer may send `queue_update` messages ({ position, etaSeconds })
+   * while the request waits in its queue; they restart the timeout too.
+   * options.deadlineSeconds tells the peer how long we will wait, so it can turn the request away
+   * early when it can't start in time
    */
-  async requestFromPeer(userId, type, data = {}) {
+  async requestFromPeer(userId, type, data = {}, options = {}) {
     const requestId = Math.random().toString(36).substring(7);
+    const { signal, onChunk, onQueueUpdate, deadlineSeconds } = options;
+
+    try {
+      await this._ensurePeerConnected(userId);
+    } catch (error) {
+      throw apiErrors.create('PEER_UNAVAILABLE', error.message);
+    }
     
     return new Promise((resolve, reject) => {
-      const timeout = setTimeout(() => {
-        this.socket.off(`response:${requestId}`);
-        reject(new Error(`Request timeout for ${type}`));
+      const giveUp = (error) => {
+        clearTimeout(pending.timeout);
+        pending.cleanup();
+        this.pendingRequests.delete(requestId);
+        this.sendToPeer(userId, { type: 'cancel', data: { requestId } }).catch(() => {});
+        reject(error);
+      };
+      const onAbort = () => giveUp(apiErrors.create('CANCELLED', `Request ${type} cancelled`));
+      const startTimeout = () => setTimeout(() => {
+        giveUp(apiErrors.create('PEER_TIMEOUT', `Request timeout for ${type}`));
       }, TIMEOUTS.REQUEST_TIMEOUT);
       
-      // Listen for response
-      this.socket.once(`response:${requestId}`, (response) => {
-        clearTimeout(timeout);
-        resolve(response);
-      });
+      // Responses arrive on the data channel and are matched by requestId
+      const pending = {
+        resolve,
+        reject,
+        timeout: startTimeout(),
+        cleanup: () => signal?.removeEventListener('abort', onAbort),
+        onChunk: onChunk && ((chunk) => {
+          clearTimeout(pending.timeout);
+          pending.timeout = startTimeout();
+          onChunk(chunk);
+        }),
+        onQueueUpdate: onQueueUpdate && ((update) => {
+          clearTimeout(pending.timeout);
+          pending.timeout = startTimeout();
+          onQueueUpdate(update);
+        })
+      };
+      this.pendingRequests.set(requestId, pending);
+      signal?.addEventListener('abort', onAbort, { once: true });
       
-      // Send request
+      // Send request; peers that don't know `stream`, `queueUpdates` or `deadlineSeconds` ignore them and answer in one piece
       this.sendToPeer(userId, {
         type,
         requestId,
-        data
+        data,
+        ...(onChunk ? { stream: true } : {}),
+        ...(onQueueUpdate ? { queueUpdates: true } : {}),
+        ...(deadlineSeconds ? { deadlineSeconds } : {})
       }).catch((error) => {
+        clearTimeout(pending.timeout);
+        pending.cleanup();
+        this.pendingRequests.delete(requestId);
+        reject(apiErrors.create('PEER_UNAVAILABLE', error.message));
+      });
+    });
+  }
+
+  /**
+   * Settle a pending requestFromPeer call from a response or error message,
+   * or pass a streamed chunk or queue update on
+   */
+  _resolvePendingRequest(message) {
+    const pending = this.pendingRequests.get(message.requestId);
+    if (message.type === 'chunk') {
+      if (pending.onChunk) pending.onChunk(message.data);
+      return;
+    }
+    if (message.type === 'queue_update') {
+      if (pending.onQueueUpdate) pending.onQueueUpdate(message.data);
+      return;
+    }
+
+    this.pendingRequests.delete(message.requestId);
+    clearTimeout(pending.timeout);
+    pending.cleanup();
+
+    if (message.type === 'error') {
+      pending.reject(apiErrors.fromPeerMessage(message));
+    } else {
+      pending.resolve(message.data);
+    }
+  }
+
+  /**
+   * Connect to a peer on demand and wait until the data channel is open
+   */
+  async _ensurePeerConnected(userId) {
+    const existing = this.peers.get(userId);
+    if (existing && existing.connected) return;
+
+    await new Promise((resolve, reject) => {
+      const listener = ({ action, userId: peerId, error }) => {
+        if (peerId !== userId) return;
+        if (action === 'connected') {
+          cleanup();
+          resolve();
+        } else if (action === 'error' || action === 'disconnected') {
+          cleanup();
+          reject(new Error(error || `Peer ${userId} disconnected`));
+        }
+      };
+      const timeout = setTimeout(() => {
+        cleanup();
+        reject(new Error(`Timed out connecting to peer ${userId}`));
+      }, TIMEOUTS.CONNECTION_TIMEOUT);
+      const cleanup = () => {
         clearTimeout(timeout);
-        this.socket.off(`response:${requestId}`);
+        this.off('peer', listener);
+      };
+
+      this.on('peer', listener);
+      this.connectToPeer(userId).catch((error) => {
+        cleanup();
         reject(error);
       });
     });
@@ -999,7 +1112,10 @@ class P2PServiceV2 {
       type: message.type,
       data: message.data,
       fromUserId,
-      requestId: message.requestId
+      requestId: message.requestId,
+      stream: !!message.stream,
+      queueUpdates: !!message.queueUpdates,
+      deadlineSeconds: message.deadlineSeconds
     });
     
     return result;
@@ -1184,6 +1300,24 @@ class P2PServiceV2 {
     return connected;
   }
 
+  /**
+   * Get other hosting peers from the last signaling peer list
+   * @returns {Object} userId -> { models, deviceInfo, isHosting }
+   */
+  getAllPeers() {
+    const peers = {};
+    this.peerList
+      .filter(peer => peer.userId !== this.currentUserId && peer.isHosting !== false)
+      .forEach(peer => {
+        peers[peer.userId] = {
+          models: peer.models || [],
+          deviceInfo: peer.deviceInfo || {},
+          isHosting: !!peer.isHosting
+        };
+      });
+    return peers;
+  }
+
   /**
    * Get current P2P service status
    */
@@ -1215,6 +1349,13 @@ class P2PServiceV2 {
     this.connectingPeers.clear();
     this.pendingSignals.clear();
     this.connectionStats.clear();
+    this.pendingRequests.forEach(({ reject, timeout, cleanup }) => {
+      clearTimeout(timeout);
+      cleanup();
+      reject(new Error('P2P service disconnected'));
+    });
+    this.pendingRequests.clear();
+    this.peerList = [];
     
     // Disconnect from signaling server
     if (this.socket) {
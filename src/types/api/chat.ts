@@ -1,9 +1,12 @@
+import type { QueueUpdate } from '../electron-api';
+
 export interface ChatMessage {
   id: string;
   role: 'user' | 'assistant' | 'system';
   content: string;
   timestamp: Date;
   modelId?: string;
+  images?: string[]; // Attached images as data URLs
 }
 
 export interface ChatResponse {
@@ -19,6 +22,13 @@ export interface ChatResponse {
   deviceName?: string;
 }
 
+export interface ChatOptions {
+  // Called while the request waits in a queue, locally or on a peer
+  onQueueUpdate?: (update: QueueUpdate) => void;
+  // Stops the request, whether it is still waiting or already generating
+  signal?: AbortSignal;
+}
+
 export interface PantheonRequest {
   type: string;
   target: DeviceTarget;
@@ -8,4 +8,10 @@ export interface LLMModel {
   isRemote: boolean;
   isP2P?: boolean;
   peerId?: string;
+  // Details the hosting device reports from Ollama's /api/show
+  contextLength?: number;
+  family?: string;
+  parameterSize?: string;
+  quantization?: string;
+  capabilities?: string[];
 }
\ No newline at end of file
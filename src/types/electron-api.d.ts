@@ -1,3 +1,152 @@
+// Queue priority classes an API key can be given
+export type ApiKeyPriority = 'devices' | 'trusted' | 'guest';
+
+export interface ApiKeyRecord {
+  id: string;
+  name: string;
+  hint: string;
+  scopes: {
+    models: string[];
+    access: 'read' | 'chat';
+  };
+  // Keys created before priority classes existed are queued as 'trusted'
+  priority?: ApiKeyPriority;
+  createdAt: string;
+  expiresAt: string | null;
+  lastUsedAt: string | null;
+}
+
+export interface ApiAuthSettings {
+  requireKeyForLocalhost: boolean;
+}
+
+export interface HttpServerSettings {
+  metricsEnabled: boolean;
+  bindAddress: string;
+  tlsEnabled: boolean;
+  tlsCertPath: string;
+  tlsKeyPath: string;
+  gatewayEnabled: boolean;
+  responseCacheEnabled: boolean;
+  responseCacheMaxMB: number;
+  maxConcurrentPerModel: number;
+  // 0 for no limit besides memory
+  maxConcurrentTotal: number;
+  memoryReserveMB: number;
+  // 0 for no limit
+  maxQueueLength: number;
+  maxDeadlineSeconds: number;
+}
+
+export interface HttpServerStatus {
+  running: boolean;
+  bindAddress?: string | null;
+  port?: number;
+  url?: string;
+  tls?: {
+    fingerprint: string;
+    selfSigned: boolean;
+    certPath: string;
+  } | null;
+  // Set when the saved settings could not be applied at startup
+  error?: string | null;
+}
+
+export interface BatchRecord {
+  id: string;
+  object: 'batch';
+  endpoint: string;
+  errors: { object: 'list'; data: { code: string; message: string; param?: string | null; line?: number | null }[] } | null;
+  input_file_id: string;
+  completion_window: string;
+  status: 'validating' | 'failed' | 'in_progress' | 'finalizing' | 'completed' | 'expired' | 'cancelling' | 'cancelled';
+  output_file_id: string | null;
+  error_file_id: string | null;
+  created_at: number;
+  in_progress_at: number | null;
+  expires_at: number;
+  completed_at: number | null;
+  request_counts: { total: number; completed: number; failed: number };
+  metadata: Record<string, string> | null;
+}
+
+export interface ModelBackend {
+  id: string;
+  name: string;
+  baseUrl: string;
+  enabled: boolean;
+  hasApiKey: boolean;
+  createdAt: string;
+  status: { modelCount: number; error: string | null; checkedAt: string } | null;
+}
+
+export interface ModelAliasDefaults {
+  temperature?: number;
+  num_ctx?: number;
+  system?: string;
+}
+
+export interface ModelAlias {
+  name: string;
+  model: string;
+  defaults: ModelAliasDefaults;
+  updatedAt: string;
+}
+
+export interface ResponseCacheStats {
+  enabled: boolean;
+  entries: number;
+  bytes: number;
+  maxBytes: number;
+  // Since the app started or the cache was cleared
+  hits: number;
+  misses: number;
+}
+
+// null means no limit
+export interface QuotaLimits {
+  tokensPerMinute: number | null;
+  tokensPerDay: number | null;
+  tokensPerMonth: number | null;
+}
+
+export interface ClientUsage {
+  clientId: string;
+  day: string;
+  dayTokens: number;
+  month: string;
+  monthTokens: number;
+  lastUsedAt: string | null;
+}
+
+export interface QuotaOverview {
+  defaults: QuotaLimits;
+  // Clients with their own limits, by client ID (key:<id> for API keys, user ID for peers)
+  clients: Record<string, QuotaLimits>;
+  usage: ClientUsage[];
+}
+
+export interface QueueCapacity {
+  maxConcurrentPerModel: number;
+  maxConcurrentTotal: number;
+  maxQueueLength: number;
+  maxDeadlineSeconds: number;
+  activeRequests: number;
+  // Models whose queue is full, so new requests for them are turned away
+  sheddingModels: string[];
+  // Total memory less the reserve, and what the running models need of it
+  memoryBudgetBytes: number;
+  memoryInUseBytes: number;
+  totalMemoryBytes: number;
+  freeMemoryBytes: number;
+}
+
+// Where a chat waits in a queue; etaSeconds is null until the model has finished a request there
+export interface QueueUpdate {
+  position: number;
+  etaSeconds: number | null;
+}
+
 export interface ElectronAPI {
   // Device management
   getDeviceId: () => Promise<string>;
@@ -82,6 +231,85 @@ export interface ElectronAPI {
     removePullProgress: () => void;
   };
   
+  // Models served by this device's HTTP server
+  llm: {
+    listLocalModels: () => Promise<any[]>;
+    // chatId names a chat so cancelChat can stop it
+    ollamaChat: (body: Record<string, any>, onQueueUpdate?: (update: QueueUpdate) => void, chatId?: string) => Promise<{ success: boolean; response?: any; error?: string }>;
+    ollamaChatStream: (body: Record<string, any>, onChunk: (chunk: string) => void, chatId?: string) => Promise<{ success: boolean; error?: string }>;
+    // OpenAI chat completion request for a peer model (p2p: model reference), answered by the peer
+    peerChat: (request: Record<string, any>, onQueueUpdate?: (update: QueueUpdate) => void, chatId?: string) => Promise<{ success: boolean; response?: any; error?: string }>;
+    cancelChat: (chatId: string) => Promise<boolean>;
+  };
+  
+  // API keys for the local HTTP server
+  apiKeys: {
+    list: () => Promise<ApiKeyRecord[]>;
+    create: (options: {
+      name: string;
+      models?: string[];
+      access?: 'read' | 'chat';
+      expiresAt?: string | null;
+      priority?: ApiKeyPriority;
+    }) => Promise<{ success: boolean; key?: string; record?: ApiKeyRecord; error?: string }>;
+    revoke: (id: string) => Promise<boolean>;
+    getSettings: () => Promise<ApiAuthSettings>;
+    setSettings: (settings: Partial<ApiAuthSettings>) => Promise<ApiAuthSettings>;
+  };
+  
+  // Local HTTP server settings
+  serverSettings: {
+    get: () => Promise<HttpServerSettings>;
+    set: (settings: Partial<HttpServerSettings>) => Promise<{ success: boolean; settings: HttpServerSettings; error?: string }>;
+    getStatus: () => Promise<HttpServerStatus>;
+  };
+  
+  // OpenAI-compatible model backends
+  backends: {
+    list: () => Promise<ModelBackend[]>;
+    add: (options: { name: string; baseUrl: string; apiKey?: string }) => Promise<{ success: boolean; backend?: ModelBackend; error?: string }>;
+    update: (id: string, changes: Partial<Pick<ModelBackend, 'name' | 'baseUrl' | 'enabled'>> & { apiKey?: string }) => Promise<{ success: boolean; backend?: ModelBackend; error?: string }>;
+    remove: (id: string) => Promise<boolean>;
+  };
+  
+  // Model aliases with default parameters
+  aliases: {
+    list: () => Promise<ModelAlias[]>;
+    set: (alias: { name: string; model: string; defaults: ModelAliasDefaults }) => Promise<{ success: boolean; alias?: ModelAlias; error?: string }>;
+    remove: (name: string) => Promise<boolean>;
+  };
+  
+  // Queue limits and memory use
+  queue: {
+    getCapacity: () => Promise<QueueCapacity>;
+  };
+  
+  // Queue priority of peers
+  priority: {
+    getTrustedPeers: () => Promise<string[]>;
+    setTrustedPeers: (userIds: string[]) => Promise<string[]>;
+  };
+  
+  // Token limits and budgets per client
+  quotas: {
+    get: () => Promise<QuotaOverview>;
+    // A null clientId sets the defaults
+    set: (clientId: string | null, limits: QuotaLimits) => Promise<{ success: boolean; limits?: QuotaLimits; error?: string }>;
+    remove: (clientId: string) => Promise<boolean>;
+  };
+  
+  // Response cache for deterministic requests
+  responseCache: {
+    getStats: () => Promise<ResponseCacheStats>;
+    clear: () => Promise<ResponseCacheStats>;
+  };
+  
+  // Batch API jobs
+  batches: {
+    list: () => Promise<BatchRecord[]>;
+    cancel: (id: string) => Promise<{ success: boolean; batch?: BatchRecord }>;
+  };
+  
   // Logging
   logging: {
     getLogs: (level?: string | null, limit?: number) => Promise<any[]>;
@@ -0,0 +1,9 @@
+// Chats over IPC are stopped through the main process: the call is named with a chatId, and aborting
+// the signal cancels that chat there, whether it is still waiting in the queue or already generating
+export function cancellableChatId(signal?: AbortSignal): string | undefined {
+  if (!signal || !window.electronAPI?.llm?.cancelChat) return undefined;
+
+  const chatId = `${Date.now()}_${Math.random().toString(36).slice(2)}`;
+  signal.addEventListener('abort', () => window.electronAPI.llm.cancelChat(chatId), { once: true });
+  return chatId;
+}
@@ -0,0 +1,30 @@
+// Longest edge for attached images; vision models downscale anyway and chats are stored locally
+const MAX_IMAGE_DIMENSION = 1024;
+
+export function readImageAttachment(file: File): Promise<string> {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onerror = () => reject(new Error(`Failed to read ${file.name}`));
+    reader.onload = () => {
+      const image = new Image();
+      image.onerror = () => reject(new Error(`${file.name} is not a supported image`));
+      image.onload = () => {
+        const scale = Math.min(1, MAX_IMAGE_DIMENSION / Math.max(image.width, image.height));
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(image.width * scale);
+        canvas.height = Math.round(image.height * scale);
+        canvas.getContext('2d')?.drawImage(image, 0, 0, canvas.width, canvas.height);
+
+        // Keep PNG for transparency, everything else is re-encoded as JPEG
+        resolve(canvas.toDataURL(file.type === 'image/png' ? 'image/png' : 'image/jpeg', 0.9));
+      };
+      image.src = reader.result as string;
+    };
+    reader.readAsDataURL(file);
+  });
+}
+
+// Ollama expects raw base64 without the data URL prefix
+export function toBase64Image(dataUrl: string): string {
+  return dataUrl.slice(dataUrl.indexOf(',') + 1);
+}
@@ -0,0 +1,88 @@
+// Renderer copy of electron/services/modelRef.js, which documents the format; keep the two in step.
+// The renderer is sandboxed, so it can't load the main process module itself.
+
+export type ModelProvider = 'local' | 'p2p' | 'device' | 'backend';
+
+export interface ModelRef {
+  provider: ModelProvider;
+  device: string | null;
+  name: string;
+  tag: string | null;
+}
+
+const PROVIDERS: ModelProvider[] = ['local', 'p2p', 'device', 'backend'];
+const SCHEME_SEPARATOR = '://';
+const LEGACY_DEVICE_TYPES = new Set(['electron', 'web']);
+
+export function splitModelTag(model: string): { name: string; tag: string | null } {
+  const colon = model.lastIndexOf(':');
+  if (colon <= model.lastIndexOf('/') || colon === model.length - 1) {
+    return { name: model, tag: null };
+  }
+  return { name: model.slice(0, colon), tag: model.slice(colon + 1) };
+}
+
+export function modelName(ref: Pick<ModelRef, 'name' | 'tag'>): string {
+  return ref.tag ? `${ref.name}:${ref.tag}` : ref.name;
+}
+
+export function parseModelRef(id: string): ModelRef | null {
+  if (!id) return null;
+
+  const schemeEnd = id.indexOf(SCHEME_SEPARATOR);
+  if (schemeEnd !== -1) {
+    const provider = id.slice(0, schemeEnd) as ModelProvider;
+    const rest = id.slice(schemeEnd + SCHEME_SEPARATOR.length);
+    const slash = rest.indexOf('/');
+    if (!PROVIDERS.includes(provider) || provider === 'local' || slash <= 0 || slash === rest.length - 1) {
+      return null;
+    }
+    try {
+      return { provider, device: decodeURIComponent(rest.slice(0, slash)), ...splitModelTag(rest.slice(slash + 1)) };
+    } catch {
+      return null;
+    }
+  }
+
+  return { provider: 'local', device: null, ...splitModelTag(id) };
+}
+
+export function formatModelRef(ref: { provider?: ModelProvider; device?: string | null; name: string; tag?: string | null }): string {
+  const model = modelName({ name: ref.name, tag: ref.tag ?? null });
+  const provider = ref.provider || 'local';
+  if (provider === 'local') return model;
+  return `${provider}${SCHEME_SEPARATOR}${encodeURIComponent(ref.device || '')}/${model}`;
+}
+
+// Rewrites legacy IDs (e.g. a persisted selectedModel) in the canonical format. userIds are the users
+// whose `userId_deviceId_<type>_<model>` routing IDs are accepted; other IDs with underscores are local names
+export function normalizeModelRef(id: string, userIds: string[] = []): string {
+  const legacy = id.includes(SCHEME_SEPARATOR) ? undefined : parseLegacyModelId(id, userIds);
+  const ref = legacy !== undefined ? legacy : parseModelRef(id);
+  return ref ? formatModelRef(ref) : id;
+}
+
+// undefined when the ID is in none of the legacy formats, null when it is malformed
+function parseLegacyModelId(id: string, userIds: string[]): ModelRef | null | undefined {
+  if (id.startsWith('p2p:')) {
+    const separator = id.indexOf(':', 'p2p:'.length);
+    if (separator === -1 || separator === id.length - 1) return null;
+    return { provider: 'p2p', device: id.slice('p2p:'.length, separator), ...splitModelTag(id.slice(separator + 1)) };
+  }
+
+  const pipe = id.indexOf('|');
+  if (pipe > 0 && pipe < id.length - 1) {
+    return { provider: 'device', device: id.slice(0, pipe), ...splitModelTag(id.slice(pipe + 1)) };
+  }
+
+  const userId = userIds.find(candidate => candidate && id.startsWith(`${candidate}_`));
+  if (userId) {
+    const parts = id.slice(userId.length + 1).split('_');
+    const typeIndex = parts.findIndex(part => LEGACY_DEVICE_TYPES.has(part));
+    if (typeIndex !== -1 && typeIndex < parts.length - 1) {
+      return { provider: 'local', device: null, ...splitModelTag(parts.slice(typeIndex + 1).join('_')) };
+    }
+  }
+
+  return undefined;
+}